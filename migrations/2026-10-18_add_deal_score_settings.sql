@@ -0,0 +1,22 @@
+-- Configurable deal score
+-- best_deal_score is computed by the backend (src/dealScore.js) from weighted components
+-- and written over the SQL score after every best-deals refresh, or on demand when the
+-- weights change. One settings row; without it the built-in defaults apply.
+
+CREATE TABLE IF NOT EXISTS deal_score_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_by VARCHAR(100),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE providers
+ADD COLUMN IF NOT EXISTS reliability_score NUMERIC(5,2)
+CHECK (reliability_score IS NULL OR reliability_score BETWEEN 0 AND 100);
+
+ALTER TABLE best_deals_cache
+ADD COLUMN IF NOT EXISTS best_deal_scored_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON TABLE deal_score_settings IS 'Deal score weights and bounds: { weights, bounds, defaultProviderReliability }';
+COMMENT ON COLUMN providers.reliability_score IS 'Provider reliability (0-100) used by the deal score';
+COMMENT ON COLUMN best_deals_cache.best_deal_scored_at IS 'When best_deal_score was last computed by the backend scorer';
@@ -0,0 +1,32 @@
+-- Total cost of lease
+-- Every offer carries its whole-contract cost so deals with different upfront payments
+-- compare fairly: upfront + monthly rental x following payments + admin fee, where the
+-- following payments come from the payment profile ("3+35" -> 35) or are term - 1 (the
+-- initial payment stands in for the first rental). effective_monthly spreads that over
+-- the term. src/leaseCost.js uses the same formula for quotes and comparisons.
+
+-- upfront_profile is also added by 2026-10-18_add_upfront_rules.sql, which sorts after
+-- this file; it is needed here first for the generated columns.
+ALTER TABLE lease_offers
+ADD COLUMN IF NOT EXISTS admin_fee NUMERIC(10,2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS upfront_profile VARCHAR(10);
+
+ALTER TABLE lease_offers
+ADD COLUMN IF NOT EXISTS total_cost NUMERIC(12,2) GENERATED ALWAYS AS (
+    COALESCE(upfront_payment, 0)
+    + monthly_rental * GREATEST(COALESCE(substring(upfront_profile FROM '\+(\d+)$')::int, term_months - 1), 0)
+    + COALESCE(admin_fee, 0)
+) STORED,
+ADD COLUMN IF NOT EXISTS effective_monthly NUMERIC(10,2) GENERATED ALWAYS AS (
+    (
+        COALESCE(upfront_payment, 0)
+        + monthly_rental * GREATEST(COALESCE(substring(upfront_profile FROM '\+(\d+)$')::int, term_months - 1), 0)
+        + COALESCE(admin_fee, 0)
+    ) / NULLIF(term_months, 0)
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_lease_offers_vehicle_effective
+ON lease_offers(vehicle_id, effective_monthly);
+
+COMMENT ON COLUMN lease_offers.total_cost IS 'upfront_payment + monthly_rental x following payments (profile, else term - 1) + admin_fee';
+COMMENT ON COLUMN lease_offers.effective_monthly IS 'total_cost / term_months';
@@ -0,0 +1,14 @@
+-- Offer expiry
+-- Offers past offer_valid_until are moved to retired_lease_offers (reason 'expired')
+-- before every best-deals refresh and by the scheduled expiry job, so they can no longer
+-- win in best_deals_cache. Providers can set a default validity for ratebooks that do not
+-- carry an expiry column.
+
+ALTER TABLE providers
+ADD COLUMN IF NOT EXISTS default_validity_days INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_lease_offers_valid_until
+ON lease_offers(offer_valid_until)
+WHERE offer_valid_until IS NOT NULL;
+
+COMMENT ON COLUMN providers.default_validity_days IS 'Days an uploaded offer stays valid when the ratebook has no offer_valid_until';
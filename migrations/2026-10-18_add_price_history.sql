@@ -0,0 +1,71 @@
+-- Price history
+-- One row per offer or quote price observed: ratebook offers when the upload queue inserts
+-- them, Drivalia and Lex quotes when their jobs store them. lease_offers and best_deals_cache
+-- only hold current prices; this keeps how a vehicle/term/mileage price moved over time.
+
+CREATE TABLE IF NOT EXISTS price_history (
+    id BIGSERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL,
+    provider_id INTEGER,
+    provider_name VARCHAR(100) NOT NULL,
+    term_months INTEGER NOT NULL,
+    annual_mileage INTEGER NOT NULL,
+    maintenance_included BOOLEAN NOT NULL DEFAULT false,
+    monthly_rental NUMERIC(10,2) NOT NULL,
+    upfront_payment NUMERIC(10,2),
+    source VARCHAR(20) NOT NULL,
+    source_ref VARCHAR(100),
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_vehicle
+ON price_history(vehicle_id, term_months, annual_mileage, recorded_at);
+
+COMMENT ON COLUMN price_history.provider_name IS 'providers.name for uploads; the funder name for Drivalia/Lex quotes';
+COMMENT ON COLUMN price_history.source IS 'upload | drivalia | lex';
+COMMENT ON COLUMN price_history.source_ref IS 'Upload session id, or the quote job id';
+
+-- Seed from the offers and quotes already stored
+INSERT INTO price_history (
+    vehicle_id, provider_id, provider_name, term_months, annual_mileage, maintenance_included,
+    monthly_rental, upfront_payment, source, source_ref, recorded_at
+)
+SELECT lo.vehicle_id, lo.provider_id, p.name, lo.term_months, lo.annual_mileage, COALESCE(lo.maintenance_included, false),
+       lo.monthly_rental, lo.upfront_payment, 'upload', lo.upload_session_id::text,
+       COALESCE(us.processing_completed_at, us.created_at, CURRENT_TIMESTAMP)
+  FROM lease_offers lo
+  JOIN providers p ON p.id = lo.provider_id
+  LEFT JOIN upload_sessions us ON us.id = lo.upload_session_id
+ WHERE lo.monthly_rental IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM price_history WHERE source = 'upload');
+
+INSERT INTO price_history (
+    vehicle_id, provider_name, term_months, annual_mileage, maintenance_included,
+    monthly_rental, upfront_payment, source, source_ref, recorded_at
+)
+SELECT q.vehicle_id, 'Lex', q.term, q.mileage, COALESCE(q.maintenance, false),
+       q.monthly_rental, q.initial_rental, 'lex', q.job_id::text, COALESCE(q.fetched_at, CURRENT_TIMESTAMP)
+  FROM lex_quotes q
+ WHERE q.vehicle_id IS NOT NULL AND q.monthly_rental IS NOT NULL
+   AND COALESCE(q.quote_id, '') NOT LIKE 'drivalia_job_%'
+   AND NOT EXISTS (SELECT 1 FROM price_history WHERE source = 'lex');
+
+INSERT INTO price_history (
+    vehicle_id, provider_name, term_months, annual_mileage, maintenance_included,
+    monthly_rental, upfront_payment, source, source_ref, recorded_at
+)
+SELECT q.vehicle_id, COALESCE(q.supplier_name, 'Drivalia'), q.term, q.mileage, COALESCE(q.maintenance_included, false),
+       q.monthly_rental, q.initial_payment, 'drivalia', q.job_id::text, COALESCE(q.fetched_at, CURRENT_TIMESTAMP)
+  FROM drivalia_quotes q
+ WHERE q.vehicle_id IS NOT NULL AND q.monthly_rental IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM price_history WHERE source = 'drivalia')
+UNION ALL
+-- Drivalia job quotes stored in lex_quotes (quote_id drivalia_job_<job>_<ms>); their
+-- initial_rental is monthly x term, not an upfront payment
+SELECT q.vehicle_id, 'Drivalia', q.term, q.mileage, COALESCE(q.maintenance, false),
+       q.monthly_rental, NULL, 'drivalia', substring(q.quote_id FROM '^drivalia_job_(.+)_[0-9]+$'),
+       COALESCE(q.fetched_at, CURRENT_TIMESTAMP)
+  FROM lex_quotes q
+ WHERE q.vehicle_id IS NOT NULL AND q.monthly_rental IS NOT NULL
+   AND q.quote_id LIKE 'drivalia_job_%'
+   AND NOT EXISTS (SELECT 1 FROM price_history WHERE source = 'drivalia');
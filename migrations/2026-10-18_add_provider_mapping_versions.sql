@@ -0,0 +1,37 @@
+-- Versioned provider mapping history
+-- provider_mappings keeps the current mapping per provider; every save also appends
+-- an immutable row here so older ratebook layouts can be reused or restored.
+
+CREATE TABLE IF NOT EXISTS provider_mapping_versions (
+    id BIGSERIAL PRIMARY KEY,
+    provider_name VARCHAR(255) NOT NULL,
+    version INTEGER NOT NULL,
+    column_mappings JSONB NOT NULL DEFAULT '{}'::jsonb,
+    header_names JSONB,
+    saved_by VARCHAR(255),
+    restored_from_version INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider_name, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_provider_mapping_versions_provider
+ON provider_mapping_versions(provider_name, version DESC);
+
+ALTER TABLE provider_mappings
+ADD COLUMN IF NOT EXISTS current_version INTEGER;
+
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS mapping_version INTEGER;
+
+-- Seed version 1 from mappings saved before versioning existed
+INSERT INTO provider_mapping_versions (provider_name, version, column_mappings, header_names, saved_by, created_at)
+SELECT pm.provider_name, 1, pm.column_mappings, pm.header_names, 'migration', pm.updated_at
+  FROM provider_mappings pm
+ WHERE NOT EXISTS (
+    SELECT 1 FROM provider_mapping_versions v WHERE v.provider_name = pm.provider_name
+ );
+
+UPDATE provider_mappings SET current_version = 1 WHERE current_version IS NULL;
+
+COMMENT ON COLUMN provider_mapping_versions.restored_from_version IS 'Set when this version was created by restoring an older one';
+COMMENT ON COLUMN upload_sessions.mapping_version IS 'provider_mapping_versions.version used to map this upload, if any';
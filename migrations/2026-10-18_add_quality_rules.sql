@@ -0,0 +1,21 @@
+-- Data-quality rules for uploaded offers
+-- One rule set per scope: provider_name NULL is the global set, otherwise the provider's
+-- overrides (merged over the global set by rule id). Without a global row the built-in
+-- defaults in src/qualityRules.js apply.
+
+CREATE TABLE IF NOT EXISTS quality_rule_sets (
+    id SERIAL PRIMARY KEY,
+    provider_name VARCHAR(100),
+    rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+    updated_by VARCHAR(100),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quality_rule_sets_scope
+ON quality_rule_sets((COALESCE(provider_name, '')));
+
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS quality_summary JSONB;
+
+COMMENT ON TABLE quality_rule_sets IS 'Per-row data-quality rules; provider_name NULL = global';
+COMMENT ON COLUMN upload_sessions.quality_summary IS 'Data-quality results: { rules, checked, accepted, rejected, warned, byRule }';
@@ -0,0 +1,29 @@
+-- Resumable upload processing
+-- Valid rows are staged in upload_session_rows before the upload is acknowledged.
+-- upload_sessions doubles as a durable queue: a worker claims a session (locked_by/locked_at),
+-- inserts staged rows chunk by chunk and advances next_seq in the same transaction,
+-- so a restarted server resumes from the last committed chunk without duplicating offers.
+
+CREATE TABLE IF NOT EXISTS upload_session_rows (
+    session_id INTEGER NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    payload JSONB NOT NULL,
+    PRIMARY KEY (session_id, seq)
+);
+
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS staged_rows INTEGER,
+ADD COLUMN IF NOT EXISTS next_seq INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS inserted_rows INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255),
+ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_queue
+ON upload_sessions(status, locked_at)
+WHERE status IN ('queued', 'processing', 'staging');
+
+COMMENT ON COLUMN upload_sessions.staged_rows IS 'Number of valid rows staged in upload_session_rows (NULL for uploads made before staging existed)';
+COMMENT ON COLUMN upload_sessions.next_seq IS 'Checkpoint: next staged row to insert; advanced in the same transaction as the chunk';
+COMMENT ON COLUMN upload_sessions.inserted_rows IS 'Rows successfully inserted via insert_lease_offer; processed_rows also counts rejected and failed rows';
+COMMENT ON COLUMN upload_sessions.locked_by IS 'Worker currently processing this session (host:pid)';
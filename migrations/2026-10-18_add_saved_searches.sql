@@ -0,0 +1,57 @@
+-- Saved best-deal searches and price-drop alerts
+-- After every best-deals refresh each active search is re-run; saved_search_matches holds the
+-- vehicles (and best price) it matched last time, and differences become deal_alerts rows:
+-- new_match for a vehicle that was not matched before, price_drop when the best monthly fell
+-- by at least the search's thresholds. Alerts are delivered through the search's notifiers.
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    min_drop_amount NUMERIC(10,2),
+    min_drop_percent NUMERIC(5,2),
+    notify JSONB NOT NULL DEFAULT '[]'::jsonb,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_evaluated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+    search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+    vehicle_id INTEGER NOT NULL,
+    monthly_rental NUMERIC(10,2),
+    provider_name VARCHAR(100),
+    PRIMARY KEY (search_id, vehicle_id)
+);
+
+CREATE TABLE IF NOT EXISTS deal_alerts (
+    id BIGSERIAL PRIMARY KEY,
+    search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+    alert_type VARCHAR(20) NOT NULL,
+    vehicle_id INTEGER NOT NULL,
+    manufacturer VARCHAR(100),
+    model VARCHAR(200),
+    variant VARCHAR(300),
+    provider_name VARCHAR(100),
+    previous_monthly_rental NUMERIC(10,2),
+    monthly_rental NUMERIC(10,2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    delivery_attempts INTEGER NOT NULL DEFAULT 0,
+    delivery_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_deal_alerts_search
+ON deal_alerts(search_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_deal_alerts_undelivered
+ON deal_alerts(search_id)
+WHERE delivered_at IS NULL;
+
+COMMENT ON COLUMN saved_searches.filters IS '/api/best-deals filters: { manufacturer, fuelType, maxMonthly, minScore, bodyStyle }';
+COMMENT ON COLUMN saved_searches.min_drop_amount IS 'Smallest monthly drop (pounds) that raises a price_drop alert';
+COMMENT ON COLUMN saved_searches.min_drop_percent IS 'Smallest monthly drop (percent) that raises a price_drop alert';
+COMMENT ON COLUMN saved_searches.notify IS 'Notifier channels, e.g. [{ "type": "webhook", "url": ... }, { "type": "smtp", "to": ... }]; empty uses ALERT_NOTIFIERS';
+COMMENT ON COLUMN deal_alerts.alert_type IS 'new_match | price_drop';
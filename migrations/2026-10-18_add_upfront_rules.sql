@@ -0,0 +1,22 @@
+-- Per-provider upfront payment rules
+-- A provider mapping declares how its ratebook expresses the initial payment
+-- ({"type": "months" | "pounds" | "profile" | "p11d_percent" | "auto"}); NULL keeps the
+-- legacy heuristic. Each offer records how its upfront_payment was interpreted.
+
+ALTER TABLE provider_mappings
+ADD COLUMN IF NOT EXISTS upfront_rule JSONB;
+
+ALTER TABLE provider_mapping_versions
+ADD COLUMN IF NOT EXISTS upfront_rule JSONB;
+
+ALTER TABLE lease_offers
+ADD COLUMN IF NOT EXISTS upfront_basis VARCHAR(20),
+ADD COLUMN IF NOT EXISTS upfront_months NUMERIC(6,2),
+ADD COLUMN IF NOT EXISTS upfront_profile VARCHAR(10),
+ADD COLUMN IF NOT EXISTS upfront_raw TEXT;
+
+COMMENT ON COLUMN provider_mappings.upfront_rule IS 'How the upfront column is expressed: {"type": "months|pounds|profile|p11d_percent|auto"}';
+COMMENT ON COLUMN lease_offers.upfront_basis IS 'How upfront_payment was derived: months, pounds, profile, p11d_percent or multiplier';
+COMMENT ON COLUMN lease_offers.upfront_months IS 'Initial payment expressed in monthly rentals';
+COMMENT ON COLUMN lease_offers.upfront_profile IS 'Payment profile, e.g. 3+35';
+COMMENT ON COLUMN lease_offers.upfront_raw IS 'Upfront value as it appeared in the ratebook';
@@ -0,0 +1,32 @@
+-- Replace-or-merge semantics for ratebook refreshes
+-- upload_mode: append (default), replace-provider or replace-matching-terms.
+-- When a replacing upload completes, the provider's earlier offers are moved out of
+-- lease_offers into retired_lease_offers (so refresh_all_best_deals no longer sees them)
+-- in the same transaction that marks the session completed.
+
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS upload_mode VARCHAR(30) NOT NULL DEFAULT 'append',
+ADD COLUMN IF NOT EXISTS superseded_summary JSONB;
+
+CREATE TABLE IF NOT EXISTS retired_lease_offers (
+    id BIGSERIAL PRIMARY KEY,
+    offer_id INTEGER NOT NULL,
+    provider_id INTEGER,
+    vehicle_id INTEGER,
+    upload_session_id INTEGER,
+    retired_by_session_id INTEGER REFERENCES upload_sessions(id) ON DELETE SET NULL,
+    reason VARCHAR(20) NOT NULL,
+    offer JSONB NOT NULL,
+    retired_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_retired_lease_offers_session
+ON retired_lease_offers(retired_by_session_id);
+
+CREATE INDEX IF NOT EXISTS idx_retired_lease_offers_vehicle
+ON retired_lease_offers(vehicle_id, provider_id);
+
+COMMENT ON COLUMN upload_sessions.upload_mode IS 'append | replace-provider | replace-matching-terms';
+COMMENT ON COLUMN upload_sessions.superseded_summary IS 'What a replacing upload retired: { mode, retired, superseded, removed }';
+COMMENT ON COLUMN retired_lease_offers.reason IS 'superseded (same vehicle/term/mileage/maintenance re-quoted), removed (not in the new file) or expired (past offer_valid_until)';
+COMMENT ON COLUMN retired_lease_offers.offer IS 'The lease_offers row as it was when retired';
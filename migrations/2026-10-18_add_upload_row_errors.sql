@@ -0,0 +1,20 @@
+-- Per-row errors for upload sessions
+-- Stores every row that was rejected during validation or failed insert_lease_offer,
+-- so providers can download the rejects, correct them and resubmit.
+
+CREATE TABLE IF NOT EXISTS upload_row_errors (
+    id BIGSERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+    row_number INTEGER,
+    raw_values JSONB,
+    reason TEXT NOT NULL,
+    stage VARCHAR(20) NOT NULL DEFAULT 'validation',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_row_errors_session
+ON upload_row_errors(session_id, row_number);
+
+COMMENT ON COLUMN upload_row_errors.row_number IS 'Row number in the source file (1-based, header is row 1)';
+COMMENT ON COLUMN upload_row_errors.raw_values IS 'Source row as uploaded, keyed by header name';
+COMMENT ON COLUMN upload_row_errors.stage IS 'validation (rejected before insert), quality (failed a reject rule) or insert (insert_lease_offer failed)';
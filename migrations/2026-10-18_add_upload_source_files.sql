@@ -0,0 +1,21 @@
+-- Multi-file (zip) ratebook uploads
+-- A zip of several ratebooks is one upload session; source_files lists the files it
+-- contained with their row counts, and offers/errors record which file they came from
+-- so progress can be reported per file.
+
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS source_files JSONB;
+
+ALTER TABLE lease_offers
+ADD COLUMN IF NOT EXISTS source_file TEXT;
+
+ALTER TABLE upload_row_errors
+ADD COLUMN IF NOT EXISTS source_file TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_lease_offers_session_source_file
+ON lease_offers(upload_session_id, source_file)
+WHERE source_file IS NOT NULL;
+
+COMMENT ON COLUMN upload_sessions.source_files IS 'Files in a zip upload: [{ name, format, sheets, total_rows, valid_rows, rejected_rows, error }]';
+COMMENT ON COLUMN lease_offers.source_file IS 'File inside a zip upload the offer came from';
+COMMENT ON COLUMN upload_row_errors.source_file IS 'File inside a zip upload the row came from';
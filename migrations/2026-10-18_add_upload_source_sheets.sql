@@ -0,0 +1,15 @@
+-- Track where each uploaded offer came from in multi-sheet Excel ratebooks
+
+ALTER TABLE upload_sessions
+ADD COLUMN IF NOT EXISTS source_sheets JSONB;
+
+ALTER TABLE upload_row_errors
+ADD COLUMN IF NOT EXISTS sheet_name TEXT;
+
+ALTER TABLE lease_offers
+ADD COLUMN IF NOT EXISTS source_sheet TEXT,
+ADD COLUMN IF NOT EXISTS source_row INTEGER;
+
+COMMENT ON COLUMN upload_sessions.source_sheets IS 'Sheets read for this upload: [{ name, headerRow, headerDetected, rows }]';
+COMMENT ON COLUMN lease_offers.source_sheet IS 'Worksheet the offer was read from (Excel uploads)';
+COMMENT ON COLUMN lease_offers.source_row IS 'Row number in the source sheet/file (1-based)';
@@ -0,0 +1,7 @@
+-- Record whether a diesel meets RDE2 (Euro 6d), which exempts it from the 4% BIK supplement.
+-- euro_standard is a number and cannot tell Euro 6d from earlier Euro 6 stages.
+
+ALTER TABLE vehicles
+ADD COLUMN IF NOT EXISTS rde2_compliant BOOLEAN;
+
+COMMENT ON COLUMN vehicles.rde2_compliant IS 'Meets RDE2 (Euro 6d or later); NULL when unknown, in which case diesels are charged the BIK supplement';
@@ -0,0 +1,22 @@
+-- Pin insert_lease_offer's return type
+-- Uploads use the value it returns as the new lease_offers id (source rows, upfront
+-- profile, price history), so refuse to run against a definition that returns anything else.
+
+DO $$
+DECLARE
+    ret TEXT;
+BEGIN
+    SELECT format_type(p.prorettype, NULL)
+      INTO ret
+      FROM pg_proc p
+     WHERE p.proname = 'insert_lease_offer'
+       AND p.pronargs = 22
+     LIMIT 1;
+
+    IF ret IS NULL THEN
+        RAISE EXCEPTION 'insert_lease_offer(22 arguments) does not exist';
+    END IF;
+    IF ret NOT IN ('integer', 'bigint') THEN
+        RAISE EXCEPTION 'insert_lease_offer must return the new lease_offers id (integer), but returns %', ret;
+    END IF;
+END $$;
@@ -0,0 +1,139 @@
+/**
+ * Company Car Benefit-in-Kind
+ *
+ * The appropriate percentage for cars first registered from 6 April 2020
+ * (WLTP figures), by tax year:
+ *   0 g/km              the zero-emission rate
+ *   1-50 g/km           by pure-electric range in miles (130+, 70-129, 40-69, 30-39, under 30)
+ *   51-54 g/km          the 51-54 rate, then +1% per further 5 g/km up to 37%
+ * Diesels that do not meet RDE2 (Euro 6d) pay a 4% supplement (still capped
+ * at 37%). vehicles.rde2_compliant says so when known; otherwise Euro 6d and
+ * every later stage (6d-ISC, 6d-ISC-FCM, 6e, Euro 7) are compliant and anything
+ * earlier, Euro 6d-TEMP included, is not. A diesel with neither is charged the supplement and the assumption
+ * is noted, since the supplement can only be ruled out by a known standard.
+ *
+ * The cash equivalent is P11D x percentage. Under salary sacrifice (an
+ * optional remuneration arrangement) a car over 75 g/km is taxed on the higher
+ * of that and the salary given up for it; at 75 g/km or less only the cash
+ * equivalent counts.
+ */
+
+const MAX_PERCENTAGE = 37
+const DIESEL_SUPPLEMENT = 4
+const OPRA_CO2_LIMIT = 75
+
+// Minimum electric range (miles) for each 1-50 g/km band, best first
+const RANGE_BANDS = [130, 70, 40, 30, 0]
+
+// zeroEmission, one rate per RANGE_BANDS entry, and the 51-54 g/km rate
+const BIK_TABLES = {
+  '2023-24': { zeroEmission: 2, byRange: [2, 5, 8, 12, 14], from51: 15 },
+  '2024-25': { zeroEmission: 2, byRange: [2, 5, 8, 12, 14], from51: 15 },
+  '2025-26': { zeroEmission: 3, byRange: [3, 6, 9, 13, 15], from51: 16 },
+  '2026-27': { zeroEmission: 4, byRange: [4, 7, 10, 14, 16], from51: 17 },
+}
+
+const isNumber = (val) => val !== undefined && val !== null && val !== '' && !isNaN(Number(val))
+const isElectric = (fuelType) => /^(electric|e|bev|hydrogen)$/i.test(String(fuelType || '').trim())
+const isDiesel = (fuelType) => /diesel/i.test(String(fuelType || ''))
+
+/**
+ * Whether a car meets RDE2, from rde2_compliant or its Euro standard
+ * @returns {boolean|null} null when unknown
+ */
+function rde2Compliant(vehicle) {
+  const flag = vehicle.rde2_compliant
+  if (flag === true || flag === false) return flag
+  if (flag === 'true' || flag === 'false') return flag === 'true'
+  const standard = String(vehicle.euro_standard ?? '').trim()
+  const match = standard.match(/^(?:euro\s*)?(\d+)\s*([a-z].*)?$/i)
+  if (!match) return null
+  const level = Number(match[1])
+  if (level !== 6) return level > 6
+  const suffix = String(match[2] || '').replace(/[\s-]/g, '').toLowerCase()
+  // A bare "6" (e.g. stored as a number) does not say whether it is 6d
+  if (!suffix) return null
+  // 6d and every later stage (6d-ISC, 6d-ISC-FCM, 6e...) meet RDE2; 6d-TEMP and 6a-6c do not
+  if (suffix.startsWith('dtemp')) return false
+  return suffix[0] === 'd' || suffix[0] > 'd'
+}
+
+/**
+ * Appropriate percentage for a vehicle
+ * @param {object} vehicle - { co2_emissions, electric_range, fuel_type, euro_standard, rde2_compliant }
+ * @param {string} taxYear - e.g. '2025-26'
+ * @returns {object} { percentage, band, dieselSupplement, assumed: [notes] } or { percentage: null, reason }
+ */
+function bikPercentage(vehicle, taxYear) {
+  const table = BIK_TABLES[taxYear]
+  if (!table) throw new Error(`No BIK table for ${taxYear}`)
+  const assumed = []
+
+  let co2 = isNumber(vehicle.co2_emissions) ? Number(vehicle.co2_emissions) : null
+  if (co2 === null && isElectric(vehicle.fuel_type)) {
+    co2 = 0
+    assumed.push('no CO2 figure; zero emission from fuel type')
+  }
+  if (co2 === null) return { percentage: null, reason: 'no CO2 figure' }
+
+  let percentage
+  let band
+  if (co2 <= 0) {
+    percentage = table.zeroEmission
+    band = '0 g/km'
+  } else if (co2 <= 50) {
+    const range = isNumber(vehicle.electric_range) ? Number(vehicle.electric_range) : null
+    if (range === null) assumed.push('no electric range; taken as under 30 miles')
+    const i = RANGE_BANDS.findIndex((min) => (range || 0) >= min)
+    percentage = table.byRange[i]
+    band = `1-50 g/km, ${i === 0 ? '130+' : i === RANGE_BANDS.length - 1 ? 'under 30' : `${RANGE_BANDS[i]}-${RANGE_BANDS[i - 1] - 1}`} miles`
+  } else {
+    const steps = co2 < 55 ? 0 : Math.floor((co2 - 55) / 5) + 1
+    percentage = Math.min(MAX_PERCENTAGE, table.from51 + steps)
+    band = co2 < 55 ? '51-54 g/km' : `${55 + (steps - 1) * 5}-${59 + (steps - 1) * 5} g/km`
+  }
+
+  let supplement = false
+  if (isDiesel(vehicle.fuel_type)) {
+    const rde2 = rde2Compliant(vehicle)
+    supplement = rde2 !== true
+    if (rde2 === null) assumed.push('RDE2 compliance unknown; 4% diesel supplement applied')
+  }
+  if (supplement) percentage = Math.min(MAX_PERCENTAGE, percentage + DIESEL_SUPPLEMENT)
+
+  return { percentage, band, dieselSupplement: supplement, assumed }
+}
+
+/**
+ * Annual taxable benefit of a car provided through salary sacrifice
+ * @param {object} vehicle - { p11d_price, co2_emissions, electric_range, fuel_type, euro_standard, rde2_compliant }
+ * @param {string} taxYear
+ * @param {number} annualSacrifice - Salary given up for the car each year
+ * @returns {object} { percentage, band, cashEquivalent, opra, taxableBenefit, assumed } or { taxableBenefit: null, reason }
+ */
+function carBenefit(vehicle, taxYear, annualSacrifice = 0) {
+  const rate = bikPercentage(vehicle, taxYear)
+  if (rate.percentage === null) return { taxableBenefit: null, reason: rate.reason }
+  if (!(Number(vehicle.p11d_price) > 0)) return { percentage: rate.percentage, taxableBenefit: null, reason: 'no P11D price' }
+
+  const cashEquivalent = Math.round(Number(vehicle.p11d_price) * rate.percentage) / 100
+  // Above 75 g/km the salary given up counts when it is the larger figure
+  const opra = Number(vehicle.co2_emissions) > OPRA_CO2_LIMIT && annualSacrifice > cashEquivalent
+  return {
+    percentage: rate.percentage,
+    band: rate.band,
+    dieselSupplement: rate.dieselSupplement,
+    cashEquivalent,
+    opra,
+    taxableBenefit: opra ? annualSacrifice : cashEquivalent,
+    assumed: rate.assumed,
+  }
+}
+
+module.exports = {
+  BIK_TABLES,
+  OPRA_CO2_LIMIT,
+  rde2Compliant,
+  bikPercentage,
+  carBenefit,
+}
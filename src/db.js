@@ -1,4 +1,20 @@
 const { Pool } = require('pg');
+const { buildDealQuery } = require('./dealQuery');
+const { buildFacetQueries, shapeFacets } = require('./dealFacets');
+const { keyColumns, buildPageQueries, finishPage, pagePosition, checkCursor } = require('./pagination');
+const { withLeaseCost } = require('./leaseCost');
+const { mergeScoreSettings, checkScoreSettings, scoreOffer } = require('./dealScore');
+
+// Staged rows of sessions that failed for good, recorded as insert errors so the rejected-rows
+// export still lists rows whose chunk never committed. Reads a `failed (id, next_seq, error_message)` CTE.
+const RECORD_UNINSERTED_ROWS = `
+  INSERT INTO upload_row_errors (session_id, source_file, sheet_name, row_number, raw_values, reason, stage)
+  SELECT f.id, u.payload->'_source'->>'file', u.payload->'_source'->>'sheet',
+         (u.payload->'_source'->>'row')::int, u.payload->'_source'->'raw',
+         'Not inserted: ' || COALESCE(f.error_message, 'upload processing failed'), 'insert'
+    FROM failed f
+    JOIN upload_session_rows u ON u.session_id = f.id AND u.seq >= f.next_seq
+  RETURNING 1`;
 
 class LeaseAnalysisDB {
   constructor(config = {}) {
@@ -55,6 +71,12 @@ class LeaseAnalysisDB {
         useSSL
       )
     }
+    this.refreshListeners = [];
+  }
+
+  // Run `listener(result)` after every successful best-deals refresh (e.g. saved-search alerts)
+  onBestDealsRefreshed(listener) {
+    this.refreshListeners.push(listener);
   }
 
   async query(text, params) {
@@ -67,26 +89,83 @@ class LeaseAnalysisDB {
     }
   }
 
+  // One keyset page of a list query (see pagination.js). `text` is unordered and unlimited and
+  // selects `keys` as _k0.._kn; count is 'exact', 'estimated' (planner estimate) or 'none'.
+  async pagedQuery({ text, params = [], keys, limit = 100, cursor = null, offset = 0, count = 'exact' }) {
+    const problem = checkCursor(cursor, keys)
+    if (problem) return { success: false, error: problem, invalidCursor: true, data: [] }
+    const spec = { text, params, keys, limit, cursor, offset }
+    const queries = buildPageQueries(spec)
+    const result = await this.query(queries.page.text, queries.page.params)
+    const page = finishPage(result.rows, spec)
+
+    let total = null
+    let position = { page: null, pages: null }
+    if (count === 'exact') {
+      const counted = await this.query(queries.count.text, queries.count.params)
+      total = counted.rows[0].total
+      position = pagePosition(counted.rows[0], { ...spec, rowCount: page.rows.length })
+    } else if (count === 'estimated') {
+      const plan = await this.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM (${text}) page`, params)
+      total = Math.round(plan.rows[0]['QUERY PLAN'][0].Plan['Plan Rows'])
+    }
+    return {
+      success: true,
+      data: page.rows,
+      limit,
+      total,
+      totalType: count,
+      ...position,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    }
+  }
+
   // ===================== BEST DEALS =====================
-  async getBestDeals(filters = {}) {
-    const {
-      manufacturer,
-      fuelType,
-      maxMonthly,
-      minScore,
-      bodyStyle,
-      limit = 100,
-      offset = 0,
-    } = filters;
+  // query: parsed best-deals query ({ filters, sort, limit, offset, cursor, count }, see dealQuery.parseDealQuery)
+  async getBestDeals(query = {}) {
+    try {
+      const { limit = 100, offset = 0, cursor = null, count = 'exact' } = query;
+      return await this.pagedQuery({ ...buildDealQuery(query), limit, offset, cursor, count });
+    } catch (error) {
+      console.error('Error fetching best deals:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  // Value counts per filter dimension for the same parsed query (see dealFacets.js)
+  async getDealFacets(query = {}, options = {}) {
+    try {
+      const queries = buildFacetQueries(query, options);
+      const results = await Promise.all(queries.map((q) => this.query(q.text, q.params)));
+      return { success: true, ...shapeFacets(queries, results.map((r) => r.rows), query.filters) };
+    } catch (error) {
+      console.error('Error fetching deal facets:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
+  // The best-scoring matching deals (up to limit) with what the salary sacrifice scheme model needs
+  async getSchemeDeals(query = {}, { limit = 500 } = {}) {
     try {
+      const q = buildDealQuery({ ...query, sort: [] }, {
+        select: ({ byOffer }) => {
+          const monthly = byOffer ? 'o.monthly_rental' : 'b.best_monthly_rental';
+          const effective = byOffer ? 'o.effective_monthly' : 'c.effective_monthly';
+          return `b.vehicle_id, ${monthly} AS monthly_rental, COALESCE(${effective}, ${monthly}) AS effective_monthly,
+           v.p11d_price, v.co2_emissions, v.electric_range, v.fuel_type::text AS fuel_type, v.rde2_compliant`;
+        },
+      });
       const result = await this.query(
-        `SELECT * FROM get_best_deals($1, $2, $3, $4, $5, $6, $7)`,
-        [manufacturer, fuelType, maxMonthly, minScore, bodyStyle, limit, offset]
+        `${q.text}
+     ORDER BY b.best_deal_score DESC NULLS LAST, b.vehicle_id
+     LIMIT ${Number(limit) + 1}`,
+        q.params
       );
-      return { success: true, data: result.rows, total: result.rows.length };
+      const truncated = result.rows.length > limit;
+      return { success: true, data: truncated ? result.rows.slice(0, limit) : result.rows, truncated };
     } catch (error) {
-      console.error('Error fetching best deals:', error);
+      console.error('Error fetching scheme deals:', error);
       return { success: false, error: error.message, data: [] };
     }
   }
@@ -110,13 +189,144 @@ class LeaseAnalysisDB {
         `SELECT * FROM get_vehicle_offers_comparison($1)`,
         [vehicleId]
       );
-      return { success: true, data: result.rows };
+      return { success: true, data: result.rows.map(withLeaseCost) };
     } catch (error) {
       console.error('Error fetching vehicle offers:', error);
       return { success: false, error: error.message, data: [] };
     }
   }
 
+  // Everything the offer matrix needs for one vehicle: the vehicle, its live offers and the
+  // latest Drivalia/Lex quote per term/mileage/maintenance from the last `quoteMaxAgeDays`
+  async getVehicleOfferMatrixData(vehicleId, { quoteMaxAgeDays = 30 } = {}) {
+    try {
+      const vehicle = await this.query('SELECT * FROM vehicles WHERE id = $1', [vehicleId]);
+      if (vehicle.rows.length === 0) return { success: false, error: 'not_found' };
+      const [offers, quotes] = await Promise.all([
+        this.query(
+          `SELECT lo.id AS offer_id, COALESCE(p.display_name, p.name) AS provider_name,
+                  lo.term_months, lo.annual_mileage, COALESCE(lo.maintenance_included, false) AS maintenance_included,
+                  lo.monthly_rental, lo.upfront_payment, lo.admin_fee, lo.upfront_profile,
+                  lo.total_cost, lo.effective_monthly, lo.offer_valid_until
+             FROM lease_offers lo
+             JOIN providers p ON p.id = lo.provider_id
+            WHERE lo.vehicle_id = $1`,
+          [vehicleId]
+        ),
+        this.query(
+          `SELECT DISTINCT ON (source, provider_name, term_months, annual_mileage, maintenance_included) *
+             FROM (
+               SELECT 'drivalia' AS source, COALESCE(q.supplier_name, 'Drivalia') AS provider_name,
+                      q.term AS term_months, q.mileage AS annual_mileage,
+                      COALESCE(q.maintenance_included, false) AS maintenance_included,
+                      q.monthly_rental, q.initial_payment AS upfront_payment,
+                      NULL::numeric AS total_cost, NULL::numeric AS effective_monthly,
+                      q.fetched_at AS quoted_at, q.job_id::text AS job_id
+                 FROM drivalia_quotes q
+                WHERE q.vehicle_id = $1
+               UNION ALL
+               -- /api/drivalia/jobs stores its quotes in lex_quotes (quote_id 'drivalia_job_<job>_<ts>'),
+               -- with initial_rental set to monthly x term; those rows are Drivalia's, with no known
+               -- upfront but Drivalia's own total cost
+               SELECT CASE WHEN d.job IS NOT NULL THEN 'drivalia' ELSE 'lex' END,
+                      CASE WHEN d.job IS NOT NULL THEN 'Drivalia' ELSE 'Lex' END,
+                      q.term, q.mileage, COALESCE(q.maintenance, false), q.monthly_rental,
+                      CASE WHEN d.job IS NULL THEN q.initial_rental END,
+                      CASE WHEN d.job IS NOT NULL THEN q.total_cost END,
+                      CASE WHEN d.job IS NOT NULL THEN round(q.total_cost / NULLIF(q.term, 0), 2) END,
+                      q.fetched_at, COALESCE(d.job, q.job_id::text)
+                 FROM lex_quotes q
+                 CROSS JOIN LATERAL (SELECT substring(q.quote_id FROM '^drivalia_job_(.+)_[0-9]+$') AS job) d
+                WHERE q.vehicle_id = $1
+             ) quotes
+            WHERE monthly_rental IS NOT NULL
+              AND quoted_at >= CURRENT_TIMESTAMP - make_interval(days => $2)
+            ORDER BY source, provider_name, term_months, annual_mileage, maintenance_included, quoted_at DESC`,
+          [vehicleId, quoteMaxAgeDays]
+        ),
+      ]);
+      return { success: true, data: { vehicle: vehicle.rows[0], offers: offers.rows, quotes: quotes.rows } };
+    } catch (error) {
+      console.error('Error fetching offer matrix data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Vehicles plus each one's best offer for the given terms (any left null are not filtered on).
+  // An offer with the requested initial payment (upfront_months, or upfront / monthly for older
+  // offers) beats one without; then the lowest effective monthly wins.
+  async getComparisonData(vehicleIds, { term = null, mileage = null, maintenance = null, upfrontMonths = null } = {}) {
+    try {
+      const [vehicles, offers] = await Promise.all([
+        this.query('SELECT * FROM vehicles WHERE id = ANY($1::int[])', [vehicleIds]),
+        this.query(
+          `SELECT DISTINCT ON (lo.vehicle_id)
+                  lo.id AS offer_id, lo.vehicle_id, COALESCE(p.display_name, p.name) AS provider_name,
+                  lo.term_months, lo.annual_mileage, COALESCE(lo.maintenance_included, false) AS maintenance_included,
+                  lo.monthly_rental, lo.upfront_payment, lo.upfront_months, lo.upfront_profile, lo.admin_fee,
+                  lo.total_cost, lo.effective_monthly, lo.offer_valid_until,
+                  ($5::numeric IS NULL OR
+                   COALESCE(lo.upfront_months, round(lo.upfront_payment / NULLIF(lo.monthly_rental, 0))) = $5::numeric)
+                    AS upfront_match
+             FROM lease_offers lo
+             JOIN providers p ON p.id = lo.provider_id
+            WHERE lo.vehicle_id = ANY($1::int[])
+              AND ($2::int IS NULL OR lo.term_months = $2::int)
+              AND ($3::int IS NULL OR lo.annual_mileage = $3::int)
+              AND ($4::boolean IS NULL OR COALESCE(lo.maintenance_included, false) = $4::boolean)
+            ORDER BY lo.vehicle_id, upfront_match DESC, lo.effective_monthly NULLS LAST, lo.monthly_rental`,
+          [vehicleIds, term, mileage, maintenance, upfrontMonths]
+        ),
+      ]);
+      return { success: true, data: { vehicles: vehicles.rows, offers: offers.rows } };
+    } catch (error) {
+      console.error('Error fetching comparison data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Daily lowest price per provider/term/mileage/maintenance between from and to (YYYY-MM-DD),
+  // plus each combination's last price before `from` (observed = false) so charts start from it
+  async getPriceHistory(vehicleId, { from, to, provider = null, term = null, mileage = null, maintenance = null } = {}) {
+    try {
+      const result = await this.query(
+        `WITH h AS (
+            SELECT provider_name, term_months, annual_mileage, maintenance_included,
+                   recorded_at::date AS day, monthly_rental
+              FROM price_history
+             WHERE vehicle_id = $1
+               AND recorded_at::date <= $3::date
+               AND ($4::text IS NULL OR lower(provider_name) = lower($4))
+               AND ($5::int IS NULL OR term_months = $5)
+               AND ($6::int IS NULL OR annual_mileage = $6)
+               AND ($7::boolean IS NULL OR maintenance_included = $7)
+         ), carried AS (
+            SELECT DISTINCT ON (provider_name, term_months, annual_mileage, maintenance_included)
+                   provider_name, term_months, annual_mileage, maintenance_included,
+                   $2::date AS day, monthly_rental, false AS observed
+              FROM h
+             WHERE day < $2::date
+             ORDER BY provider_name, term_months, annual_mileage, maintenance_included, day DESC, monthly_rental
+         )
+         SELECT provider_name, term_months, annual_mileage, maintenance_included, day::text AS day,
+                MIN(monthly_rental) AS monthly_rental, true AS observed
+           FROM h
+          WHERE day >= $2::date
+          GROUP BY provider_name, term_months, annual_mileage, maintenance_included, day
+         UNION ALL
+         SELECT provider_name, term_months, annual_mileage, maintenance_included, day::text,
+                monthly_rental, observed
+           FROM carried
+          ORDER BY day`,
+        [vehicleId, from, to, provider, term, mileage, maintenance]
+      );
+      return { success: true, data: result.rows };
+    } catch (error) {
+      console.error('Error fetching price history:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
   // ===================== DASHBOARD =====================
   async getMarketStats() {
     try {
@@ -139,7 +349,8 @@ class LeaseAnalysisDB {
   }
 
   // ===================== UPLOADS =====================
-  async createUploadSession(providerName, filename, fileFormat, totalRows, uploadedBy) {
+  async createUploadSession(providerName, filename, fileFormat, totalRows, uploadedBy, options = {}) {
+    const { mappingVersion = null, sourceSheets = null, uploadMode = 'append' } = options;
     try {
       let providerResult = await this.query(
         'SELECT id FROM providers WHERE name = $1',
@@ -159,9 +370,9 @@ class LeaseAnalysisDB {
 
       const result = await this.query(
         `INSERT INTO upload_sessions (
-            provider_id, filename, file_format, total_rows, uploaded_by
-         ) VALUES ($1, $2, $3, $4, $5) RETURNING id`,
-        [providerId, filename, fileFormat, totalRows, uploadedBy]
+            provider_id, filename, file_format, total_rows, uploaded_by, mapping_version, source_sheets, upload_mode
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8) RETURNING id`,
+        [providerId, filename, fileFormat, totalRows, uploadedBy, mappingVersion, sourceSheets ? JSON.stringify(sourceSheets) : null, uploadMode]
       );
 
       return { success: true, sessionId: result.rows[0].id, providerId };
@@ -176,6 +387,7 @@ class LeaseAnalysisDB {
     let processedCount = 0;
     let errorCount = 0;
     const errors = [];
+    const offerIds = [];
 
     try {
       await client.query('BEGIN');
@@ -183,11 +395,11 @@ class LeaseAnalysisDB {
       for (const vehicle of vehicleData) {
         try {
           await client.query('SAVEPOINT sp_row');
-          await client.query(
+          const inserted = await client.query(
             `SELECT insert_lease_offer(
               $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
               $15, $16, $17, $18, $19, $20, $21, $22
-            )`,
+            ) AS offer_id`,
             [
               vehicle.provider_name,
               sessionId,
@@ -217,8 +429,10 @@ class LeaseAnalysisDB {
               vehicle.special_conditions || null,
             ]
           );
+          const offerId = this.insertedOfferId(inserted);
           await client.query('RELEASE SAVEPOINT sp_row');
           processedCount++;
+          offerIds.push(offerId);
         } catch (error) {
           errorCount++;
           // Roll back only the current row so we can continue
@@ -234,6 +448,8 @@ class LeaseAnalysisDB {
         }
       }
 
+      await this.checkSessionOfferIds(client, sessionId, offerIds);
+      await this.recordOfferPriceHistory(client, offerIds);
       await client.query(
         `UPDATE upload_sessions 
            SET processed_rows = $1,
@@ -270,12 +486,18 @@ class LeaseAnalysisDB {
     }
   }
 
-  // Process a chunk of vehicle data without touching upload_sessions status
-  async processVehicleDataChunk(sessionId, vehicleData) {
+  // Process a chunk of vehicle data without touching upload_sessions status.
+  // With options.checkpoint ({ nextSeq, workerId }) the session checkpoint and row errors are
+  // committed in the same transaction as the offers, so a resumed upload never repeats a chunk.
+  async processVehicleDataChunk(sessionId, vehicleData, options = {}) {
+    const { checkpoint = null } = options;
     const client = await this.pool.connect();
     let processedCount = 0;
     let errorCount = 0;
     const errors = [];
+    const sources = [];
+    const profiles = [];
+    const offerIds = [];
 
     try {
       await client.query('BEGIN');
@@ -283,11 +505,11 @@ class LeaseAnalysisDB {
       for (const vehicle of vehicleData) {
         try {
           await client.query('SAVEPOINT sp_row');
-          await client.query(
+          const inserted = await client.query(
             `SELECT insert_lease_offer(
               $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
               $15, $16, $17, $18, $19, $20, $21, $22
-            )`,
+            ) AS offer_id`,
             [
               vehicle.provider_name,
               sessionId,
@@ -317,18 +539,97 @@ class LeaseAnalysisDB {
               vehicle.special_conditions || null,
             ]
           );
+          const offerId = this.insertedOfferId(inserted);
           await client.query('RELEASE SAVEPOINT sp_row');
           processedCount++;
+          offerIds.push(offerId);
+          if (vehicle._source) {
+            sources.push({
+              id: offerId,
+              file: vehicle._source.file ?? null,
+              sheet: vehicle._source.sheet ?? null,
+              row: vehicle._source.row,
+            });
+          }
+          if (vehicle.upfront_profile) {
+            const p = vehicle.upfront_profile;
+            profiles.push({ id: offerId, basis: p.basis, months: p.initial_months, profile: p.profile, raw: p.raw });
+          }
         } catch (error) {
           errorCount++;
           try { await client.query('ROLLBACK TO SAVEPOINT sp_row'); } catch (_) {}
-          errors.push({ vehicle: `${vehicle.manufacturer} ${vehicle.model}`, error: error.message });
+          errors.push({
+            vehicle: `${vehicle.manufacturer} ${vehicle.model}`,
+            error: error.message,
+            source_file: vehicle._source ? vehicle._source.file ?? null : null,
+            sheet_name: vehicle._source ? vehicle._source.sheet ?? null : null,
+            row_number: vehicle._source ? vehicle._source.row : null,
+            raw_values: vehicle._source ? vehicle._source.raw : null,
+          });
           console.error(`Error processing vehicle ${vehicle.manufacturer} ${vehicle.model}:`, error);
         }
       }
 
-      await client.query('COMMIT');
-      return { success: true, processed: processedCount, errors: errorCount, errorDetails: errors.slice(0, 5) };
+      await this.checkSessionOfferIds(client, sessionId, offerIds);
+      // Record which file/sheet/row of the upload each offer came from
+      if (sources.length > 0) {
+        await client.query(
+          `UPDATE lease_offers lo
+              SET source_file = s.file, source_sheet = s.sheet, source_row = s.row
+             FROM jsonb_to_recordset($1::jsonb) AS s(id INTEGER, file TEXT, sheet TEXT, row INTEGER)
+            WHERE lo.id = s.id`,
+          [JSON.stringify(sources)]
+        );
+      }
+      // ...and how its upfront payment was interpreted
+      if (profiles.length > 0) {
+        await client.query(
+          `UPDATE lease_offers lo
+              SET upfront_basis = p.basis, upfront_months = p.months, upfront_profile = p.profile, upfront_raw = p.raw
+             FROM jsonb_to_recordset($1::jsonb) AS p(id INTEGER, basis TEXT, months NUMERIC, profile TEXT, raw TEXT)
+            WHERE lo.id = p.id`,
+          [JSON.stringify(profiles)]
+        );
+      }
+      // Price history is committed with the offers, so a resumed chunk never records twice
+      await this.recordOfferPriceHistory(client, offerIds);
+
+      const rowErrors = errors.map((e) => ({
+        source_file: e.source_file,
+        sheet_name: e.sheet_name,
+        row_number: e.row_number,
+        raw_values: e.raw_values,
+        reason: e.error,
+        stage: 'insert',
+      }));
+
+      if (checkpoint) {
+        if (rowErrors.length > 0) await this.recordUploadErrors(sessionId, rowErrors, client);
+        const advanced = await client.query(
+          `UPDATE upload_sessions
+              SET next_seq = $1,
+                  processed_rows = COALESCE(processed_rows, 0) + $2,
+                  inserted_rows = inserted_rows + $3,
+                  locked_at = CURRENT_TIMESTAMP
+            WHERE id = $4 AND locked_by = $5`,
+          [checkpoint.nextSeq, vehicleData.length, processedCount, sessionId, checkpoint.workerId]
+        );
+        if (advanced.rowCount === 0) {
+          // Another worker took the session over (our lock went stale); let it redo this chunk
+          await client.query('ROLLBACK');
+          return { success: false, lostLock: true, error: 'upload session lock lost', processed: 0, errors: 0 };
+        }
+        await client.query('COMMIT');
+      } else {
+        await client.query('COMMIT');
+        if (rowErrors.length > 0) await this.recordUploadErrors(sessionId, rowErrors);
+      }
+      return {
+        success: true,
+        processed: processedCount,
+        errors: errorCount,
+        errorDetails: errors.slice(0, 5).map(({ vehicle, error }) => ({ vehicle, error })),
+      };
     } catch (error) {
       await client.query('ROLLBACK');
       console.error('Chunk transaction error:', error);
@@ -338,35 +639,594 @@ class LeaseAnalysisDB {
     }
   }
 
+  // The lease_offers id returned by insert_lease_offer (its return type is pinned by
+  // migrations/2026-10-18_check_insert_lease_offer.sql). Throws inside the row's
+  // savepoint, so a row without an id is rolled back and reported as failed.
+  insertedOfferId(result) {
+    const offerId = result.rows[0] ? Number(result.rows[0].offer_id) : NaN;
+    if (!Number.isInteger(offerId) || offerId <= 0) {
+      throw new Error('insert_lease_offer did not return the new offer id');
+    }
+    return offerId;
+  }
+
+  // Source, upfront-profile and price-history writes key on the returned ids; make
+  // sure they are this session's offers before anything is written against them.
+  async checkSessionOfferIds(client, sessionId, offerIds) {
+    if (offerIds.length === 0) return;
+    const q = await client.query(
+      `SELECT COUNT(*)::int AS count FROM lease_offers WHERE id = ANY($1::int[]) AND upload_session_id = $2`,
+      [offerIds, sessionId]
+    );
+    if (q.rows[0].count !== new Set(offerIds).size) {
+      throw new Error('insert_lease_offer returned ids that are not offers from this upload');
+    }
+  }
+
+  // Record the prices of newly inserted lease_offers rows in price_history
+  async recordOfferPriceHistory(client, offerIds) {
+    if (!offerIds || offerIds.length === 0) return;
+    await client.query(
+      `INSERT INTO price_history (
+         vehicle_id, provider_id, provider_name, term_months, annual_mileage, maintenance_included,
+         monthly_rental, upfront_payment, source, source_ref
+       )
+       SELECT lo.vehicle_id, lo.provider_id, p.name, lo.term_months, lo.annual_mileage,
+              COALESCE(lo.maintenance_included, false), lo.monthly_rental, lo.upfront_payment,
+              'upload', lo.upload_session_id::text
+         FROM lease_offers lo
+         JOIN providers p ON p.id = lo.provider_id
+        WHERE lo.id = ANY($1::int[]) AND lo.monthly_rental IS NOT NULL`,
+      [offerIds]
+    );
+  }
+
+  // Persist rejected/failed rows against an upload session.
+  // errors: [{ sheet_name, row_number, raw_values, reason, stage }]
+  async recordUploadErrors(sessionId, errors, client = null) {
+    if (!errors || errors.length === 0) return { success: true, recorded: 0 };
+    try {
+      const result = await (client || this).query(
+        `INSERT INTO upload_row_errors (session_id, source_file, sheet_name, row_number, raw_values, reason, stage)
+         SELECT $1, r.source_file, r.sheet_name, r.row_number, r.raw_values, r.reason, COALESCE(r.stage, 'validation')
+           FROM jsonb_to_recordset($2::jsonb)
+             AS r(source_file TEXT, sheet_name TEXT, row_number INTEGER, raw_values JSONB, reason TEXT, stage TEXT)`,
+        [sessionId, JSON.stringify(errors)]
+      );
+      return { success: true, recorded: result.rowCount };
+    } catch (error) {
+      console.error('Error recording upload row errors:', error);
+      return { success: false, error: error.message, recorded: 0 };
+    }
+  }
+
+  async getUploadErrors(sessionId, { limit = 500, offset = 0 } = {}) {
+    try {
+      const [rows, count] = await Promise.all([
+        this.query(
+          `SELECT id, source_file, sheet_name, row_number, raw_values, reason, stage, created_at
+             FROM upload_row_errors
+            WHERE session_id = $1
+            ORDER BY source_file NULLS FIRST, sheet_name NULLS FIRST, row_number NULLS LAST, id
+            LIMIT $2 OFFSET $3`,
+          [sessionId, limit, offset]
+        ),
+        this.query(
+          `SELECT stage, COUNT(*)::int AS count
+             FROM upload_row_errors
+            WHERE session_id = $1
+            GROUP BY stage`,
+          [sessionId]
+        ),
+      ]);
+      const byStage = {};
+      let total = 0;
+      count.rows.forEach((r) => {
+        byStage[r.stage] = r.count;
+        total += r.count;
+      });
+      return { success: true, data: rows.rows, total, byStage };
+    } catch (error) {
+      console.error('Error fetching upload errors:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  async exportUploadErrors(sessionId, format = 'xlsx') {
+    try {
+      const XLSX = require('xlsx');
+      const q = await this.query(
+        `SELECT source_file, sheet_name, row_number, raw_values, reason, stage
+           FROM upload_row_errors
+          WHERE session_id = $1
+          ORDER BY source_file NULLS FIRST, sheet_name NULLS FIRST, row_number NULLS LAST, id`,
+        [sessionId]
+      );
+      if (q.rows.length === 0) return { success: false, error: 'not_found' };
+
+      // Keep the provider's original column order so the rejects can be corrected and resubmitted
+      const rawColumns = [];
+      q.rows.forEach((r) => {
+        Object.keys(r.raw_values || {}).forEach((k) => {
+          if (!rawColumns.includes(k)) rawColumns.push(k);
+        });
+      });
+      const hasFiles = q.rows.some((r) => r.source_file);
+      const hasSheets = q.rows.some((r) => r.sheet_name);
+      const header = [
+        ...(hasFiles ? ['File'] : []),
+        ...(hasSheets ? ['Sheet'] : []),
+        'Row Number', 'Reason', 'Stage', ...rawColumns,
+      ];
+      const data = q.rows.map((r) => [
+        ...(hasFiles ? [r.source_file] : []),
+        ...(hasSheets ? [r.sheet_name] : []),
+        r.row_number,
+        r.reason,
+        r.stage,
+        ...rawColumns.map((k) => (r.raw_values && r.raw_values[k] !== undefined ? r.raw_values[k] : '')),
+      ]);
+
+      const worksheet = XLSX.utils.aoa_to_sheet([header, ...data]);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Rejected Rows');
+      const bookType = format === 'csv' ? 'csv' : 'xlsx';
+      const buffer = XLSX.write(workbook, { type: 'buffer', bookType });
+      return { success: true, buffer, format: bookType, rows: q.rows.length };
+    } catch (error) {
+      console.error('Error exporting upload errors:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===================== UPLOAD QUEUE =====================
+  // Stage valid rows for a session and queue it. Rows already rejected during validation
+  // count as processed up front so processed_rows converges to total_rows.
+  async stageUploadRows(sessionId, vehicles, { totalRows } = {}) {
+    const client = await this.pool.connect();
+    const batchSize = 1000;
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM upload_session_rows WHERE session_id = $1', [sessionId]);
+      for (let i = 0; i < vehicles.length; i += batchSize) {
+        await client.query(
+          `INSERT INTO upload_session_rows (session_id, seq, payload)
+           SELECT $1, $2 + t.ord - 1, t.elem
+             FROM jsonb_array_elements($3::jsonb) WITH ORDINALITY AS t(elem, ord)`,
+          [sessionId, i, JSON.stringify(vehicles.slice(i, i + batchSize))]
+        );
+      }
+      const total = totalRows ?? vehicles.length;
+      await client.query(
+        `UPDATE upload_sessions
+            SET total_rows = $1,
+                staged_rows = $2,
+                processed_rows = $3,
+                inserted_rows = 0,
+                next_seq = 0,
+                status = 'queued',
+                locked_by = NULL,
+                locked_at = NULL
+          WHERE id = $4`,
+        [total, vehicles.length, total - vehicles.length, sessionId]
+      );
+      await client.query('COMMIT');
+      return { success: true, staged: vehicles.length };
+    } catch (error) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      console.error('Error staging upload rows:', error);
+      return { success: false, error: error.message };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Claim the oldest queued session, or one whose worker stopped heartbeating
+  async claimUploadSession(workerId, { staleMs = 120000, maxAttempts = 5 } = {}) {
+    try {
+      const q = await this.query(
+        `UPDATE upload_sessions
+            SET locked_by = $1,
+                locked_at = CURRENT_TIMESTAMP,
+                status = 'processing',
+                attempts = attempts + 1,
+                processing_started_at = COALESCE(processing_started_at, CURRENT_TIMESTAMP)
+          WHERE id = (
+            SELECT id FROM upload_sessions
+             WHERE status IN ('queued', 'processing')
+               AND staged_rows IS NOT NULL
+               AND attempts < $3
+               AND (locked_by IS NULL OR locked_at < CURRENT_TIMESTAMP - $2::int * INTERVAL '1 millisecond')
+             ORDER BY id
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+          )
+          RETURNING id, staged_rows, next_seq, attempts`,
+        [workerId, staleMs, maxAttempts]
+      );
+      return { success: true, data: q.rows[0] || null };
+    } catch (error) {
+      console.error('Error claiming upload session:', error);
+      return { success: false, error: error.message, data: null };
+    }
+  }
+
+  async getStagedUploadRows(sessionId, fromSeq, limit) {
+    try {
+      const q = await this.query(
+        `SELECT seq, payload
+           FROM upload_session_rows
+          WHERE session_id = $1 AND seq >= $2
+          ORDER BY seq
+          LIMIT $3`,
+        [sessionId, fromSeq, limit]
+      );
+      return { success: true, data: q.rows };
+    } catch (error) {
+      console.error('Error reading staged upload rows:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  // Mark a session completed. Replacing uploads retire the provider's earlier offers in the
+  // same transaction, so best deals never see a half-replaced ratebook.
+  async completeUploadSession(sessionId, workerId) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const s = await client.query(
+        `SELECT provider_id, upload_mode, inserted_rows
+           FROM upload_sessions
+          WHERE id = $1 AND locked_by = $2
+          FOR UPDATE`,
+        [sessionId, workerId]
+      );
+      if (s.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { success: false, lostLock: true, error: 'upload session lock lost' };
+      }
+
+      const { provider_id: providerId, upload_mode: mode, inserted_rows: insertedRows } = s.rows[0];
+      let superseded = null;
+      if (mode && mode !== 'append') {
+        if (insertedRows > 0) {
+          superseded = await this.retireSupersededOffers(client, sessionId, providerId, mode);
+        } else {
+          // Never wipe a provider's offers because the replacement file inserted nothing
+          superseded = { mode, retired: 0, skipped: 'No offers were inserted; previous offers left in place' };
+        }
+      }
+
+      await client.query(
+        `UPDATE upload_sessions
+            SET status = 'completed',
+                processed_rows = total_rows,
+                processing_completed_at = CURRENT_TIMESTAMP,
+                superseded_summary = $2::jsonb,
+                locked_by = NULL,
+                locked_at = NULL
+          WHERE id = $1`,
+        [sessionId, superseded ? JSON.stringify(superseded) : null]
+      );
+      await client.query('COMMIT');
+      await this.query('DELETE FROM upload_session_rows WHERE session_id = $1', [sessionId]);
+      return { success: true, superseded };
+    } catch (error) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      console.error('Error completing upload session:', error);
+      return { success: false, error: error.message };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Move the provider's offers from earlier sessions into retired_lease_offers.
+  // replace-provider retires all of them; replace-matching-terms only those whose
+  // term/mileage/maintenance combination appears in the new file. Runs inside the
+  // caller's transaction and throws on failure, so the session is not completed with
+  // the old offers still live.
+  async retireSupersededOffers(client, sessionId, providerId, mode) {
+    const q = await client.query(
+      `WITH new_keys AS (
+          SELECT DISTINCT vehicle_id, term_months, annual_mileage, maintenance_included
+            FROM lease_offers
+           WHERE upload_session_id = $1
+       ), retired AS (
+          DELETE FROM lease_offers lo
+           WHERE lo.provider_id = $2
+             AND lo.upload_session_id IS DISTINCT FROM $1
+             AND ($3 = 'replace-provider'
+                  OR (lo.term_months, lo.annual_mileage, COALESCE(lo.maintenance_included, false)) IN (
+                       SELECT term_months, annual_mileage, COALESCE(maintenance_included, false) FROM new_keys))
+          RETURNING lo.*
+       ), archived AS (
+          INSERT INTO retired_lease_offers (
+            offer_id, provider_id, vehicle_id, upload_session_id, retired_by_session_id, reason, offer
+          )
+          SELECT r.id, r.provider_id, r.vehicle_id, r.upload_session_id, $1,
+                 CASE WHEN EXISTS (
+                   SELECT 1 FROM new_keys k
+                    WHERE k.vehicle_id = r.vehicle_id
+                      AND k.term_months = r.term_months
+                      AND k.annual_mileage = r.annual_mileage
+                      AND COALESCE(k.maintenance_included, false) = COALESCE(r.maintenance_included, false)
+                 ) THEN 'superseded' ELSE 'removed' END,
+                 to_jsonb(r)
+            FROM retired r
+          RETURNING reason
+       )
+       SELECT reason, COUNT(*)::int AS count FROM archived GROUP BY reason`,
+      [sessionId, providerId, mode]
+    );
+    const counts = { superseded: 0, removed: 0 };
+    q.rows.forEach((r) => {
+      counts[r.reason] = r.count;
+    });
+    return { mode, retired: counts.superseded + counts.removed, ...counts };
+  }
+
+  async getSupersededOffers(sessionId, { limit = 500, offset = 0, reason = null } = {}) {
+    try {
+      const q = await this.query(
+        `SELECT r.offer_id, r.vehicle_id, r.upload_session_id, r.reason, r.retired_at,
+                v.manufacturer, v.model, v.variant, v.cap_code,
+                (r.offer->>'monthly_rental')::numeric AS monthly_rental,
+                (r.offer->>'term_months')::int AS term_months,
+                (r.offer->>'annual_mileage')::int AS annual_mileage,
+                (r.offer->>'maintenance_included')::boolean AS maintenance_included
+           FROM retired_lease_offers r
+           LEFT JOIN vehicles v ON v.id = r.vehicle_id
+          WHERE r.retired_by_session_id = $1
+            AND ($2::text IS NULL OR r.reason = $2)
+          ORDER BY v.manufacturer, v.model, v.variant, term_months, annual_mileage
+          LIMIT $3 OFFSET $4`,
+        [sessionId, reason, limit, offset]
+      );
+      return { success: true, data: q.rows };
+    } catch (error) {
+      console.error('Error fetching superseded offers:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  // Give a session back to the queue. With an error the attempt counts and the session fails
+  // once attempts run out; without one (graceful shutdown) the attempt is not counted.
+  async releaseUploadSession(sessionId, workerId, { error = null, maxAttempts = 5 } = {}) {
+    try {
+      const q = await this.query(
+        `WITH released AS (
+            UPDATE upload_sessions
+               SET locked_by = NULL,
+                   locked_at = NULL,
+                   status = CASE WHEN $3::text IS NOT NULL AND attempts >= $4 THEN 'failed' ELSE 'queued' END,
+                   attempts = CASE WHEN $3::text IS NULL THEN GREATEST(attempts - 1, 0) ELSE attempts END,
+                   error_message = COALESCE($3, error_message)
+             WHERE id = $1 AND locked_by = $2
+            RETURNING id, status, next_seq, error_message
+         ), failed AS (
+            SELECT id, next_seq, error_message FROM released WHERE status = 'failed'
+         ), recorded AS (${RECORD_UNINSERTED_ROWS}
+         )
+         SELECT (SELECT COUNT(*) FROM recorded)::int AS recorded`,
+        [sessionId, workerId, error, maxAttempts]
+      );
+      return { success: true, recordedRows: q.rows[0].recorded };
+    } catch (e) {
+      console.error('Error releasing upload session:', e);
+      return { success: false, error: e.message };
+    }
+  }
+
+  // Sessions that can never be resumed: pre-staging uploads left at 'processing', uploads
+  // interrupted while staging (the file only lived in memory) and sessions out of attempts
+  async failUnrecoverableUploads({ staleMs = 120000, maxAttempts = 5 } = {}) {
+    try {
+      const q = await this.query(
+        `WITH failed AS (
+            UPDATE upload_sessions
+               SET status = 'failed',
+                   locked_by = NULL,
+                   error_message = CASE
+                     WHEN attempts >= $2 THEN COALESCE(error_message, 'Gave up after repeated processing failures')
+                     ELSE 'Interrupted by a server restart before the file was staged; please upload it again'
+                   END
+             WHERE (status = 'processing' AND staged_rows IS NULL)
+                OR (status = 'staging' AND created_at < CURRENT_TIMESTAMP - $1::int * INTERVAL '1 millisecond')
+                OR (status IN ('queued', 'processing') AND attempts >= $2
+                    AND (locked_by IS NULL OR locked_at < CURRENT_TIMESTAMP - $1::int * INTERVAL '1 millisecond'))
+            RETURNING id, next_seq, error_message
+         ), recorded AS (${RECORD_UNINSERTED_ROWS}
+         )
+         SELECT id FROM failed`,
+        [staleMs, maxAttempts]
+      );
+      return { success: true, data: q.rows.map((r) => r.id) };
+    } catch (error) {
+      console.error('Error failing unrecoverable uploads:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
   async refreshBestDeals() {
     try {
+      // Expired offers must never win a best deal, so they go before every rebuild
+      const expired = await this.expireOffers();
       const result = await this.query('SELECT refresh_all_best_deals()');
-      return { success: true, processed: result.rows[0].refresh_all_best_deals };
+      // The SQL function's score is replaced by the configurable backend score
+      const rescored = await this.rescoreBestDeals();
+      const refreshed = {
+        success: true,
+        processed: result.rows[0].refresh_all_best_deals,
+        expired: expired.expired || 0,
+        rescored: rescored.rescored || 0,
+      };
+      this.refreshListeners.forEach((listener) => {
+        Promise.resolve()
+          .then(() => listener(refreshed))
+          .catch((e) => console.error('Best deals refresh listener error:', e));
+      });
+      return refreshed;
     } catch (error) {
       console.error('Error refreshing best deals:', error);
       return { success: false, error: error.message };
     }
   }
 
+  // The database's date and how long until it changes; expiry is judged against CURRENT_DATE
+  async getDatabaseDate() {
+    try {
+      const q = await this.query(
+        `SELECT CURRENT_DATE::text AS today,
+                (EXTRACT(EPOCH FROM ((CURRENT_DATE + 1)::timestamptz - CURRENT_TIMESTAMP)) * 1000)::bigint AS ms_to_next_day`
+      );
+      return { success: true, today: q.rows[0].today, msToNextDay: Number(q.rows[0].ms_to_next_day) };
+    } catch (error) {
+      console.error('Error reading database date:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Move offers past offer_valid_until into retired_lease_offers (reason 'expired').
+  // They stay readable there for upload diffs and history but drop out of best_deals_cache.
+  async expireOffers() {
+    try {
+      const q = await this.query(
+        `WITH expired AS (
+            DELETE FROM lease_offers
+             WHERE offer_valid_until < CURRENT_DATE
+            RETURNING *
+         ), archived AS (
+            INSERT INTO retired_lease_offers (offer_id, provider_id, vehicle_id, upload_session_id, reason, offer)
+            SELECT e.id, e.provider_id, e.vehicle_id, e.upload_session_id, 'expired', to_jsonb(e)
+              FROM expired e
+            RETURNING 1
+         )
+         SELECT COUNT(*)::int AS expired FROM archived`
+      );
+      return { success: true, expired: q.rows[0].expired };
+    } catch (error) {
+      console.error('Error expiring offers:', error);
+      return { success: false, error: error.message, expired: 0 };
+    }
+  }
+
   // ===================== STATUS =====================
   async getUploadStatus(sessionId) {
     try {
       const q = await this.query(
-        `SELECT id, provider_id, filename, file_format, total_rows, processed_rows, status,
-                processing_started_at, processing_completed_at, error_message
+        `SELECT id, provider_id, filename, file_format, total_rows, processed_rows, inserted_rows, staged_rows, status,
+                mapping_version, source_sheets, source_files, upload_mode, superseded_summary, quality_summary,
+                processing_started_at, processing_completed_at, error_message,
+                (SELECT COUNT(*)::int FROM upload_row_errors e WHERE e.session_id = upload_sessions.id) AS error_rows
            FROM upload_sessions
           WHERE id = $1`,
         [sessionId]
       )
       if (q.rows.length === 0) return { success: false, error: 'not_found' }
-      return { success: true, data: q.rows[0] }
+      const session = q.rows[0]
+      if (Array.isArray(session.source_files)) {
+        session.files = await this.getUploadFileProgress(sessionId, session.source_files)
+      }
+      return { success: true, data: session }
     } catch (e) {
       return { success: false, error: e.message }
     }
   }
 
+  // Per-file progress for a zip upload: rejected rows count as processed up front,
+  // then each staged row is processed once it is inserted or fails to insert
+  async getUploadFileProgress(sessionId, sourceFiles) {
+    const [offers, errors] = await Promise.all([
+      this.query(
+        `SELECT source_file, COUNT(*)::int AS count
+           FROM lease_offers
+          WHERE upload_session_id = $1 AND source_file IS NOT NULL
+          GROUP BY source_file`,
+        [sessionId]
+      ),
+      this.query(
+        `SELECT source_file, COUNT(*)::int AS count
+           FROM upload_row_errors
+          WHERE session_id = $1 AND stage = 'insert' AND source_file IS NOT NULL
+          GROUP BY source_file`,
+        [sessionId]
+      ),
+    ])
+    const byFile = (rows) => Object.fromEntries(rows.map((r) => [r.source_file, r.count]))
+    const inserted = byFile(offers.rows)
+    const failed = byFile(errors.rows)
+    return sourceFiles.map((f) => {
+      const insertedRows = inserted[f.name] || 0
+      const failedRows = failed[f.name] || 0
+      const processedRows = (f.rejected_rows || 0) + insertedRows + failedRows
+      let status = 'pending'
+      if (f.error) status = 'skipped'
+      else if (processedRows >= f.total_rows) status = 'completed'
+      else if (insertedRows + failedRows > 0) status = 'processing'
+      return {
+        ...f,
+        inserted_rows: insertedRows,
+        failed_rows: failedRows,
+        processed_rows: processedRows,
+        progress: f.total_rows ? Math.round((processedRows / f.total_rows) * 1000) / 10 : 100,
+        status,
+      }
+    })
+  }
+
+  // ===================== UPLOAD DIFF =====================
+  // Completed sessions for a provider, newest first
+  async getProviderUploadSessions(providerName, limit = 20) {
+    try {
+      const q = await this.query(
+        `SELECT us.id, us.filename, us.status, us.upload_mode, us.total_rows, us.inserted_rows,
+                us.created_at, us.processing_completed_at
+           FROM upload_sessions us
+           JOIN providers p ON p.id = us.provider_id
+          WHERE p.name = $1 AND us.status = 'completed'
+          ORDER BY us.created_at DESC, us.id DESC
+          LIMIT $2`,
+        [String(providerName).toLowerCase(), limit]
+      );
+      return { success: true, data: q.rows };
+    } catch (error) {
+      console.error('Error fetching provider upload sessions:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  // All offers an upload session created, including those a later replacing upload retired
+  async getUploadSessionOffers(sessionId) {
+    try {
+      const q = await this.query(
+        `SELECT lo.vehicle_id, v.cap_code, v.manufacturer, v.model, v.variant,
+                lo.term_months, lo.annual_mileage, lo.maintenance_included,
+                lo.monthly_rental, lo.upfront_payment
+           FROM lease_offers lo
+           JOIN vehicles v ON v.id = lo.vehicle_id
+          WHERE lo.upload_session_id = $1
+         UNION ALL
+         SELECT r.vehicle_id, v.cap_code, v.manufacturer, v.model, v.variant,
+                (r.offer->>'term_months')::int, (r.offer->>'annual_mileage')::int,
+                (r.offer->>'maintenance_included')::boolean,
+                (r.offer->>'monthly_rental')::numeric, (r.offer->>'upfront_payment')::numeric
+           FROM retired_lease_offers r
+           JOIN vehicles v ON v.id = r.vehicle_id
+          WHERE r.upload_session_id = $1`,
+        [sessionId]
+      );
+      return { success: true, data: q.rows };
+    } catch (error) {
+      console.error('Error fetching upload session offers:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
   // ===================== MAPPINGS =====================
-  async saveMapping(providerName, columnMappings, headerNames) {
+  // Every save updates provider_mappings (current mapping) and appends to
+  // provider_mapping_versions (immutable history).
+  async saveMapping(providerName, columnMappings, headerNames, savedBy = null, restoredFromVersion = null, upfrontRule = null) {
+    const client = await this.pool.connect();
     try {
       // Validate and serialize columnMappings
       let columnMappingsJson
@@ -402,27 +1262,51 @@ class LeaseAnalysisDB {
         }
       }
 
-      const result = await this.query(
-        `INSERT INTO provider_mappings (provider_name, column_mappings, header_names)
-           VALUES (lower($1), $2::jsonb, $3::jsonb)
+      const upfrontRuleJson = upfrontRule ? JSON.stringify(upfrontRule) : null
+
+      await client.query('BEGIN')
+      // Upsert first so the provider row is locked while the next version number is chosen
+      const current = await client.query(
+        `INSERT INTO provider_mappings (provider_name, column_mappings, header_names, upfront_rule)
+           VALUES (lower($1), $2::jsonb, $3::jsonb, $4::jsonb)
            ON CONFLICT (provider_name)
            DO UPDATE SET column_mappings = EXCLUDED.column_mappings,
                          header_names = EXCLUDED.header_names,
+                         upfront_rule = EXCLUDED.upfront_rule,
                          updated_at = CURRENT_TIMESTAMP
-         RETURNING id, provider_name, column_mappings, header_names, updated_at`,
-        [providerName, columnMappingsJson, headerNamesJson]
+         RETURNING id, provider_name`,
+        [providerName, columnMappingsJson, headerNamesJson, upfrontRuleJson]
+      )
+      const version = await client.query(
+        `INSERT INTO provider_mapping_versions (
+            provider_name, version, column_mappings, header_names, upfront_rule, saved_by, restored_from_version
+         )
+         SELECT lower($1), COALESCE(MAX(version), 0) + 1, $2::jsonb, $3::jsonb, $4::jsonb, $5, $6
+           FROM provider_mapping_versions
+          WHERE provider_name = lower($1)
+         RETURNING version`,
+        [providerName, columnMappingsJson, headerNamesJson, upfrontRuleJson, savedBy, restoredFromVersion]
       )
+      const result = await client.query(
+        `UPDATE provider_mappings SET current_version = $1 WHERE id = $2
+         RETURNING id, provider_name, column_mappings, header_names, upfront_rule, current_version, updated_at`,
+        [version.rows[0].version, current.rows[0].id]
+      )
+      await client.query('COMMIT')
       return { success: true, data: result.rows[0] }
     } catch (e) {
+      try { await client.query('ROLLBACK') } catch (_) {}
       console.error('Error saving mapping:', e)
       return { success: false, error: e.message }
+    } finally {
+      client.release()
     }
   }
 
   async getMappings(limit = 50) {
     try {
       const q = await this.query(
-        `SELECT id, provider_name, column_mappings, header_names, updated_at
+        `SELECT id, provider_name, column_mappings, header_names, upfront_rule, current_version, updated_at
            FROM provider_mappings
           ORDER BY updated_at DESC
           LIMIT $1`,
@@ -437,7 +1321,7 @@ class LeaseAnalysisDB {
   async getMappingByProvider(providerName) {
     try {
       const q = await this.query(
-        `SELECT id, provider_name, column_mappings, header_names, updated_at
+        `SELECT id, provider_name, column_mappings, header_names, upfront_rule, current_version, updated_at
            FROM provider_mappings
           WHERE provider_name = lower($1)
           LIMIT 1`,
@@ -450,6 +1334,506 @@ class LeaseAnalysisDB {
     }
   }
 
+  async getMappingVersions(providerName) {
+    try {
+      const q = await this.query(
+        `SELECT version, saved_by, restored_from_version, created_at,
+                (SELECT COUNT(*)::int FROM jsonb_object_keys(column_mappings)) AS mapped_fields
+           FROM provider_mapping_versions
+          WHERE provider_name = lower($1)
+          ORDER BY version DESC`,
+        [providerName]
+      )
+      return { success: true, data: q.rows }
+    } catch (e) {
+      return { success: false, error: e.message, data: [] }
+    }
+  }
+
+  async getMappingVersion(providerName, version) {
+    try {
+      const q = await this.query(
+        `SELECT provider_name, version, column_mappings, header_names, upfront_rule, saved_by, restored_from_version, created_at
+           FROM provider_mapping_versions
+          WHERE provider_name = lower($1) AND version = $2`,
+        [providerName, version]
+      )
+      if (q.rows.length === 0) return { success: false, error: 'not_found' }
+      return { success: true, data: q.rows[0] }
+    } catch (e) {
+      return { success: false, error: e.message }
+    }
+  }
+
+  // Restoring never rewrites history: the old version is copied forward as a new version
+  async restoreMappingVersion(providerName, version, savedBy = null) {
+    const old = await this.getMappingVersion(providerName, version)
+    if (!old.success) return old
+    return this.saveMapping(
+      providerName,
+      old.data.column_mappings,
+      old.data.header_names,
+      savedBy,
+      old.data.version,
+      old.data.upfront_rule
+    )
+  }
+
+  // ===================== QUALITY RULES =====================
+  // providerName null = the global rule set
+  async getQualityRules(providerName = null) {
+    try {
+      const q = await this.query(
+        `SELECT provider_name, rules, updated_by, updated_at
+           FROM quality_rule_sets
+          WHERE COALESCE(provider_name, '') = COALESCE(lower($1), '')`,
+        [providerName]
+      )
+      return { success: true, data: q.rows[0] || null }
+    } catch (e) {
+      return { success: false, error: e.message }
+    }
+  }
+
+  async saveQualityRules(providerName, rules, updatedBy = null) {
+    try {
+      const q = await this.query(
+        `INSERT INTO quality_rule_sets (provider_name, rules, updated_by)
+           VALUES (lower($1), $2::jsonb, $3)
+           ON CONFLICT ((COALESCE(provider_name, '')))
+           DO UPDATE SET rules = EXCLUDED.rules,
+                         updated_by = EXCLUDED.updated_by,
+                         updated_at = CURRENT_TIMESTAMP
+         RETURNING provider_name, rules, updated_by, updated_at`,
+        [providerName, JSON.stringify(rules), updatedBy]
+      )
+      return { success: true, data: q.rows[0] }
+    } catch (e) {
+      console.error('Error saving quality rules:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  // Global rules (or the built-in defaults) with the provider's overrides applied
+  async getEffectiveQualityRules(providerName) {
+    const { DEFAULT_QUALITY_RULES, mergeQualityRules } = require('./qualityRules')
+    const [globalSet, providerSet] = await Promise.all([
+      this.getQualityRules(null),
+      providerName ? this.getQualityRules(providerName) : Promise.resolve({ success: true, data: null }),
+    ])
+    if (!globalSet.success || !providerSet.success) {
+      return { success: false, error: globalSet.error || providerSet.error }
+    }
+    const globalRules = globalSet.data ? globalSet.data.rules : DEFAULT_QUALITY_RULES
+    return {
+      success: true,
+      data: mergeQualityRules(globalRules, providerSet.data ? providerSet.data.rules : []),
+    }
+  }
+
+  // ===================== DEAL SCORE =====================
+  // Saved settings merged over the defaults; `saved` is false while the defaults apply
+  async getDealScoreSettings() {
+    try {
+      const q = await this.query('SELECT settings, updated_by, updated_at FROM deal_score_settings')
+      const row = q.rows[0]
+      return {
+        success: true,
+        data: {
+          ...mergeScoreSettings(row ? row.settings : null),
+          saved: !!row,
+          updated_by: row ? row.updated_by : null,
+          updated_at: row ? row.updated_at : null,
+        },
+      }
+    } catch (e) {
+      console.error('Error fetching deal score settings:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  // Partial settings ({ weights, bounds, defaultProviderReliability }) are merged into what is
+  // saved, down to a single bound end. Returns { success: false, error, details } if the result is unusable.
+  async saveDealScoreSettings(settings, updatedBy = null) {
+    try {
+      const current = await this.getDealScoreSettings()
+      if (!current.success) return current
+      const { weights, bounds, defaultProviderReliability } = current.data
+      const mergedBounds = { ...bounds }
+      Object.entries(settings.bounds || {}).forEach(([key, bound]) => {
+        mergedBounds[key] = { ...bounds[key], ...bound }
+      })
+      const merged = mergeScoreSettings({
+        weights: { ...weights, ...(settings.weights || {}) },
+        bounds: mergedBounds,
+        defaultProviderReliability: settings.defaultProviderReliability ?? defaultProviderReliability,
+      })
+      const problems = checkScoreSettings(merged)
+      if (problems.length) return { success: false, error: 'Invalid deal score settings', details: problems }
+      const q = await this.query(
+        `INSERT INTO deal_score_settings (id, settings, updated_by)
+           VALUES (TRUE, $1::jsonb, $2)
+           ON CONFLICT (id)
+           DO UPDATE SET settings = EXCLUDED.settings,
+                         updated_by = EXCLUDED.updated_by,
+                         updated_at = CURRENT_TIMESTAMP
+         RETURNING settings, updated_by, updated_at`,
+        [JSON.stringify(merged), updatedBy]
+      )
+      const row = q.rows[0]
+      return { success: true, data: { ...mergeScoreSettings(row.settings), saved: true, updated_by: row.updated_by, updated_at: row.updated_at } }
+    } catch (e) {
+      console.error('Error saving deal score settings:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  // One offer with everything the scorer reads
+  async getOfferForScoring(offerId) {
+    try {
+      const q = await this.query(
+        `SELECT lo.id AS offer_id, lo.vehicle_id, v.manufacturer, v.model, v.variant, v.cap_code,
+                v.p11d_price, v.co2_emissions, v.bik_percentage,
+                p.name AS provider, COALESCE(p.display_name, p.name) AS provider_name, p.reliability_score,
+                lo.monthly_rental, lo.upfront_payment, lo.term_months, lo.annual_mileage, lo.maintenance_included,
+                lo.admin_fee, lo.upfront_profile, lo.total_cost, lo.effective_monthly
+           FROM lease_offers lo
+           JOIN vehicles v ON v.id = lo.vehicle_id
+           JOIN providers p ON p.id = lo.provider_id
+          WHERE lo.id = $1`,
+        [offerId]
+      )
+      if (q.rows.length === 0) return { success: false, error: 'not_found' }
+      return { success: true, data: q.rows[0] }
+    } catch (e) {
+      console.error('Error fetching offer for scoring:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  // Recompute best_deal_score for every cached best deal with the current settings.
+  // Each cache row is scored on the offer it came from; if that offer is gone, on the cached terms.
+  async rescoreBestDeals() {
+    try {
+      const settings = await this.getDealScoreSettings()
+      if (!settings.success) return { success: false, error: settings.error, rescored: 0 }
+      const q = await this.query(
+        `SELECT b.vehicle_id, v.p11d_price, v.co2_emissions, v.bik_percentage, pr.reliability_score,
+                COALESCE(o.monthly_rental, b.best_monthly_rental) AS monthly_rental,
+                COALESCE(o.upfront_payment, b.best_upfront_payment) AS upfront_payment,
+                COALESCE(o.term_months, b.best_term_months) AS term_months,
+                COALESCE(o.annual_mileage, b.best_annual_mileage) AS annual_mileage,
+                o.maintenance_included, o.admin_fee, o.upfront_profile, o.total_cost, o.effective_monthly
+           FROM best_deals_cache b
+           JOIN vehicles v ON v.id = b.vehicle_id
+           LEFT JOIN LATERAL (
+             SELECT p.id, p.reliability_score
+               FROM providers p
+              WHERE b.best_provider_name IN (p.name, p.display_name)
+              LIMIT 1
+           ) pr ON true
+           LEFT JOIN LATERAL (
+             SELECT lo.monthly_rental, lo.upfront_payment, lo.term_months, lo.annual_mileage,
+                    lo.maintenance_included, lo.admin_fee, lo.upfront_profile, lo.total_cost, lo.effective_monthly
+               FROM lease_offers lo
+              WHERE lo.vehicle_id = b.vehicle_id
+                AND lo.provider_id = pr.id
+                AND lo.monthly_rental = b.best_monthly_rental
+                AND lo.term_months = b.best_term_months
+                AND lo.annual_mileage = b.best_annual_mileage
+              ORDER BY lo.total_cost
+              LIMIT 1
+           ) o ON true`
+      )
+      const scores = q.rows.map((row) => ({ vehicle_id: row.vehicle_id, score: scoreOffer(row, settings.data).score }))
+      if (scores.length === 0) return { success: true, rescored: 0 }
+      const u = await this.query(
+        `UPDATE best_deals_cache b
+            SET best_deal_score = s.score, best_deal_scored_at = CURRENT_TIMESTAMP
+           FROM jsonb_to_recordset($1::jsonb) AS s(vehicle_id INTEGER, score NUMERIC)
+          WHERE b.vehicle_id = s.vehicle_id`,
+        [JSON.stringify(scores)]
+      )
+      return { success: true, rescored: u.rowCount }
+    } catch (e) {
+      console.error('Error rescoring best deals:', e)
+      return { success: false, error: e.message, rescored: 0 }
+    }
+  }
+
+  // ===================== SAVED SEARCHES & ALERTS =====================
+  async getSavedSearches({ activeOnly = false } = {}) {
+    try {
+      const q = await this.query(
+        `SELECT s.*,
+                (SELECT COUNT(*)::int FROM saved_search_matches m WHERE m.search_id = s.id) AS match_count,
+                (SELECT MAX(a.created_at) FROM deal_alerts a WHERE a.search_id = s.id) AS last_alert_at
+           FROM saved_searches s
+          WHERE ($1::boolean IS FALSE OR s.active)
+          ORDER BY s.name, s.id`,
+        [activeOnly]
+      )
+      return { success: true, data: q.rows }
+    } catch (e) {
+      console.error('Error fetching saved searches:', e)
+      return { success: false, error: e.message, data: [] }
+    }
+  }
+
+  async getSavedSearch(id) {
+    try {
+      const q = await this.query('SELECT * FROM saved_searches WHERE id = $1', [id])
+      if (q.rows.length === 0) return { success: false, error: 'not_found' }
+      return { success: true, data: q.rows[0] }
+    } catch (e) {
+      console.error('Error fetching saved search:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  async createSavedSearch(search) {
+    try {
+      const q = await this.query(
+        `INSERT INTO saved_searches (name, filters, min_drop_amount, min_drop_percent, notify, active, created_by)
+         VALUES ($1, $2::jsonb, $3, $4, $5::jsonb, $6, $7)
+         RETURNING *`,
+        [
+          search.name,
+          JSON.stringify(search.filters || {}),
+          search.min_drop_amount ?? null,
+          search.min_drop_percent ?? null,
+          JSON.stringify(search.notify || []),
+          search.active ?? true,
+          search.created_by || null,
+        ]
+      )
+      return { success: true, data: q.rows[0] }
+    } catch (e) {
+      console.error('Error creating saved search:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  // fields: any of name, filters, min_drop_amount, min_drop_percent, notify, active
+  async updateSavedSearch(id, fields) {
+    const columns = ['name', 'filters', 'min_drop_amount', 'min_drop_percent', 'notify', 'active']
+    const jsonColumns = ['filters', 'notify']
+    const sets = []
+    const params = [id]
+    columns.forEach((column) => {
+      if (fields[column] === undefined) return
+      params.push(jsonColumns.includes(column) ? JSON.stringify(fields[column]) : fields[column])
+      sets.push(`${column} = $${params.length}${jsonColumns.includes(column) ? '::jsonb' : ''}`)
+    })
+    try {
+      const q = await this.query(
+        `UPDATE saved_searches SET ${[...sets, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+          WHERE id = $1
+          RETURNING *`,
+        params
+      )
+      if (q.rows.length === 0) return { success: false, error: 'not_found' }
+      // New filters mean a new baseline; otherwise every current match would alert as new
+      if (fields.filters !== undefined) {
+        await this.query('DELETE FROM saved_search_matches WHERE search_id = $1', [id])
+        await this.query('UPDATE saved_searches SET last_evaluated_at = NULL WHERE id = $1', [id])
+      }
+      return { success: true, data: q.rows[0] }
+    } catch (e) {
+      console.error('Error updating saved search:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  async deleteSavedSearch(id) {
+    try {
+      const q = await this.query('DELETE FROM saved_searches WHERE id = $1 RETURNING id', [id])
+      if (q.rows.length === 0) return { success: false, error: 'not_found' }
+      return { success: true }
+    } catch (e) {
+      console.error('Error deleting saved search:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  // Replace a search's match snapshot with `deals` and store the alerts computeAlerts(search, previousMatches)
+  // returns. The search row is locked, so instances evaluating at the same time never alert twice;
+  // the first evaluation of a search only records the baseline.
+  async recordSavedSearchEvaluation(searchId, deals, computeAlerts) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      const locked = await client.query(
+        'SELECT * FROM saved_searches WHERE id = $1 AND active FOR UPDATE SKIP LOCKED',
+        [searchId]
+      )
+      if (locked.rows.length === 0) {
+        await client.query('ROLLBACK')
+        return { success: true, skipped: true, alerts: [] }
+      }
+      const search = locked.rows[0]
+      const previous = await client.query(
+        'SELECT vehicle_id, monthly_rental, provider_name FROM saved_search_matches WHERE search_id = $1',
+        [searchId]
+      )
+      const baseline = !search.last_evaluated_at
+      const alerts = baseline ? [] : computeAlerts(search, previous.rows)
+
+      await client.query('DELETE FROM saved_search_matches WHERE search_id = $1', [searchId])
+      const matches = new Map()
+      deals.forEach((d) => {
+        if (d.vehicle_id && !matches.has(d.vehicle_id)) {
+          matches.set(d.vehicle_id, { vehicle_id: d.vehicle_id, monthly_rental: d.best_monthly_rental, provider_name: d.best_provider_name })
+        }
+      })
+      if (matches.size > 0) {
+        await client.query(
+          `INSERT INTO saved_search_matches (search_id, vehicle_id, monthly_rental, provider_name)
+           SELECT $1, m.vehicle_id, m.monthly_rental, m.provider_name
+             FROM jsonb_to_recordset($2::jsonb) AS m(vehicle_id INTEGER, monthly_rental NUMERIC, provider_name TEXT)`,
+          [searchId, JSON.stringify([...matches.values()])]
+        )
+      }
+      let inserted = []
+      if (alerts.length > 0) {
+        const q = await client.query(
+          `INSERT INTO deal_alerts (
+             search_id, alert_type, vehicle_id, manufacturer, model, variant, provider_name,
+             previous_monthly_rental, monthly_rental
+           )
+           SELECT $1, a.alert_type, a.vehicle_id, a.manufacturer, a.model, a.variant, a.provider_name,
+                  a.previous_monthly_rental, a.monthly_rental
+             FROM jsonb_to_recordset($2::jsonb) AS a(
+               alert_type TEXT, vehicle_id INTEGER, manufacturer TEXT, model TEXT, variant TEXT,
+               provider_name TEXT, previous_monthly_rental NUMERIC, monthly_rental NUMERIC
+             )
+           RETURNING *`,
+          [searchId, JSON.stringify(alerts)]
+        )
+        inserted = q.rows
+      }
+      await client.query('UPDATE saved_searches SET last_evaluated_at = CURRENT_TIMESTAMP WHERE id = $1', [searchId])
+      await client.query('COMMIT')
+      return { success: true, baseline, alerts: inserted }
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {})
+      console.error('Error evaluating saved search:', e)
+      return { success: false, error: e.message, alerts: [] }
+    } finally {
+      client.release()
+    }
+  }
+
+  async getUndeliveredAlerts(searchId, maxAttempts = 5) {
+    try {
+      const q = await this.query(
+        `SELECT * FROM deal_alerts
+          WHERE search_id = $1 AND delivered_at IS NULL AND delivery_attempts < $2
+          ORDER BY alert_type DESC, created_at, id`,
+        [searchId, maxAttempts]
+      )
+      return { success: true, data: q.rows }
+    } catch (e) {
+      console.error('Error fetching undelivered alerts:', e)
+      return { success: false, error: e.message, data: [] }
+    }
+  }
+
+  async markAlertsDelivered(ids, { delivered = true, error = null } = {}) {
+    try {
+      await this.query(
+        `UPDATE deal_alerts
+            SET delivered_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+                delivery_attempts = delivery_attempts + 1,
+                delivery_error = $3
+          WHERE id = ANY($1::bigint[])`,
+        [ids, delivered, error]
+      )
+      return { success: true }
+    } catch (e) {
+      console.error('Error marking alerts delivered:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  async getDealAlerts({ searchId = null, type = null, limit = 100, offset = 0 } = {}) {
+    try {
+      const q = await this.query(
+        `SELECT a.*, s.name AS search_name
+           FROM deal_alerts a
+           JOIN saved_searches s ON s.id = a.search_id
+          WHERE ($1::int IS NULL OR a.search_id = $1)
+            AND ($2::text IS NULL OR a.alert_type = $2)
+          ORDER BY a.created_at DESC, a.id DESC
+          LIMIT $3 OFFSET $4`,
+        [searchId, type, limit, offset]
+      )
+      return { success: true, data: q.rows }
+    } catch (e) {
+      console.error('Error fetching deal alerts:', e)
+      return { success: false, error: e.message, data: [] }
+    }
+  }
+
+  // ===================== PROVIDERS =====================
+  async getProviders() {
+    try {
+      const q = await this.query(
+        `SELECT p.id, p.name, p.display_name, p.default_validity_days, p.reliability_score,
+                COUNT(lo.id)::int AS live_offers,
+                MIN(lo.offer_valid_until) AS next_expiry
+           FROM providers p
+           LEFT JOIN lease_offers lo ON lo.provider_id = p.id
+          GROUP BY p.id
+          ORDER BY p.name`
+      )
+      return { success: true, data: q.rows }
+    } catch (e) {
+      console.error('Error fetching providers:', e)
+      return { success: false, error: e.message, data: [] }
+    }
+  }
+
+  async getProviderSettings(providerName) {
+    try {
+      const q = await this.query(
+        'SELECT id, name, display_name, default_validity_days, reliability_score FROM providers WHERE name = lower($1)',
+        [providerName]
+      )
+      if (q.rows.length === 0) return { success: false, error: 'not_found' }
+      return { success: true, data: q.rows[0] }
+    } catch (e) {
+      console.error('Error fetching provider settings:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
+  // Only the settings given are changed; null clears one
+  async updateProviderSettings(providerName, settings = {}) {
+    try {
+      const columns = { defaultValidityDays: 'default_validity_days', reliabilityScore: 'reliability_score' }
+      const params = [providerName]
+      const sets = Object.keys(columns)
+        .filter((key) => settings[key] !== undefined)
+        .map((key) => {
+          params.push(settings[key])
+          return `${columns[key]} = $${params.length}`
+        })
+      if (sets.length === 0) return this.getProviderSettings(providerName)
+      const q = await this.query(
+        `UPDATE providers SET ${sets.join(', ')}
+          WHERE name = lower($1)
+          RETURNING id, name, display_name, default_validity_days, reliability_score`,
+        params
+      )
+      if (q.rows.length === 0) return { success: false, error: 'not_found' }
+      return { success: true, data: q.rows[0] }
+    } catch (e) {
+      console.error('Error updating provider settings:', e)
+      return { success: false, error: e.message }
+    }
+  }
+
   // ===================== UTILITIES =====================
   async getManufacturers() {
     try {
@@ -473,6 +1857,33 @@ class LeaseAnalysisDB {
     }
   }
 
+  // Enum values actually in use by vehicles with a best deal
+  async getBodyStyles() {
+    try {
+      const result = await this.query(
+        `SELECT DISTINCT v.body_style::text AS body_style
+           FROM vehicles v JOIN best_deals_cache b ON b.vehicle_id = v.id
+          WHERE v.body_style IS NOT NULL ORDER BY 1`
+      );
+      return { success: true, data: result.rows.map((r) => r.body_style) };
+    } catch (error) {
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
+  async getTransmissions() {
+    try {
+      const result = await this.query(
+        `SELECT DISTINCT v.transmission::text AS transmission
+           FROM vehicles v JOIN best_deals_cache b ON b.vehicle_id = v.id
+          WHERE v.transmission IS NOT NULL ORDER BY 1`
+      );
+      return { success: true, data: result.rows.map((r) => r.transmission) };
+    } catch (error) {
+      return { success: false, error: error.message, data: [] };
+    }
+  }
+
   // ===================== DASHBOARD FEEDS =====================
   async getRecentUploads(limit = 10) {
     try {
@@ -508,8 +1919,42 @@ class LeaseAnalysisDB {
     }
   }
 
+  // Offers expiring within `days`, soonest first; is_best_deal marks offers currently winning in best_deals_cache
+  async getExpiringOffers({ days = 14, limit = 50, provider = null } = {}) {
+    try {
+      const q = await this.query(
+        `SELECT lo.id AS offer_id, lo.vehicle_id, v.manufacturer, v.model, v.variant, v.cap_code,
+                p.name AS provider, COALESCE(p.display_name, p.name) AS provider_name,
+                lo.monthly_rental, lo.upfront_payment, lo.term_months, lo.annual_mileage, lo.maintenance_included,
+                lo.offer_valid_until, (lo.offer_valid_until - CURRENT_DATE) AS days_left,
+                EXISTS (
+                  SELECT 1 FROM best_deals_cache b
+                   WHERE b.vehicle_id = lo.vehicle_id
+                     AND b.best_provider_name IN (p.name, p.display_name)
+                     AND b.best_monthly_rental = lo.monthly_rental
+                     AND b.best_term_months = lo.term_months
+                     AND b.best_annual_mileage = lo.annual_mileage
+                ) AS is_best_deal,
+                COUNT(*) OVER ()::int AS total
+           FROM lease_offers lo
+           JOIN vehicles v ON v.id = lo.vehicle_id
+           JOIN providers p ON p.id = lo.provider_id
+          WHERE lo.offer_valid_until BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+            AND ($3::text IS NULL OR p.name = lower($3))
+          ORDER BY lo.offer_valid_until, is_best_deal DESC, v.manufacturer, v.model, lo.monthly_rental
+          LIMIT $2`,
+        [days, limit, provider]
+      )
+      const total = q.rows.length ? q.rows[0].total : 0
+      return { success: true, data: q.rows.map(({ total: _total, ...row }) => row), total }
+    } catch (e) {
+      console.error('Error fetching expiring offers:', e)
+      return { success: false, error: e.message, data: [], total: 0 }
+    }
+  }
+
   // ===================== SALARY SACRIFICE =====================
-  async listSSCustomers({ search = '', sort = 'orders_desc', limit = 100, offset = 0 } = {}) {
+  async listSSCustomers({ search = '', sort = 'orders_desc', limit = 100, offset = 0, cursor = null, count = 'exact' } = {}) {
     try {
       const where = []
       const params = []
@@ -518,20 +1963,24 @@ class LeaseAnalysisDB {
         params.push(`%${search.toLowerCase()}%`)
         where.push(`(lower(name) LIKE $${params.length - 1} OR lower(email) LIKE $${params.length})`)
       }
-      let order = 'vehicles_ordered DESC'
-      if (sort === 'orders_asc') order = 'vehicles_ordered ASC'
-      if (sort === 'newest') order = 'created_at DESC'
-      if (sort === 'oldest') order = 'created_at ASC'
-
-      params.push(limit); params.push(offset)
-      const q = await this.query(
-        `SELECT id, name, region, email, phone, vehicles_ordered, created_at
-           FROM ss_customers
-          ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
-          ORDER BY ${order}
-          LIMIT $${params.length - 1} OFFSET $${params.length}`,
-        params
-      )
+      // id breaks ties so keyset pages never skip or repeat customers
+      let keys = [{ expr: 'vehicles_ordered', desc: true }, { expr: 'id', desc: true }]
+      if (sort === 'orders_asc') keys = [{ expr: 'vehicles_ordered', desc: false }, { expr: 'id', desc: false }]
+      if (sort === 'newest') keys = [{ expr: 'created_at', desc: true }, { expr: 'id', desc: true }]
+      if (sort === 'oldest') keys = [{ expr: 'created_at', desc: false }, { expr: 'id', desc: false }]
+
+      const q = await this.pagedQuery({
+        text: `SELECT id, name, region, email, phone, vehicles_ordered, created_at, ${keyColumns(keys)}
+                 FROM ss_customers
+                ${where.length ? 'WHERE ' + where.join(' AND ') : ''}`,
+        params,
+        keys,
+        limit,
+        offset,
+        cursor,
+        count,
+      })
+      if (!q.success) return { ...q, metrics: { live_customers: 0, vehicles_ordered: 0, vehicles_delivered: 0 } }
 
       const m = await this.query('SELECT COUNT(*) AS live_customers, COALESCE(SUM(vehicles_ordered),0) AS vehicles_ordered FROM ss_customers')
       const metrics = {
@@ -539,14 +1988,14 @@ class LeaseAnalysisDB {
         vehicles_ordered: Number(m.rows[0]?.vehicles_ordered || 0),
         vehicles_delivered: 0,
       }
-      return { success: true, data: q.rows, metrics }
+      return { ...q, metrics }
     } catch (e) {
       console.error('SS customers list error:', e)
       return { success: false, error: e.message, data: [], metrics: { live_customers: 0, vehicles_ordered: 0, vehicles_delivered: 0 } }
     }
   }
 
-  async listSSEnquiries({ search = '', limit = 100, offset = 0 } = {}) {
+  async listSSEnquiries({ search = '', limit = 100, offset = 0, cursor = null, count = 'exact' } = {}) {
     try {
       const params = []
       let where = ''
@@ -556,16 +2005,19 @@ class LeaseAnalysisDB {
         params.push(`%${search.toLowerCase()}%`)
         where = `WHERE lower(customer_name) LIKE $1 OR lower(customer_email) LIKE $2 OR lower(customer_phone) LIKE $3`
       }
-      params.push(limit); params.push(offset)
-      const q = await this.query(
-        `SELECT id, customer_name, customer_email AS email, customer_phone AS phone, salesperson, referrer, status, created_at
-           FROM ss_enquiries
-          ${where}
-          ORDER BY created_at DESC
-          LIMIT $${params.length - 1} OFFSET $${params.length}`,
-        params
-      )
-      return { success: true, data: q.rows }
+      const keys = [{ expr: 'created_at', desc: true }, { expr: 'id', desc: true }]
+      return await this.pagedQuery({
+        text: `SELECT id, customer_name, customer_email AS email, customer_phone AS phone, salesperson, referrer, status, created_at,
+                      ${keyColumns(keys)}
+                 FROM ss_enquiries
+                ${where}`,
+        params,
+        keys,
+        limit,
+        offset,
+        cursor,
+        count,
+      })
     } catch (e) {
       console.error('SS enquiries list error:', e)
       return { success: false, error: e.message, data: [] }
@@ -767,9 +2219,12 @@ class LeaseAnalysisDB {
   }
 
   async storeDrivaliaQuote(jobId, quote) {
+    // The quote and its price history are stored together or not at all
+    const client = await this.pool.connect();
     try {
+      await client.query('BEGIN');
       // Find or create vehicle
-      const vehicleResult = await this.query(
+      const vehicleResult = await client.query(
         `INSERT INTO vehicles (manufacturer, model, variant, cap_code, p11d_price, co2_emissions, fuel_type)
          VALUES ($1, $2, $3, $4, $5, $6, $7)
          ON CONFLICT (manufacturer, model, variant) 
@@ -793,7 +2248,7 @@ class LeaseAnalysisDB {
       const vehicleId = vehicleResult.rows[0].id;
 
       // Store the quote in lex_quotes table (reusing existing structure)
-      await this.query(
+      await client.query(
         `INSERT INTO lex_quotes (
           vehicle_id, manufacturer, model, variant, term, mileage,
           monthly_rental, initial_rental, total_cost, co2, p11d,
@@ -817,10 +2272,29 @@ class LeaseAnalysisDB {
         ]
       );
 
+      await client.query(
+        `INSERT INTO price_history (
+           vehicle_id, provider_name, term_months, annual_mileage, maintenance_included,
+           monthly_rental, source, source_ref
+         ) VALUES ($1, 'Drivalia', $2, $3, $4, $5, 'drivalia', $6)`,
+        [
+          vehicleId,
+          quote.config.term,
+          quote.config.annualMileage,
+          !!quote.config.maintenance,
+          quote.monthlyPayment.net,
+          String(jobId),
+        ]
+      );
+      await client.query('COMMIT');
+
       console.log(`Stored quote for ${quote.vehicle.make} ${quote.vehicle.model} - £${quote.monthlyPayment.net}/month`);
     } catch (error) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
       console.error('Error storing Drivalia quote:', error);
       throw error;
+    } finally {
+      client.release();
     }
   }
 
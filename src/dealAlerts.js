@@ -0,0 +1,237 @@
+/**
+ * Deal Alerts
+ *
+ * Saved searches are named /api/best-deals filters. After every best-deals
+ * refresh each active search is re-run and compared with what it matched last
+ * time (saved_search_matches):
+ * - new_match: a vehicle that now matches and did not before
+ * - price_drop: a matched vehicle whose best monthly fell by at least the
+ *   search's thresholds (min_drop_amount pounds and/or min_drop_percent)
+ * The first run of a search only records a baseline. Alerts are stored in
+ * deal_alerts and delivered through the search's notifiers (see notifiers.js);
+ * undelivered alerts are retried after the next refresh.
+ */
+
+const { leaseDB } = require('./db')
+const { notify, parseRequestChannels } = require('./notifiers')
+const { DEAL_FILTERS, parseDealQuery } = require('./dealQuery')
+
+const MAX_MATCHES = parseInt(process.env.SAVED_SEARCH_MAX_MATCHES) || 1000
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.ALERT_MAX_DELIVERY_ATTEMPTS) || 5
+// Without thresholds, drops under a pound are rounding noise
+const DEFAULT_MIN_DROP_AMOUNT = 1
+
+const round2 = (n) => Math.round(n * 100) / 100
+const isPresent = (val) => val !== undefined && val !== null && String(val).trim() !== ''
+
+/**
+ * Validate a saved search from a request body (partial with `partial: true`, for updates)
+ * @returns {object} { search } with columns to write, or { error, details }
+ */
+function normalizeSavedSearch(body, { partial = false } = {}) {
+  const input = body || {}
+  const search = {}
+  const errors = []
+
+  if (!partial || input.name !== undefined) {
+    if (!isPresent(input.name)) errors.push('name is required')
+    else search.name = String(input.name).trim().slice(0, 200)
+  }
+  if (!partial || input.filters !== undefined) {
+    const filters = input.filters || {}
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.push('filters must be an object')
+    } else {
+      const unknown = Object.keys(filters).filter((k) => !DEAL_FILTERS.includes(k))
+      if (unknown.length) errors.push(`unknown filter(s): ${unknown.join(', ')}; use ${DEAL_FILTERS.join(', ')}`)
+      // Stored as the /api/best-deals query string would give them, validated by the same parser
+      const parsed = parseDealQuery(filters)
+      if (parsed.error) errors.push(...parsed.details.map((d) => `filters: ${d}`))
+      search.filters = {}
+      DEAL_FILTERS.forEach((key) => {
+        if (isPresent(filters[key])) search.filters[key] = filters[key]
+      })
+    }
+  }
+  ;[['minDropAmount', 'min_drop_amount'], ['minDropPercent', 'min_drop_percent']].forEach(([key, column]) => {
+    if (input[key] === undefined) return
+    if (input[key] === null || input[key] === '') search[column] = null
+    else if (!(Number(input[key]) >= 0)) errors.push(`${key} must be a positive number`)
+    else search[column] = Number(input[key])
+  })
+  if (input.notify !== undefined) {
+    const parsed = parseRequestChannels(input.notify || [])
+    if (parsed.errors) errors.push(...parsed.errors)
+    else search.notify = parsed.channels
+  }
+  if (input.active !== undefined) search.active = input.active === true || input.active === 'true'
+  if (!partial && input.createdBy) search.created_by = String(input.createdBy)
+
+  if (errors.length) return { error: 'Invalid saved search', details: errors }
+  return { search }
+}
+
+/**
+ * Compare a search's previous matches with its current ones
+ * @param {Array} previous - saved_search_matches rows { vehicle_id, monthly_rental, provider_name }
+ * @param {Array} current - Current best deals rows
+ * @param {object} thresholds - { minDropAmount, minDropPercent }
+ * @returns {Array} Alerts { alert_type, vehicle_id, manufacturer, model, variant, provider_name, previous_monthly_rental, monthly_rental }
+ */
+function diffSearchMatches(previous, current, { minDropAmount = null, minDropPercent = null } = {}) {
+  const before = new Map(previous.map((p) => [Number(p.vehicle_id), p]))
+  const amount = isPresent(minDropAmount) ? Number(minDropAmount) : (isPresent(minDropPercent) ? null : DEFAULT_MIN_DROP_AMOUNT)
+  const percent = isPresent(minDropPercent) ? Number(minDropPercent) : null
+  const alerts = []
+
+  current.forEach((deal) => {
+    const monthly = Number(deal.best_monthly_rental)
+    const alert = {
+      vehicle_id: deal.vehicle_id,
+      manufacturer: deal.manufacturer,
+      model: deal.model,
+      variant: deal.variant || null,
+      provider_name: deal.best_provider_name || null,
+      monthly_rental: monthly,
+    }
+    const prior = before.get(Number(deal.vehicle_id))
+    if (!prior) {
+      alerts.push({ alert_type: 'new_match', ...alert, previous_monthly_rental: null })
+      return
+    }
+    const previousMonthly = Number(prior.monthly_rental)
+    const drop = round2(previousMonthly - monthly)
+    if (!(drop > 0)) return
+    // Every threshold that is set must be met
+    if (amount !== null && drop < amount) return
+    if (percent !== null && (!previousMonthly || (drop / previousMonthly) * 100 < percent)) return
+    alerts.push({ alert_type: 'price_drop', ...alert, previous_monthly_rental: previousMonthly })
+  })
+  return alerts
+}
+
+const money = (n) => `£${Number(n).toFixed(2)}`
+
+/**
+ * Notification payload for a search's alerts
+ */
+function formatAlertMessage(search, alerts) {
+  const drops = alerts.filter((a) => a.alert_type === 'price_drop')
+  const matches = alerts.filter((a) => a.alert_type === 'new_match')
+  const parts = []
+  if (drops.length) parts.push(`${drops.length} price drop${drops.length === 1 ? '' : 's'}`)
+  if (matches.length) parts.push(`${matches.length} new match${matches.length === 1 ? '' : 'es'}`)
+  const line = (a) => {
+    const vehicle = [a.manufacturer, a.model, a.variant].filter(Boolean).join(' ')
+    return a.alert_type === 'price_drop'
+      ? `- ${vehicle}: ${money(a.previous_monthly_rental)} -> ${money(a.monthly_rental)}/month (${a.provider_name})`
+      : `- ${vehicle}: ${money(a.monthly_rental)}/month (${a.provider_name})`
+  }
+  return {
+    subject: `Saved search "${search.name}": ${parts.join(', ')}`,
+    text: [
+      ...(drops.length ? ['Price drops:', ...drops.map(line), ''] : []),
+      ...(matches.length ? ['New matches:', ...matches.map(line), ''] : []),
+    ].join('\n'),
+    search: { id: search.id, name: search.name, filters: search.filters },
+    alerts: alerts.map((a) => ({
+      id: a.id,
+      type: a.alert_type,
+      vehicle_id: a.vehicle_id,
+      manufacturer: a.manufacturer,
+      model: a.model,
+      variant: a.variant,
+      provider_name: a.provider_name,
+      previous_monthly_rental: a.previous_monthly_rental === null ? null : Number(a.previous_monthly_rental),
+      monthly_rental: Number(a.monthly_rental),
+      created_at: a.created_at,
+    })),
+  }
+}
+
+class DealAlerts {
+  constructor(db = leaseDB) {
+    this.db = db
+    this.active = null
+    this.rerun = false
+    this.lastRun = null
+  }
+
+  /**
+   * Evaluate every active search. A refresh that lands mid-run triggers one more run afterwards.
+   */
+  evaluateAll() {
+    if (this.active) {
+      this.rerun = true
+      return this.active
+    }
+    this.active = (async () => {
+      do {
+        this.rerun = false
+        const searches = await this.db.getSavedSearches({ activeOnly: true })
+        if (!searches.success) throw new Error(searches.error)
+        for (const search of searches.data) {
+          await this.evaluateSearch(search)
+        }
+        this.lastRun = new Date().toISOString()
+      } while (this.rerun)
+    })()
+      .catch((e) => console.error('Deal alerts error:', e))
+      .finally(() => {
+        this.active = null
+      })
+    return this.active
+  }
+
+  /**
+   * Re-run one search, record its alerts and deliver anything pending
+   * @returns {Promise<object>} { success, alerts, delivery, error }
+   */
+  async evaluateSearch(search) {
+    const query = parseDealQuery({ ...search.filters, limit: MAX_MATCHES })
+    if (query.error) {
+      console.error(`Saved search ${search.id}: invalid filters:`, query.details)
+      return { success: false, error: query.error, details: query.details }
+    }
+    const deals = await this.db.getBestDeals(query)
+    if (!deals.success) {
+      console.error(`Saved search ${search.id}: could not run filters:`, deals.error)
+      return { success: false, error: deals.error }
+    }
+    const recorded = await this.db.recordSavedSearchEvaluation(search.id, deals.data, (locked, previous) =>
+      diffSearchMatches(previous, deals.data, {
+        minDropAmount: locked.min_drop_amount,
+        minDropPercent: locked.min_drop_percent,
+      })
+    )
+    if (!recorded.success) return recorded
+    const delivery = await this.deliverPending(search)
+    return { success: true, alerts: recorded.alerts, baseline: !!recorded.baseline, delivery }
+  }
+
+  /**
+   * Send a search's undelivered alerts as one message
+   */
+  async deliverPending(search) {
+    const pending = await this.db.getUndeliveredAlerts(search.id, MAX_DELIVERY_ATTEMPTS)
+    if (!pending.success || pending.data.length === 0) return { delivered: 0, errors: [] }
+    const result = await notify(search.notify, formatAlertMessage(search, pending.data))
+    // Delivered through at least one channel: retrying would duplicate it on the others
+    await this.db.markAlertsDelivered(
+      pending.data.map((a) => a.id),
+      { delivered: result.delivered > 0, error: result.errors.length ? JSON.stringify(result.errors) : null }
+    )
+    if (result.errors.length) console.warn(`Saved search ${search.id}: alert delivery errors`, result.errors)
+    return { delivered: result.delivered > 0 ? pending.data.length : 0, errors: result.errors }
+  }
+}
+
+const dealAlerts = new DealAlerts()
+
+module.exports = {
+  normalizeSavedSearch,
+  diffSearchMatches,
+  formatAlertMessage,
+  DealAlerts,
+  dealAlerts,
+}
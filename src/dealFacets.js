@@ -0,0 +1,177 @@
+/**
+ * Best-Deals Facets
+ *
+ * Counts for the filter UI, from the same filters as /api/best-deals. Each
+ * dimension is counted with every filter applied except its own, so the values
+ * shown stay selectable alongside the ones already chosen (picking a second
+ * manufacturer widens the results rather than emptying them). Counts are
+ * vehicles, as in the best-deals list:
+ * - vehicle attributes group the matching best deals
+ * - price buckets group each vehicle's deal monthly rental
+ * - term, mileage and provider count vehicles with at least one offer for that
+ *   value that also meets the other offer filters
+ */
+
+const { TEXT_FILTERS, OFFER_LIST_FILTERS, RANGES, buildDealQuery, offerConditions } = require('./dealQuery')
+
+const DEFAULT_PRICE_BUCKETS = [0, 200, 300, 400, 500, 750, 1000]
+const DEFAULT_FACET_LIMIT = 50
+
+const OFFER_FACETS = {
+  term: { column: 'lo.term_months', numeric: true },
+  mileage: { column: 'lo.annual_mileage', numeric: true },
+  provider: { column: 'COALESCE(p.display_name, p.name)', numeric: false },
+}
+// Offer-level filters, applied to each offer in the offer facets rather than to the vehicle's deal
+const OFFER_FILTER_KEYS = [
+  ...Object.keys(OFFER_LIST_FILTERS),
+  'provider',
+  'maintenance',
+  ...Object.keys(RANGES)
+    .filter((name) => RANGES[name].offer)
+    .flatMap((name) => [`min${name}`, `max${name}`]),
+]
+
+const without = (filters, keys) => {
+  const rest = { ...filters }
+  keys.forEach((k) => delete rest[k])
+  return rest
+}
+
+/**
+ * Build every facet's count query
+ * @param {object} parsed - Result of parseDealQuery
+ * @param {object} options - { priceBuckets: ascending bounds, limit: values per text facet }
+ * @returns {Array} [{ facet, type: 'values' | 'buckets' | 'total', text, params, buckets? }]
+ */
+function buildFacetQueries({ filters = {}, bestBy }, { priceBuckets = DEFAULT_PRICE_BUCKETS, limit = DEFAULT_FACET_LIMIT } = {}) {
+  const queries = []
+  // Every facet counts on the same deal basis as the full filter state
+  const deals = (rest, select) => buildDealQuery({ filters: rest, sort: [], bestBy }, { select })
+
+  const total = deals(filters, () => 'b.vehicle_id')
+  queries.push({ facet: 'total', type: 'total', text: `SELECT COUNT(*)::int AS count FROM (${total.text}) f`, params: total.params })
+
+  Object.entries(TEXT_FILTERS).forEach(([facet, column]) => {
+    const q = deals(without(filters, [facet]), () => `${column}::text AS facet_value`)
+    queries.push({
+      facet,
+      type: 'values',
+      text: `SELECT facet_value AS value, COUNT(*)::int AS count
+               FROM (${q.text}) f
+              WHERE facet_value IS NOT NULL AND facet_value <> ''
+              GROUP BY facet_value
+              ORDER BY count DESC, value
+              LIMIT ${Number(limit)}`,
+      params: q.params,
+    })
+  })
+
+  // Monthly of each vehicle's deal: the re-picked offer when there is one
+  const price = deals(without(filters, ['minMonthly', 'maxMonthly']), ({ byOffer }) =>
+    `${byOffer ? 'o.monthly_rental' : 'b.best_monthly_rental'} AS facet_value`)
+  const buckets = priceBuckets.map((min, i) => ({ min, max: i + 1 < priceBuckets.length ? priceBuckets[i + 1] : null }))
+  queries.push({
+    facet: 'monthlyPrice',
+    type: 'buckets',
+    buckets,
+    text: `SELECT ${buckets
+      .map((b, i) => `COUNT(*) FILTER (WHERE facet_value >= ${Number(b.min)}${b.max === null ? '' : ` AND facet_value < ${Number(b.max)}`})::int AS b${i}`)
+      .join(', ')}
+             FROM (${price.text}) f`,
+    params: price.params,
+  })
+
+  Object.entries(OFFER_FACETS).forEach(([facet, { column, numeric }]) => {
+    const rest = without(filters, [facet])
+    // Vehicles meeting the vehicle filters; the offer filters are checked on each offer below
+    const base = deals(without(rest, OFFER_FILTER_KEYS), () => 'b.vehicle_id AS facet_vehicle_id')
+    const params = [...base.params]
+    const param = (value) => {
+      params.push(value)
+      return `$${params.length}`
+    }
+    const conditions = offerConditions(rest, param)
+    queries.push({
+      facet,
+      type: 'values',
+      text: `SELECT ${column} AS value, COUNT(DISTINCT lo.vehicle_id)::int AS count
+               FROM lease_offers lo
+               JOIN providers p ON p.id = lo.provider_id
+               JOIN (${base.text}) f ON f.facet_vehicle_id = lo.vehicle_id
+              ${conditions.length ? `WHERE ${conditions.join('\n                AND ')}` : ''}
+              GROUP BY 1
+              ORDER BY ${numeric ? '1' : 'count DESC, 1'}
+              LIMIT ${Number(limit)}`,
+      params,
+    })
+  })
+  return queries
+}
+
+/**
+ * Facet options from a query string: priceBuckets ("0,250,500" lower bounds, last bucket open) and facetLimit
+ * @returns {object} { priceBuckets, limit } or { error }
+ */
+function parseFacetOptions(query = {}) {
+  const options = { priceBuckets: DEFAULT_PRICE_BUCKETS, limit: DEFAULT_FACET_LIMIT }
+  if (query.priceBuckets !== undefined && String(query.priceBuckets).trim() !== '') {
+    const bounds = String(query.priceBuckets).split(',').map((v) => Number(v.trim()))
+    if (bounds.some((n) => isNaN(n) || n < 0) || bounds.some((n, i) => i > 0 && n <= bounds[i - 1])) {
+      return { error: 'priceBuckets must be ascending non-negative numbers, e.g. 0,250,500' }
+    }
+    options.priceBuckets = bounds
+  }
+  if (query.facetLimit !== undefined && String(query.facetLimit).trim() !== '') {
+    const limit = parseInt(query.facetLimit)
+    if (isNaN(limit) || limit < 1 || limit > 500) return { error: 'facetLimit must be between 1 and 500' }
+    options.limit = limit
+  }
+  return options
+}
+
+/**
+ * Shape query results into facets, marking the values already selected
+ * @param {Array} queries - From buildFacetQueries
+ * @param {Array} results - Rows per query, same order
+ * @param {object} filters - Parsed filters
+ * @returns {object} { total, facets: { name: [{ value, count, selected }], monthlyPrice: [{ min, max, count, selected }] } }
+ */
+function shapeFacets(queries, results, filters = {}) {
+  const out = { total: 0, facets: {} }
+  queries.forEach((q, i) => {
+    const rows = results[i]
+    if (q.type === 'total') {
+      out.total = rows[0] ? rows[0].count : 0
+      return
+    }
+    if (q.type === 'buckets') {
+      const row = rows[0] || {}
+      out.facets[q.facet] = q.buckets.map((b, j) => ({
+        min: b.min,
+        max: b.max,
+        count: row[`b${j}`] || 0,
+        // A bucket is selected when the chosen monthly range covers it
+        selected: (filters.minMonthly !== undefined || filters.maxMonthly !== undefined) &&
+          (filters.minMonthly === undefined || b.min >= filters.minMonthly) &&
+          (filters.maxMonthly === undefined || (b.max !== null && b.max <= filters.maxMonthly)),
+      }))
+      return
+    }
+    const chosen = (filters[q.facet] || []).map((v) => String(v).toLowerCase())
+    out.facets[q.facet] = rows.map((r) => ({
+      value: OFFER_FACETS[q.facet] && OFFER_FACETS[q.facet].numeric ? Number(r.value) : r.value,
+      count: r.count,
+      selected: chosen.includes(String(r.value).toLowerCase()),
+    }))
+  })
+  return out
+}
+
+module.exports = {
+  DEFAULT_PRICE_BUCKETS,
+  FACETS: [...Object.keys(TEXT_FILTERS), 'monthlyPrice', ...Object.keys(OFFER_LIST_FILTERS), 'provider'],
+  parseFacetOptions,
+  buildFacetQueries,
+  shapeFacets,
+}
@@ -0,0 +1,287 @@
+/**
+ * Best-Deals Query Builder
+ *
+ * Builds the SQL behind /api/best-deals from query-string filters. Vehicle
+ * attributes are filtered on best_deals_cache joined to vehicles. Filters on
+ * the offer itself (term, mileage, maintenance, provider, upfront) re-pick each
+ * vehicle's cheapest offer among those that match, so "best 24-month deal from
+ * Lex" is answered rather than "vehicles whose overall best happens to be Lex".
+ *
+ * Text filters accept several values (`manufacturer=BMW,Audi` or a repeated
+ * parameter) and match case-insensitively. Ranges are min<Name>/max<Name>.
+ * `sort` is a comma list of keys, `-` for descending: sort=-score,monthly
+ * Each vehicle's deal is its lowest monthly offer, or with bestBy=effective its
+ * lowest effective monthly (total cost over the term, see leaseCost.js); sorting
+ * or filtering on totalCost/effectiveMonthly implies bestBy=effective.
+ * Pages are keyset-paginated (see pagination.js) with vehicle_id as the tie-breaker.
+ */
+
+const { keyColumns, parsePagination } = require('./pagination')
+
+const TEXT_FILTERS = {
+  manufacturer: 'v.manufacturer',
+  model: 'v.model',
+  fuelType: 'v.fuel_type',
+  bodyStyle: 'v.body_style',
+  transmission: 'v.transmission',
+}
+// Offer-level lists (matched inside the offer lookup)
+const OFFER_LIST_FILTERS = {
+  term: 'lo.term_months',
+  mileage: 'lo.annual_mileage',
+}
+// min<Name>/max<Name>; offer ranges are applied to the re-picked offer
+const RANGES = {
+  Monthly: { vehicle: 'b.best_monthly_rental', offer: 'lo.monthly_rental' },
+  Upfront: { offer: 'lo.upfront_payment' },
+  P11d: { vehicle: 'v.p11d_price' },
+  Co2: { vehicle: 'v.co2_emissions' },
+  ElectricRange: { vehicle: 'v.electric_range' },
+  // Groups can carry a letter suffix ("25E")
+  InsuranceGroup: { vehicle: "substring(v.insurance_group::text from '\\d+')::int" },
+  Bik: { vehicle: 'v.bik_percentage' },
+  Score: { vehicle: 'b.best_deal_score' },
+  TotalCost: { vehicle: 'c.total_cost', offer: 'lo.total_cost' },
+  EffectiveMonthly: { vehicle: 'c.effective_monthly', offer: 'lo.effective_monthly' },
+}
+const COST_RANGES = ['TotalCost', 'EffectiveMonthly']
+
+// Sort keys -> expression (with and without an offer lookup)
+const SORTS = {
+  monthly: { vehicle: 'b.best_monthly_rental', offer: 'o.monthly_rental' },
+  upfront: { vehicle: 'b.best_upfront_payment', offer: 'o.upfront_payment' },
+  term: { vehicle: 'b.best_term_months', offer: 'o.term_months' },
+  mileage: { vehicle: 'b.best_annual_mileage', offer: 'o.annual_mileage' },
+  totalCost: { vehicle: 'c.total_cost', offer: 'o.total_cost' },
+  effectiveMonthly: { vehicle: 'c.effective_monthly', offer: 'o.effective_monthly' },
+  score: { vehicle: 'b.best_deal_score' },
+  p11d: { vehicle: 'v.p11d_price' },
+  co2: { vehicle: 'v.co2_emissions' },
+  electricRange: { vehicle: 'v.electric_range' },
+  insuranceGroup: { vehicle: RANGES.InsuranceGroup.vehicle },
+  bik: { vehicle: 'v.bik_percentage' },
+  manufacturer: { vehicle: 'v.manufacturer' },
+  model: { vehicle: 'v.model' },
+}
+const COST_SORTS = ['totalCost', 'effectiveMonthly']
+const DEFAULT_SORT = [{ key: 'score', desc: true }, { key: 'monthly', desc: false }]
+const BEST_BY = ['monthly', 'effective']
+const MAX_LIMIT = 1000
+
+const DEAL_FILTERS = [
+  ...Object.keys(TEXT_FILTERS),
+  ...Object.keys(OFFER_LIST_FILTERS),
+  'provider',
+  'bikBand',
+  'maintenance',
+  'bestBy',
+  ...Object.keys(RANGES).flatMap((name) => [`min${name}`, `max${name}`]),
+]
+
+const isPresent = (val) => val !== undefined && val !== null && String(val).trim() !== ''
+
+// "a,b" or ['a', 'b,c'] -> ['a', 'b', 'c']
+const toList = (val) =>
+  (Array.isArray(val) ? val : [val])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean)
+
+/**
+ * Parse and validate best-deals filters from a query string (or saved search)
+ * @param {object} query - Request query
+ * @param {object} options - { defaultLimit }
+ * @returns {object} { filters, sort, bestBy, limit, offset, cursor, count } or { error, details }
+ */
+function parseDealQuery(query = {}, { defaultLimit = 100 } = {}) {
+  const filters = {}
+  const errors = []
+
+  Object.keys(TEXT_FILTERS).concat('provider').forEach((key) => {
+    if (isPresent(query[key])) filters[key] = toList(query[key])
+  })
+  ;[...Object.keys(OFFER_LIST_FILTERS), 'bikBand'].forEach((key) => {
+    if (!isPresent(query[key])) return
+    const values = toList(query[key]).map(Number)
+    if (values.some((n) => isNaN(n))) errors.push(`${key} must be a number or comma list of numbers`)
+    else filters[key] = values
+  })
+  if (isPresent(query.maintenance)) {
+    const val = String(query.maintenance).toLowerCase()
+    if (!['true', 'false', '1', '0', 'yes', 'no'].includes(val)) errors.push('maintenance must be true or false')
+    else filters.maintenance = ['true', '1', 'yes'].includes(val)
+  }
+  if (isPresent(query.bestBy)) {
+    if (!BEST_BY.includes(query.bestBy)) errors.push(`bestBy must be one of: ${BEST_BY.join(', ')}`)
+    else filters.bestBy = query.bestBy
+  }
+  Object.keys(RANGES).forEach((name) => {
+    ;['min', 'max'].forEach((bound) => {
+      const key = `${bound}${name}`
+      if (!isPresent(query[key])) return
+      const n = Number(query[key])
+      if (isNaN(n)) errors.push(`${key} must be a number`)
+      else filters[key] = n
+    })
+  })
+
+  const sort = []
+  if (isPresent(query.sort)) {
+    toList(query.sort).forEach((part) => {
+      const desc = part.startsWith('-')
+      const key = desc ? part.slice(1) : part
+      if (!SORTS[key]) errors.push(`unknown sort key "${key}"; use ${Object.keys(SORTS).join(', ')}`)
+      else sort.push({ key, desc })
+    })
+  }
+
+  const page = parsePagination(query, { defaultLimit, maxLimit: MAX_LIMIT })
+  if (page.error) errors.push(page.error)
+
+  if (errors.length) return { error: 'Invalid best-deals query', details: errors }
+  const order = sort.length ? sort : DEFAULT_SORT
+  return { filters, sort: order, bestBy: bestOfferBasis(filters, order), ...page }
+}
+
+/**
+ * Which offer stands for each vehicle: explicit bestBy, else effective when ranking or filtering on cost
+ */
+function bestOfferBasis(filters, sort) {
+  if (filters.bestBy) return filters.bestBy
+  const onCost = sort.some(({ key }) => COST_SORTS.includes(key)) ||
+    COST_RANGES.some((name) => filters[`min${name}`] !== undefined || filters[`max${name}`] !== undefined)
+  return onCost ? 'effective' : 'monthly'
+}
+
+/**
+ * Whether any filter needs each vehicle's best offer re-picked
+ */
+function needsOfferLookup(filters, bestBy) {
+  return bestBy === 'effective' ||
+    Object.keys(OFFER_LIST_FILTERS).some((k) => filters[k]) ||
+    filters.provider !== undefined ||
+    filters.maintenance !== undefined ||
+    filters.minUpfront !== undefined ||
+    filters.maxUpfront !== undefined
+}
+
+/**
+ * Conditions on one offer (lease_offers lo joined to providers p) from the offer-level filters,
+ * including ranges that have an offer column
+ * @param {Function} param - Adds a parameter, returns its placeholder
+ */
+function offerConditions(filters, param) {
+  const conditions = []
+  Object.entries(OFFER_LIST_FILTERS).forEach(([key, column]) => {
+    if (filters[key]) conditions.push(`${column} = ANY(${param(filters[key])}::int[])`)
+  })
+  if (filters.provider) {
+    const names = param(filters.provider.map((v) => v.toLowerCase()))
+    conditions.push(`(lower(p.name) = ANY(${names}::text[]) OR lower(p.display_name) = ANY(${names}::text[]))`)
+  }
+  if (filters.maintenance !== undefined) conditions.push(`COALESCE(lo.maintenance_included, false) = ${param(filters.maintenance)}`)
+  Object.entries(RANGES).forEach(([name, columns]) => {
+    if (!columns.offer) return
+    ;[['min', '>='], ['max', '<=']].forEach(([bound, op]) => {
+      const value = filters[`${bound}${name}`]
+      if (value !== undefined) conditions.push(`${columns.offer} ${op} ${param(value)}`)
+    })
+  })
+  return conditions
+}
+
+/**
+ * Build the best-deals SQL, unordered and unlimited for db.pagedQuery
+ * @param {object} parsed - Result of parseDealQuery
+ * @param {object} options - { select({ byOffer }) } replaces the row columns (and sort keys), e.g. for facet counts
+ * @returns {object} { text, params, keys } keys are the sort expressions, vehicle_id last
+ */
+function buildDealQuery({ filters = {}, sort = DEFAULT_SORT, bestBy = bestOfferBasis(filters, sort) }, { select = null } = {}) {
+  const params = []
+  const param = (value) => {
+    params.push(value)
+    return `$${params.length}`
+  }
+  const byOffer = needsOfferLookup(filters, bestBy)
+  const where = []
+  const offerWhere = ['lo.vehicle_id = b.vehicle_id']
+
+  Object.entries(TEXT_FILTERS).forEach(([key, column]) => {
+    if (filters[key]) where.push(`lower(${column}::text) = ANY(${param(filters[key].map((v) => v.toLowerCase()))}::text[])`)
+  })
+  if (filters.bikBand) where.push(`v.bik_percentage = ANY(${param(filters.bikBand)}::numeric[])`)
+  // Upfront has no vehicle-level column, so it always turns the offer lookup on
+  if (byOffer) offerWhere.push(...offerConditions(filters, param))
+  Object.entries(RANGES).forEach(([name, columns]) => {
+    if (byOffer && columns.offer) return
+    ;[['min', '>='], ['max', '<=']].forEach(([bound, op]) => {
+      const value = filters[`${bound}${name}`]
+      if (value !== undefined) where.push(`${columns.vehicle} ${op} ${param(value)}`)
+    })
+  })
+
+  // With an offer lookup the re-picked offer's columns replace the cache's best_* columns
+  // (node-pg keeps the last of duplicate column names)
+  const offerColumns = byOffer
+    ? `,
+           o.monthly_rental AS best_monthly_rental, o.upfront_payment AS best_upfront_payment,
+           o.term_months AS best_term_months, o.annual_mileage AS best_annual_mileage,
+           o.maintenance_included AS best_maintenance_included, o.provider_name AS best_provider_name,
+           o.offer_id AS best_offer_id, o.admin_fee AS best_admin_fee,
+           o.total_cost AS best_total_cost, o.effective_monthly AS best_effective_monthly`
+    : `,
+           c.total_cost AS best_total_cost, c.effective_monthly AS best_effective_monthly`
+  const offerJoin = byOffer
+    ? `
+      JOIN LATERAL (
+        SELECT lo.id AS offer_id, lo.monthly_rental, lo.upfront_payment, lo.term_months, lo.annual_mileage,
+               COALESCE(lo.maintenance_included, false) AS maintenance_included,
+               COALESCE(p.display_name, p.name) AS provider_name,
+               lo.admin_fee, lo.total_cost, lo.effective_monthly
+          FROM lease_offers lo
+          JOIN providers p ON p.id = lo.provider_id
+         WHERE ${offerWhere.join('\n           AND ')}
+         ORDER BY ${bestBy === 'effective' ? 'lo.effective_monthly, lo.monthly_rental' : 'lo.monthly_rental, lo.upfront_payment'}
+         LIMIT 1
+      ) o ON true`
+    : `
+      LEFT JOIN LATERAL (
+        -- Cost of the cached best offer (the cache keeps the provider by name)
+        SELECT lo.total_cost, lo.effective_monthly
+          FROM lease_offers lo
+          JOIN providers p ON p.id = lo.provider_id
+         WHERE lo.vehicle_id = b.vehicle_id
+           AND b.best_provider_name IN (p.name, p.display_name)
+           AND lo.monthly_rental = b.best_monthly_rental
+           AND lo.term_months = b.best_term_months
+           AND lo.annual_mileage = b.best_annual_mileage
+         ORDER BY lo.total_cost
+         LIMIT 1
+      ) c ON true`
+  const keys = sort
+    .map(({ key, desc }) => ({ expr: (byOffer && SORTS[key].offer) || SORTS[key].vehicle, desc }))
+    .concat({ expr: 'b.vehicle_id', desc: false })
+
+  const columns = select
+    ? select({ byOffer })
+    : `b.*,
+           v.variant, v.cap_code, v.transmission, v.p11d_price, v.co2_emissions, v.electric_range,
+           v.insurance_group, v.bik_percentage, v.rde2_compliant${offerColumns},
+           ${keyColumns(keys)}`
+  const text = `
+    SELECT ${columns}
+      FROM best_deals_cache b
+      JOIN vehicles v ON v.id = b.vehicle_id${offerJoin}
+     ${where.length ? `WHERE ${where.join('\n       AND ')}` : ''}`
+  return { text, params, keys }
+}
+
+module.exports = {
+  TEXT_FILTERS,
+  OFFER_LIST_FILTERS,
+  RANGES,
+  DEAL_FILTERS,
+  parseDealQuery,
+  offerConditions,
+  buildDealQuery,
+}
@@ -0,0 +1,242 @@
+/**
+ * Deal Score
+ *
+ * best_deal_score is a weighted average of component scores, each 0-100:
+ *   costPerP11d          effective monthly cost as a % of P11D (lower is better)
+ *   totalCost            whole-contract cost in pounds (see leaseCost.js)
+ *   emissions            CO2 g/km and BIK %, averaged when both are known
+ *   mileage              annual mileage allowance (higher is better)
+ *   maintenance          100 when maintenance is included, otherwise 0
+ *   providerReliability  providers.reliability_score, or defaultProviderReliability
+ *
+ * Numeric components are linear between a `best` value (100) and a `worst`
+ * value (0) and clamped outside them. A component with no data (e.g. no P11D)
+ * is left out and the remaining weights are rescaled, so its absence neither
+ * helps nor hurts. Settings are stored in deal_score_settings; anything not
+ * saved falls back to DEFAULT_SCORE_SETTINGS.
+ */
+
+const { leaseCost } = require('./leaseCost')
+
+const round2 = (n) => Math.round(n * 100) / 100
+const isNumber = (val) => val !== undefined && val !== null && val !== '' && !isNaN(Number(val))
+
+const DEFAULT_SCORE_SETTINGS = {
+  weights: {
+    costPerP11d: 30,
+    totalCost: 20,
+    emissions: 15,
+    mileage: 10,
+    maintenance: 10,
+    providerReliability: 15,
+  },
+  bounds: {
+    costPerP11d: { best: 1, worst: 3 },
+    totalCost: { best: 8000, worst: 30000 },
+    co2: { best: 0, worst: 200 },
+    bik: { best: 2, worst: 37 },
+    mileage: { best: 20000, worst: 5000 },
+  },
+  defaultProviderReliability: 70,
+}
+
+/**
+ * 0-100 along best..worst (either way round), clamped
+ */
+function linearScore(value, { best, worst }) {
+  const t = (Number(value) - worst) / (best - worst)
+  return round2(Math.min(Math.max(t, 0), 1) * 100)
+}
+
+// key -> { label, measure(offer, settings) -> { value, score } or null when there is no data }
+const COMPONENTS = {
+  costPerP11d: {
+    label: 'Effective monthly cost per £ of P11D',
+    measure(offer, { bounds }) {
+      const monthly = effectiveMonthly(offer)
+      if (monthly === null || !(Number(offer.p11d_price) > 0)) return null
+      const value = round2((monthly / Number(offer.p11d_price)) * 100)
+      return { value, unit: '% of P11D per month', score: linearScore(value, bounds.costPerP11d) }
+    },
+  },
+  totalCost: {
+    label: 'Total cost of the lease',
+    measure(offer, { bounds }) {
+      const total = isNumber(offer.total_cost) ? Number(offer.total_cost) : leaseCost(offer).total_cost
+      if (total === null) return null
+      return { value: total, unit: '£', score: linearScore(total, bounds.totalCost) }
+    },
+  },
+  emissions: {
+    label: 'CO2 and benefit-in-kind',
+    measure(offer, { bounds }) {
+      const parts = []
+      if (isNumber(offer.co2_emissions)) parts.push(linearScore(offer.co2_emissions, bounds.co2))
+      if (isNumber(offer.bik_percentage)) parts.push(linearScore(offer.bik_percentage, bounds.bik))
+      if (parts.length === 0) return null
+      return {
+        value: {
+          co2_emissions: isNumber(offer.co2_emissions) ? Number(offer.co2_emissions) : null,
+          bik_percentage: isNumber(offer.bik_percentage) ? Number(offer.bik_percentage) : null,
+        },
+        score: round2(parts.reduce((a, b) => a + b, 0) / parts.length),
+      }
+    },
+  },
+  mileage: {
+    label: 'Annual mileage allowance',
+    measure(offer, { bounds }) {
+      if (!isNumber(offer.annual_mileage)) return null
+      return { value: Number(offer.annual_mileage), unit: 'miles', score: linearScore(offer.annual_mileage, bounds.mileage) }
+    },
+  },
+  maintenance: {
+    label: 'Maintenance included',
+    measure(offer) {
+      if (offer.maintenance_included === undefined || offer.maintenance_included === null) return null
+      const included = offer.maintenance_included === true || offer.maintenance_included === 'true'
+      return { value: included, score: included ? 100 : 0 }
+    },
+  },
+  providerReliability: {
+    label: 'Provider reliability',
+    measure(offer, { defaultProviderReliability }) {
+      const rated = isNumber(offer.reliability_score)
+      const value = rated ? Number(offer.reliability_score) : defaultProviderReliability
+      return { value, default: !rated, score: round2(Math.min(Math.max(value, 0), 100)) }
+    },
+  },
+}
+
+function effectiveMonthly(offer) {
+  if (isNumber(offer.effective_monthly)) return Number(offer.effective_monthly)
+  return leaseCost(offer).effective_monthly
+}
+
+/**
+ * Saved settings over the defaults
+ */
+function mergeScoreSettings(saved) {
+  const s = saved || {}
+  const bounds = {}
+  Object.keys(DEFAULT_SCORE_SETTINGS.bounds).forEach((key) => {
+    bounds[key] = { ...DEFAULT_SCORE_SETTINGS.bounds[key], ...((s.bounds || {})[key] || {}) }
+  })
+  return {
+    weights: { ...DEFAULT_SCORE_SETTINGS.weights, ...(s.weights || {}) },
+    bounds,
+    defaultProviderReliability: isNumber(s.defaultProviderReliability)
+      ? Number(s.defaultProviderReliability)
+      : DEFAULT_SCORE_SETTINGS.defaultProviderReliability,
+  }
+}
+
+/**
+ * Validate settings from a request body ({ weights, bounds, defaultProviderReliability }, all optional).
+ * Only the fields given are checked here; checkScoreSettings checks the result once it is merged
+ * with the saved settings, since a partial update can only be judged against them.
+ * @returns {object} { settings } (only what was given, numbers coerced) or { error, details }
+ */
+function validateScoreSettings(input) {
+  const body = input || {}
+  const errors = []
+  const settings = {}
+
+  if (body.weights !== undefined) {
+    if (!body.weights || typeof body.weights !== 'object' || Array.isArray(body.weights)) {
+      errors.push('weights must be an object')
+    } else {
+      settings.weights = {}
+      Object.entries(body.weights).forEach(([key, value]) => {
+        if (!COMPONENTS[key]) errors.push(`unknown weight "${key}"; use ${Object.keys(COMPONENTS).join(', ')}`)
+        else if (!isNumber(value) || Number(value) < 0) errors.push(`weights.${key} must be zero or more`)
+        else settings.weights[key] = Number(value)
+      })
+    }
+  }
+  if (body.bounds !== undefined) {
+    if (!body.bounds || typeof body.bounds !== 'object' || Array.isArray(body.bounds)) {
+      errors.push('bounds must be an object')
+    } else {
+      settings.bounds = {}
+      Object.entries(body.bounds).forEach(([key, value]) => {
+        if (!DEFAULT_SCORE_SETTINGS.bounds[key]) {
+          errors.push(`unknown bounds "${key}"; use ${Object.keys(DEFAULT_SCORE_SETTINGS.bounds).join(', ')}`)
+          return
+        }
+        const given = ['best', 'worst'].filter((end) => value && value[end] !== undefined)
+        if (!value || typeof value !== 'object' || given.length === 0) {
+          errors.push(`bounds.${key} needs best and/or worst`)
+          return
+        }
+        const bound = {}
+        given.forEach((end) => {
+          if (!isNumber(value[end])) errors.push(`bounds.${key}.${end} must be a number`)
+          else bound[end] = Number(value[end])
+        })
+        settings.bounds[key] = bound
+      })
+    }
+  }
+  if (body.defaultProviderReliability !== undefined) {
+    const value = Number(body.defaultProviderReliability)
+    if (!isNumber(body.defaultProviderReliability) || value < 0 || value > 100) {
+      errors.push('defaultProviderReliability must be between 0 and 100')
+    } else {
+      settings.defaultProviderReliability = value
+    }
+  }
+
+  if (errors.length) return { error: 'Invalid deal score settings', details: errors }
+  return { settings }
+}
+
+/**
+ * Check merged settings (mergeScoreSettings) before they are saved
+ * @returns {Array} Problems, empty when the settings can be used
+ */
+function checkScoreSettings(settings) {
+  const errors = []
+  if (Object.values(settings.weights).every((w) => !(Number(w) > 0))) errors.push('at least one weight must be above zero')
+  Object.entries(settings.bounds).forEach(([key, { best, worst }]) => {
+    if (Number(best) === Number(worst)) errors.push(`bounds.${key}: best and worst must differ`)
+  })
+  return errors
+}
+
+/**
+ * Score one offer
+ * @param {object} offer - Offer joined to its vehicle and provider: monthly_rental, upfront_payment,
+ *   term_months, annual_mileage, maintenance_included, admin_fee, upfront_profile, total_cost,
+ *   effective_monthly, p11d_price, co2_emissions, bik_percentage, reliability_score
+ * @param {object} settings - Merged settings (mergeScoreSettings)
+ * @returns {object} { score, components: [{ key, label, weight, share, value, score, points, missing }] }
+ */
+function scoreOffer(offer, settings = DEFAULT_SCORE_SETTINGS) {
+  const measured = Object.entries(COMPONENTS).map(([key, component]) => ({
+    key,
+    label: component.label,
+    weight: Number(settings.weights[key]) || 0,
+    result: component.measure(offer, settings),
+  }))
+  const usedWeight = measured.reduce((sum, c) => sum + (c.result ? c.weight : 0), 0)
+  const components = measured.map(({ key, label, weight, result }) => {
+    if (!result) return { key, label, weight, share: 0, value: null, score: null, points: 0, missing: true }
+    const share = usedWeight > 0 ? weight / usedWeight : 0
+    const { score, ...detail } = result
+    return { key, label, weight, share: round2(share * 100), ...detail, score, points: round2(score * share), missing: false }
+  })
+  return {
+    score: usedWeight > 0 ? round2(components.reduce((sum, c) => sum + c.points, 0)) : null,
+    components,
+  }
+}
+
+module.exports = {
+  DEFAULT_SCORE_SETTINGS,
+  SCORE_COMPONENTS: Object.keys(COMPONENTS),
+  mergeScoreSettings,
+  validateScoreSettings,
+  checkScoreSettings,
+  scoreOffer,
+}
@@ -4,6 +4,8 @@ const path = require('path');
 const csv = require('csv-parser');
 const { createReadStream } = require('fs');
 const { createClient } = require('@supabase/supabase-js');
+const { bikPercentage, rde2Compliant } = require('./bik');
+const { resolveTaxYear } = require('./ukTax');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -194,7 +196,7 @@ class VehicleEnricher {
       console.log('📥 Fetching vehicles from Supabase...');
       const { data: vehicles, error: fetchError } = await supabase
         .from('vehicles')
-        .select('id, cap_code, manufacturer, model, variant');
+        .select('id, cap_code, manufacturer, model, variant, electric_range');
 
       if (fetchError) {
         throw new Error(`Failed to fetch vehicles: ${fetchError.message}`);
@@ -286,10 +288,21 @@ class VehicleEnricher {
             if (capRecord.EURO_RATING && !isNaN(parseInt(capRecord.EURO_RATING))) {
               updateData.euro_standard = parseInt(capRecord.EURO_RATING);
             }
+            // The full rating ("6d", "6d-TEMP") says whether the car meets RDE2
+            const rde2 = capRecord.EURO_RATING ? rde2Compliant({ euro_standard: capRecord.EURO_RATING }) : null;
+            if (rde2 !== null) {
+              updateData.rde2_compliant = rde2;
+            }
 
             // BIK percentage (from CO2)
             if (updateData.co2_emissions) {
-              updateData.bik_percentage = this.calculateBIK(updateData.co2_emissions, capRecord.Fuel_Type);
+              updateData.bik_percentage = this.calculateBIK(
+                updateData.co2_emissions,
+                capRecord.Fuel_Type,
+                vehicle.electric_range,
+                updateData.euro_standard,
+                updateData.rde2_compliant
+              );
             }
           }
 
@@ -420,28 +433,22 @@ class VehicleEnricher {
   }
 
   /**
-   * Calculate BIK percentage based on CO2 emissions and fuel type
-   * Simplified calculation - should be updated with current HMRC rates
+   * Calculate BIK percentage for the current tax year (see src/bik.js)
+   * PHEVs without an electric range get the lowest-range (highest) 1-50 g/km rate; diesels
+   * not known to meet RDE2 get the 4% supplement
    */
-  calculateBIK(co2, fuelType) {
-    // Electric vehicles
-    if (fuelType === 'Electric' || fuelType === 'E' || co2 === 0) {
-      return 2; // 2024/25 rate for zero emission
-    }
-
-    // Plug-in hybrid electric vehicles (PHEV)
-    if (fuelType === 'Plug-in Hybrid Electric' || fuelType === 'PHEV') {
-      // Simplified - actual rate depends on electric range
-      if (co2 <= 50) return 8;
-      return Math.min(37, Math.max(8, Math.floor((co2 - 50) / 5) + 8));
-    }
-
-    // Petrol/Diesel vehicles
-    if (co2 <= 50) return 15;
-    if (co2 >= 170) return 37;
-
-    // Between 51-170 g/km: 15% + 1% per 5g/km
-    return Math.min(37, 15 + Math.floor((co2 - 50) / 5));
+  calculateBIK(co2, fuelType, electricRange = null, euroStandard = null, rde2 = null) {
+    const { percentage } = bikPercentage(
+      {
+        co2_emissions: co2,
+        fuel_type: fuelType,
+        electric_range: electricRange,
+        euro_standard: euroStandard,
+        rde2_compliant: rde2
+      },
+      resolveTaxYear().taxYear
+    );
+    return percentage;
   }
 }
 
@@ -0,0 +1,260 @@
+/**
+ * Inbox Ingester
+ *
+ * Picks up ratebooks dropped into a local directory (or an SFTP inbox mounted
+ * there) on a schedule. Each provider has its own subfolder:
+ *
+ *   INBOX_DIR/lex/march-ratebook.xlsx
+ *   INBOX_DIR/ald/ratebook.zip
+ *
+ * Files are mapped with the provider's saved mapping from provider_mappings and
+ * staged through the same pipeline as /api/upload (uploaded_by = 'inbox').
+ * Processed files move to _archive/<provider>/; files that cannot be ingested
+ * move to _quarantine/<provider>/ next to a .reason.txt explaining why.
+ */
+
+const fs = require('fs/promises')
+const path = require('path')
+const { leaseDB } = require('./db')
+const { parseRatebook } = require('./ratebookParser')
+const { normalizeUpfrontRule } = require('./upfrontRules')
+const { UPLOAD_MODES, stageRatebookUpload } = require('./uploadPipeline')
+
+const INBOX_DIR = process.env.INBOX_DIR || null
+const POLL_INTERVAL = parseInt(process.env.INBOX_POLL_MS) || 60000
+// Files still being written (copied in, SFTP transfer in progress) are left alone until they settle
+const MIN_FILE_AGE_MS = parseInt(process.env.INBOX_MIN_FILE_AGE_MS) || 30000
+const STALE_PROCESSING_MS = parseInt(process.env.INBOX_STALE_MS) || 600000
+const UPLOAD_MODE = UPLOAD_MODES.includes(process.env.INBOX_UPLOAD_MODE) ? process.env.INBOX_UPLOAD_MODE : 'append'
+
+// Folders the ingester owns; provider folders must not start with '_' or '.'
+const ARCHIVE = '_archive'
+const QUARANTINE = '_quarantine'
+const PROCESSING = '_processing'
+
+const stamp = () => new Date().toISOString().replace(/[:.]/g, '-')
+
+class InboxIngester {
+  constructor(rootDir = INBOX_DIR, db = leaseDB) {
+    this.rootDir = rootDir
+    this.db = db
+    this.timer = null
+    this.running = false
+    this.active = null
+    this.lastRun = null
+    this.recent = []
+  }
+
+  start() {
+    if (this.running || !this.rootDir) return
+    this.running = true
+    console.log(`Inbox ingester watching ${this.rootDir} (poll ${POLL_INTERVAL}ms, mode ${UPLOAD_MODE})`)
+    this.schedule(0)
+  }
+
+  schedule(delay) {
+    if (!this.running) return
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => {
+      this.poll().finally(() => this.schedule(POLL_INTERVAL))
+    }, delay)
+  }
+
+  /**
+   * Scan provider folders once and ingest every settled file. Only one scan runs at a time.
+   */
+  poll() {
+    if (this.active) return this.active
+    this.active = (async () => {
+      await this.recoverInterrupted()
+      const files = await this.findReadyFiles()
+      for (const f of files) {
+        if (!this.running) break
+        await this.ingestFile(f.provider, f.name)
+      }
+      this.lastRun = new Date().toISOString()
+    })()
+      .catch((e) => console.error('Inbox poll error:', e))
+      .finally(() => {
+        this.active = null
+      })
+    return this.active
+  }
+
+  /**
+   * Files directly inside provider folders that have not changed for MIN_FILE_AGE_MS, oldest first
+   */
+  async findReadyFiles() {
+    const ready = []
+    const providers = await fs.readdir(this.rootDir, { withFileTypes: true })
+    for (const dir of providers) {
+      if (!dir.isDirectory() || dir.name.startsWith('_') || dir.name.startsWith('.')) continue
+      const entries = await fs.readdir(path.join(this.rootDir, dir.name), { withFileTypes: true })
+      for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.')) continue
+        const stat = await fs.stat(path.join(this.rootDir, dir.name, entry.name)).catch(() => null)
+        if (!stat || Date.now() - stat.mtimeMs < MIN_FILE_AGE_MS) continue
+        ready.push({ provider: dir.name, name: entry.name, mtime: stat.mtimeMs })
+      }
+    }
+    return ready.sort((a, b) => a.mtime - b.mtime)
+  }
+
+  /**
+   * Ingest one file. It is first renamed into _processing, which is atomic, so two
+   * instances sharing the inbox never ingest the same file.
+   */
+  async ingestFile(provider, name) {
+    const processingDir = path.join(this.rootDir, PROCESSING, provider)
+    const claimed = path.join(processingDir, `${stamp()}-${name}`)
+    try {
+      await fs.mkdir(processingDir, { recursive: true })
+      await fs.rename(path.join(this.rootDir, provider, name), claimed)
+    } catch (e) {
+      if (e.code === 'ENOENT') return // another instance took it
+      throw e
+    }
+
+    let sessionId = null
+    try {
+      const mapping = await this.db.getMappingByProvider(provider)
+      if (!mapping.success) {
+        throw new Error(mapping.error === 'not_found'
+          ? `No saved mapping for provider "${provider}"; save one with POST /api/mappings first`
+          : `Could not load mapping: ${mapping.error}`)
+      }
+      const { column_mappings: fieldMappings, header_names: headerNames, current_version: mappingVersion } = mapping.data
+      if (!fieldMappings || Object.keys(fieldMappings).length === 0) {
+        throw new Error(`Saved mapping for provider "${provider}" has no mapped fields`)
+      }
+
+      const file = { buffer: await fs.readFile(claimed), originalname: name }
+      let parsed
+      try {
+        parsed = await parseRatebook(file, {
+          providerName: provider,
+          fieldMappings,
+          headerNames: Array.isArray(headerNames) ? headerNames : [],
+        })
+      } catch (e) {
+        throw new Error(`Could not parse file: ${e.message}`)
+      }
+      if (parsed.vehicleData.length === 0) throw new Error('File contains no data rows')
+
+      const staged = await stageRatebookUpload(file, parsed, {
+        providerName: provider,
+        uploadedBy: 'inbox',
+        mappingVersion,
+        upfrontRule: normalizeUpfrontRule(mapping.data.upfront_rule).rule,
+        uploadMode: UPLOAD_MODE,
+      })
+      sessionId = staged.sessionId || null
+      if (!staged.success) throw new Error(`Could not stage upload: ${staged.error}`)
+      if (staged.validRows === 0) {
+        throw new Error(`No valid rows (${staged.rejectedRows} rejected); see GET /api/upload/${sessionId}/errors`)
+      }
+
+      const archived = await this.moveTo(ARCHIVE, provider, claimed)
+      this.remember({
+        provider,
+        file: name,
+        status: 'ingested',
+        sessionId,
+        validRows: staged.validRows,
+        rejectedRows: staged.rejectedRows,
+        archived,
+      })
+      console.log(`Inbox: ${provider}/${name} staged as upload session ${sessionId}`)
+    } catch (e) {
+      const quarantined = await this.quarantine(provider, claimed, e.message, { originalName: name, sessionId })
+      this.remember({ provider, file: name, status: 'quarantined', sessionId, reason: e.message, quarantined })
+      console.warn(`Inbox: quarantined ${provider}/${name}: ${e.message}`)
+    }
+  }
+
+  async moveTo(folder, provider, filePath) {
+    const dir = path.join(this.rootDir, folder, provider)
+    await fs.mkdir(dir, { recursive: true })
+    const target = path.join(dir, path.basename(filePath))
+    await fs.rename(filePath, target)
+    return target
+  }
+
+  /**
+   * Move a file to _quarantine and write <file>.reason.txt beside it
+   */
+  async quarantine(provider, filePath, reason, { originalName = null, sessionId = null } = {}) {
+    const target = await this.moveTo(QUARANTINE, provider, filePath)
+    const lines = [
+      `File: ${originalName || path.basename(filePath)}`,
+      `Provider: ${provider}`,
+      `Quarantined: ${new Date().toISOString()}`,
+      ...(sessionId ? [`Upload session: ${sessionId}`] : []),
+      `Reason: ${reason}`,
+      '',
+      `To retry, fix the problem and move the file back to ${path.join(this.rootDir, provider)}/`,
+      '',
+    ]
+    await fs.writeFile(`${target}.reason.txt`, lines.join('\n'))
+    return target
+  }
+
+  /**
+   * Quarantine files stuck in _processing (the instance ingesting them stopped part-way).
+   * A session may already exist for them, so they are not retried automatically.
+   */
+  async recoverInterrupted() {
+    const root = path.join(this.rootDir, PROCESSING)
+    const providers = await fs.readdir(root, { withFileTypes: true }).catch(() => [])
+    for (const dir of providers) {
+      if (!dir.isDirectory()) continue
+      const files = await fs.readdir(path.join(root, dir.name))
+      for (const name of files) {
+        // The claiming rename updates ctime; younger files may still be in progress on another instance
+        const stat = await fs.stat(path.join(root, dir.name, name)).catch(() => null)
+        if (!stat || Date.now() - stat.ctimeMs < STALE_PROCESSING_MS) continue
+        await this.quarantine(
+          dir.name,
+          path.join(root, dir.name, name),
+          'Ingestion was interrupted (server restart). An upload session may already exist for this file; check /api/dashboard/activity before moving it back to the inbox.'
+        )
+      }
+    }
+  }
+
+  remember(entry) {
+    this.recent.unshift({ at: new Date().toISOString(), ...entry })
+    this.recent = this.recent.slice(0, 50)
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.rootDir,
+      running: this.running,
+      directory: this.rootDir,
+      pollIntervalMs: POLL_INTERVAL,
+      minFileAgeMs: MIN_FILE_AGE_MS,
+      uploadMode: UPLOAD_MODE,
+      lastRun: this.lastRun,
+      recent: this.recent,
+    }
+  }
+
+  /**
+   * Stop polling and wait (up to timeoutMs) for the file being ingested
+   */
+  async stop(timeoutMs = 10000) {
+    this.running = false
+    clearTimeout(this.timer)
+    if (this.active) {
+      await Promise.race([this.active, new Promise((resolve) => setTimeout(resolve, timeoutMs))])
+    }
+  }
+}
+
+const inboxIngester = new InboxIngester()
+
+module.exports = {
+  InboxIngester,
+  inboxIngester,
+}
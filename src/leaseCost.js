@@ -0,0 +1,58 @@
+/**
+ * Lease Cost
+ *
+ * Whole-contract cost of an offer, so a £200/month deal with 12 months upfront
+ * can be compared with £220/month and 3 months upfront:
+ *
+ *   total_cost        = upfront + monthly x following payments + admin fee
+ *   effective_monthly = total_cost / term
+ *
+ * Following payments come from the payment profile ("3+35" -> 35), otherwise
+ * term - 1 (the initial payment stands in for the first rental). Matches the
+ * lease_offers.total_cost / effective_monthly generated columns.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+/**
+ * Monthly rentals paid after the initial payment
+ */
+function followingPayments({ term_months, upfront_profile } = {}) {
+  const profile = String(upfront_profile || '').match(/\+(\d+)$/)
+  if (profile) return parseInt(profile[1])
+  return Math.max((parseInt(term_months) || 0) - 1, 0)
+}
+
+/**
+ * @param {object} offer - { monthly_rental, upfront_payment, term_months, admin_fee, upfront_profile }
+ * @returns {object} { total_cost, effective_monthly, following_payments } (nulls without a rental and term)
+ */
+function leaseCost(offer = {}) {
+  const monthly = Number(offer.monthly_rental)
+  const term = parseInt(offer.term_months)
+  if (!(monthly > 0) || !(term > 0)) return { total_cost: null, effective_monthly: null, following_payments: null }
+  const payments = followingPayments(offer)
+  const total = (Number(offer.upfront_payment) || 0) + monthly * payments + (Number(offer.admin_fee) || 0)
+  return {
+    total_cost: round2(total),
+    effective_monthly: round2(total / term),
+    following_payments: payments,
+  }
+}
+
+/**
+ * Add total_cost and effective_monthly to a row, keeping values the database already computed
+ */
+function withLeaseCost(row) {
+  if (row.total_cost !== undefined && row.total_cost !== null && row.effective_monthly !== undefined && row.effective_monthly !== null) {
+    return row
+  }
+  const { total_cost, effective_monthly } = leaseCost(row)
+  return { ...row, total_cost, effective_monthly }
+}
+
+module.exports = {
+  followingPayments,
+  leaseCost,
+  withLeaseCost,
+}
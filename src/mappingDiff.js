@@ -0,0 +1,81 @@
+/**
+ * Provider Mapping Diff
+ *
+ * Compares two saved provider mapping versions field by field, resolving
+ * column indexes to header names so changes read as "monthly_rental moved
+ * from 'Rental' to 'Monthly Rental (ex VAT)'".
+ */
+
+const parseJson = (val, fallback) => {
+  if (val === null || val === undefined) return fallback
+  if (typeof val !== 'string') return val
+  try {
+    return JSON.parse(val)
+  } catch (_) {
+    return fallback
+  }
+}
+
+/**
+ * Diff two provider_mapping_versions rows
+ * @param {object} from - Older version ({ version, column_mappings, header_names })
+ * @param {object} to - Newer version
+ * @returns {object} { from, to, added, removed, changed, unchanged, headers, upfrontRule }
+ */
+function diffMappingVersions(from, to) {
+  const fromMappings = parseJson(from.column_mappings, {}) || {}
+  const toMappings = parseJson(to.column_mappings, {}) || {}
+  const fromHeaders = parseJson(from.header_names, []) || []
+  const toHeaders = parseJson(to.header_names, []) || []
+  const fromRule = JSON.stringify(parseJson(from.upfront_rule, null))
+  const toRule = JSON.stringify(parseJson(to.upfront_rule, null))
+
+  const describe = (index, headers) => ({
+    columnIndex: index,
+    column: headers[typeof index === 'string' ? parseInt(index) : index] ?? null,
+  })
+
+  const added = []
+  const removed = []
+  const changed = []
+  const unchanged = []
+  const fields = new Set([...Object.keys(fromMappings), ...Object.keys(toMappings)])
+
+  fields.forEach((field) => {
+    const inFrom = Object.prototype.hasOwnProperty.call(fromMappings, field)
+    const inTo = Object.prototype.hasOwnProperty.call(toMappings, field)
+    if (!inFrom) {
+      added.push({ field, to: describe(toMappings[field], toHeaders) })
+      return
+    }
+    if (!inTo) {
+      removed.push({ field, from: describe(fromMappings[field], fromHeaders) })
+      return
+    }
+    const a = describe(fromMappings[field], fromHeaders)
+    const b = describe(toMappings[field], toHeaders)
+    if (String(a.columnIndex) === String(b.columnIndex) && a.column === b.column) {
+      unchanged.push({ field, ...b })
+    } else {
+      changed.push({ field, from: a, to: b })
+    }
+  })
+
+  return {
+    from: from.version,
+    to: to.version,
+    added,
+    removed,
+    changed,
+    unchanged,
+    headers: {
+      added: toHeaders.filter((h) => !fromHeaders.includes(h)),
+      removed: fromHeaders.filter((h) => !toHeaders.includes(h)),
+    },
+    upfrontRule: fromRule === toRule ? null : { from: parseJson(from.upfront_rule, null), to: parseJson(to.upfront_rule, null) },
+  }
+}
+
+module.exports = {
+  diffMappingVersions,
+}
@@ -0,0 +1,291 @@
+/**
+ * Column Mapping Suggester
+ *
+ * Proposes a fieldMappings object for an unfamiliar ratebook by scoring
+ * each column against the canonical offer fields used by /api/upload:
+ * - Header names (exact synonyms, partial matches, fuzzy similarity)
+ * - Value shapes in sample rows (e.g. 5-digit mileages, £ amounts, 36/48 terms)
+ */
+
+const { parseNumber } = require('./ratebookParser')
+
+const KNOWN_MANUFACTURERS = [
+  'abarth', 'alfa romeo', 'alpine', 'aston martin', 'audi', 'bentley', 'bmw', 'byd', 'citroen', 'cupra',
+  'dacia', 'ds', 'fiat', 'ford', 'genesis', 'honda', 'hyundai', 'jaguar', 'jeep', 'kia', 'land rover',
+  'lexus', 'lotus', 'maserati', 'mazda', 'mercedes', 'mercedes-benz', 'mg', 'mg motor uk', 'mini',
+  'mitsubishi', 'nissan', 'omoda', 'peugeot', 'polestar', 'porsche', 'renault', 'seat', 'skoda',
+  'smart', 'subaru', 'suzuki', 'tesla', 'toyota', 'vauxhall', 'volkswagen', 'volvo', 'xpeng',
+]
+
+const isInt = (n) => n !== null && Number.isInteger(n)
+const inRange = (n, min, max) => n !== null && n >= min && n <= max
+const text = (v) => String(v).trim().toLowerCase()
+
+/**
+ * Canonical fields with header synonyms and an optional value-shape test.
+ * `distinctive` marks shapes specific enough to suggest a column on values alone.
+ */
+const FIELD_DEFINITIONS = {
+  cap_code: {
+    synonyms: ['cap code', 'capcode', 'cap', 'cap id', 'capid', 'cap ref', 'vehicle code'],
+    shape: (v) => /^[A-Z0-9]{8,20}$/.test(String(v).trim()) && /[A-Z]/.test(String(v)) && /\d/.test(String(v)),
+    distinctive: true,
+  },
+  manufacturer: {
+    synonyms: ['manufacturer', 'make', 'brand', 'marque', 'mfr', 'manufacturer name'],
+    shape: (v) => KNOWN_MANUFACTURERS.includes(text(v)),
+    distinctive: true,
+  },
+  model: {
+    synonyms: ['model', 'model name', 'range', 'model range'],
+  },
+  variant: {
+    synonyms: ['variant', 'derivative', 'trim', 'version', 'spec', 'model variant'],
+  },
+  vehicle_description: {
+    synonyms: ['description', 'vehicle description', 'vehicle', 'vehicle name', 'full description'],
+  },
+  p11d_price: {
+    synonyms: ['p11d', 'p11d price', 'p11d value', 'list price', 'otr', 'otr price', 'basic list price'],
+    shape: (v) => inRange(parseNumber(v), 8000, 300000),
+  },
+  fuel_type: {
+    synonyms: ['fuel', 'fuel type', 'fuel description', 'powertrain'],
+    shape: (v) => /^(petrol|diesel|electric|hybrid|phev|bev|hev|mhev|plug-in|petrol\/|diesel\/|hydrogen|lpg)/i.test(String(v).trim()),
+    distinctive: true,
+  },
+  mpg: {
+    synonyms: ['mpg', 'combined mpg', 'mpg combined', 'wltp mpg', 'fuel economy'],
+    shape: (v) => inRange(parseNumber(v), 10, 700),
+  },
+  co2_emissions: {
+    synonyms: ['co2', 'co2 emissions', 'co2 g km', 'emissions', 'wltp co2', 'co2 gkm'],
+    shape: (v) => isInt(parseNumber(v)) && inRange(parseNumber(v), 0, 400),
+  },
+  electric_range: {
+    synonyms: ['electric range', 'ev range', 'range miles', 'wltp range', 'electric range miles', 'battery range'],
+    shape: (v) => inRange(parseNumber(v), 0, 700),
+  },
+  insurance_group: {
+    synonyms: ['insurance group', 'insurance', 'ins group', 'insurance grp', 'ig'],
+    shape: (v) => /^\d{1,2}[a-z]?$/i.test(String(v).trim()) && inRange(parseNumber(v), 1, 50),
+  },
+  body_style: {
+    synonyms: ['body style', 'body', 'body type', 'bodystyle', 'shape'],
+    shape: (v) => /(hatch|saloon|estate|suv|coupe|convertible|cabriolet|mpv|van|pick-?up|tourer|crossover)/i.test(String(v)),
+    distinctive: true,
+  },
+  transmission: {
+    synonyms: ['transmission', 'gearbox', 'trans', 'gear box'],
+    shape: (v) => /^(a|m|s|auto|automatic|manual|semi[- ]?auto.*|cvt|dct|dsg)$/i.test(String(v).trim()),
+    distinctive: true,
+  },
+  monthly_rental: {
+    synonyms: ['monthly rental', 'monthly', 'rental', 'monthly payment', 'monthly price', 'rental ex vat', 'monthly ex vat', 'finance rental', 'monthly rental ex vat', 'net rental'],
+    shape: (v) => inRange(parseNumber(v), 50, 5000),
+  },
+  upfront_payment: {
+    synonyms: ['upfront', 'upfront payment', 'initial rental', 'initial payment', 'advance', 'advance rental', 'deposit', 'initial', 'profile'],
+    shape: (v) => {
+      const n = parseNumber(v)
+      return [1, 3, 6, 9, 12].includes(n) || inRange(n, 100, 30000)
+    },
+  },
+  term_months: {
+    synonyms: ['term', 'term months', 'contract term', 'months', 'duration', 'period', 'contract length'],
+    shape: (v) => [12, 18, 24, 36, 48, 60].includes(parseNumber(v)),
+    distinctive: true,
+  },
+  annual_mileage: {
+    synonyms: ['annual mileage', 'mileage', 'miles', 'miles pa', 'mileage pa', 'annual miles', 'miles per annum'],
+    shape: (v) => {
+      const n = parseNumber(v)
+      return isInt(n) && inRange(n, 3000, 60000) && n % 1000 === 0
+    },
+    distinctive: true,
+  },
+  maintenance_included: {
+    synonyms: ['maintenance', 'maintenance included', 'maint', 'service', 'maintained', 'with maintenance'],
+    shape: (v) => /^(y|n|yes|no|true|false|maintained|non[- ]?maintained)$/i.test(String(v).trim()),
+    distinctive: true,
+  },
+  admin_fee: {
+    synonyms: ['admin fee', 'admin', 'documentation fee', 'doc fee', 'arrangement fee', 'processing fee'],
+    shape: (v) => inRange(parseNumber(v), 0, 500),
+  },
+  offer_valid_until: {
+    synonyms: ['valid until', 'offer valid until', 'expiry', 'expiry date', 'expires', 'valid to', 'end date'],
+    shape: (v) => v instanceof Date || /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}$/.test(String(v).trim()),
+    distinctive: true,
+  },
+  special_conditions: {
+    synonyms: ['special conditions', 'conditions', 'notes', 'comments', 'terms and conditions'],
+  },
+}
+
+const MIN_CONFIDENCE = 0.35
+
+/**
+ * Lowercase a header and collapse punctuation/whitespace ("CO2 (g/km)" -> "co2 g km")
+ */
+function normalizeHeader(header) {
+  return String(header || '')
+    .toLowerCase()
+    .replace(/£/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Dice coefficient over character bigrams, 0..1
+ */
+function similarity(a, b) {
+  if (a === b) return 1
+  if (a.length < 2 || b.length < 2) return 0
+  const bigrams = (s) => {
+    const out = new Map()
+    for (let i = 0; i < s.length - 1; i++) {
+      const g = s.substring(i, i + 2)
+      out.set(g, (out.get(g) || 0) + 1)
+    }
+    return out
+  }
+  const aGrams = bigrams(a)
+  const bGrams = bigrams(b)
+  let overlap = 0
+  aGrams.forEach((count, g) => {
+    overlap += Math.min(count, bGrams.get(g) || 0)
+  })
+  return (2 * overlap) / (a.length - 1 + b.length - 1)
+}
+
+/**
+ * Score how well a header matches a field's synonyms, 0..1
+ */
+function scoreHeader(header, definition) {
+  const h = normalizeHeader(header)
+  if (!h) return { score: 0 }
+  let best = { score: 0 }
+  definition.synonyms.forEach((syn) => {
+    let score = 0
+    let how = null
+    if (h === syn) {
+      score = 1
+      how = 'exact'
+    } else if (new RegExp(`(^| )${syn}( |$)`).test(h)) {
+      // Synonym appears as whole words inside a longer header ("Monthly Rental (ex VAT)")
+      score = 0.85
+      how = 'contains'
+    } else {
+      score = similarity(h, syn) * 0.8
+      how = 'fuzzy'
+    }
+    if (score > best.score) best = { score, synonym: syn, how }
+  })
+  return best
+}
+
+/**
+ * Fraction of non-empty sample values that fit a field's value shape, 0..1
+ */
+function scoreValues(values, definition) {
+  if (!definition.shape) return null
+  const present = values.filter((v) => v !== undefined && v !== null && String(v).trim() !== '')
+  if (present.length === 0) return null
+  const matched = present.filter((v) => {
+    try {
+      return definition.shape(v)
+    } catch (_) {
+      return false
+    }
+  }).length
+  return matched / present.length
+}
+
+/**
+ * Count cells that read like known ratebook column names; used to find the header row
+ */
+function countKnownHeaders(cells = []) {
+  return cells.filter((cell) => {
+    if (typeof cell !== 'string' || !cell.trim()) return false
+    return Object.values(FIELD_DEFINITIONS).some((definition) => scoreHeader(cell, definition).score >= 0.85)
+  }).length
+}
+
+/**
+ * Suggest a fieldMappings object for a ratebook.
+ * @param {Array} headers - Header row
+ * @param {Array} rows - Sample data rows (arrays aligned with headers)
+ * @returns {object} { fieldMappings, headerNames, suggestions, unmappedColumns }
+ */
+function suggestFieldMappings(headers = [], rows = []) {
+  const candidates = []
+
+  headers.forEach((header, columnIndex) => {
+    const values = rows.map((r) => (Array.isArray(r) ? r[columnIndex] : undefined))
+    Object.entries(FIELD_DEFINITIONS).forEach(([field, definition]) => {
+      const headerMatch = scoreHeader(header, definition)
+      const valueScore = scoreValues(values, definition)
+      const reasons = []
+
+      let confidence
+      if (headerMatch.score >= 0.5) {
+        // Header drives the match; value shape confirms or weakens it
+        confidence = valueScore === null ? headerMatch.score : headerMatch.score * 0.75 + valueScore * 0.25
+        reasons.push(`header ${headerMatch.how} match on "${headerMatch.synonym}"`)
+      } else if (definition.distinctive && valueScore !== null && valueScore >= 0.8) {
+        // Unrecognised header, but the values look unmistakably like this field
+        confidence = valueScore * 0.6 + headerMatch.score * 0.2
+        reasons.push('values match expected shape')
+      } else {
+        return
+      }
+      if (valueScore !== null) reasons.push(`${Math.round(valueScore * 100)}% of sample values fit`)
+
+      candidates.push({
+        field,
+        columnIndex,
+        column: header,
+        confidence: Math.round(confidence * 100) / 100,
+        reasons,
+      })
+    })
+  })
+
+  // Greedy assignment: best-scoring pairs first, one column per field and one field per column
+  candidates.sort((a, b) => b.confidence - a.confidence)
+  const usedFields = new Set()
+  const usedColumns = new Set()
+  const suggestions = []
+  candidates.forEach((c) => {
+    if (c.confidence < MIN_CONFIDENCE) return
+    if (usedFields.has(c.field) || usedColumns.has(c.columnIndex)) return
+    usedFields.add(c.field)
+    usedColumns.add(c.columnIndex)
+    suggestions.push(c)
+  })
+
+  const fieldMappings = {}
+  suggestions
+    .sort((a, b) => a.columnIndex - b.columnIndex)
+    .forEach((s) => {
+      fieldMappings[s.field] = s.columnIndex
+    })
+
+  return {
+    fieldMappings,
+    headerNames: headers,
+    suggestions,
+    unmappedColumns: headers
+      .map((column, columnIndex) => ({ column, columnIndex }))
+      .filter((c) => !usedColumns.has(c.columnIndex)),
+    unmappedFields: Object.keys(FIELD_DEFINITIONS).filter((f) => !usedFields.has(f)),
+  }
+}
+
+module.exports = {
+  FIELD_DEFINITIONS,
+  normalizeHeader,
+  countKnownHeaders,
+  suggestFieldMappings,
+}
@@ -0,0 +1,193 @@
+/**
+ * Alert Notifiers
+ *
+ * Delivery channels for deal alerts. A channel is a plain object naming a
+ * notifier type plus its settings:
+ *
+ *   { type: 'webhook', url: 'https://...' }   POST the message as JSON
+ *   { type: 'smtp', to: 'sales@example.com' } email through SMTP_URL / SMTP_HOST
+ *   { type: 'file' }                           append one JSON line per message to ALERT_FILE
+ *   { type: 'console' }                        log it (local testing)
+ *
+ * Saved searches may only ask for webhook and smtp channels, and a webhook URL
+ * from a request must be on a host listed in ALERT_WEBHOOK_HOSTS. The file and
+ * console notifiers are for local testing and are only reachable through
+ * ALERT_NOTIFIERS, with their targets taken from the environment.
+ *
+ * Other channel types can be added with registerNotifier(type, { validate, send, requestFields }).
+ */
+
+const fs = require('fs/promises')
+const crypto = require('crypto')
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000
+
+const notifiers = new Map()
+
+/**
+ * Add or replace a notifier type
+ * @param {string} type - Channel type name
+ * @param {object} notifier - { validate(channel) -> string|null, send(channel, message) -> Promise,
+ *   requestFields: settings a saved search may set (omit to keep the type out of requests) }
+ */
+function registerNotifier(type, notifier) {
+  notifiers.set(type, notifier)
+}
+
+// ALERT_WEBHOOK_HOSTS: comma list of hosts; a leading dot (".example.com") also allows subdomains
+function webhookHostAllowed(url) {
+  let host
+  try {
+    host = new URL(url).hostname.toLowerCase()
+  } catch (e) {
+    return false
+  }
+  return (process.env.ALERT_WEBHOOK_HOSTS || '')
+    .split(',')
+    .map((h) => h.trim().toLowerCase().replace(/^\*\./, '.'))
+    .filter(Boolean)
+    .some((allowed) => (allowed.startsWith('.') ? host.endsWith(allowed) || host === allowed.slice(1) : host === allowed))
+}
+
+registerNotifier('webhook', {
+  requestFields: ['url', 'secret'],
+  validate: (channel) => {
+    if (!channel.url) return process.env.ALERT_WEBHOOK_URL ? null : 'url is required (ALERT_WEBHOOK_URL is not configured)'
+    if (!/^https?:\/\//i.test(channel.url)) return 'url must be an http(s) URL'
+    if (!webhookHostAllowed(channel.url)) return 'url host is not in ALERT_WEBHOOK_HOSTS'
+    return null
+  },
+  async send(channel, message) {
+    // Re-checked here for channels saved before the host list changed
+    if (channel.url && !webhookHostAllowed(channel.url)) throw new Error('Webhook host is not in ALERT_WEBHOOK_HOSTS')
+    const fetch = require('node-fetch')
+    const body = JSON.stringify(message)
+    const headers = { 'Content-Type': 'application/json' }
+    // Receivers can verify the payload with the shared secret
+    const secret = channel.secret || process.env.ALERT_WEBHOOK_SECRET
+    if (secret) headers['X-Alert-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+    const res = await fetch(channel.url || process.env.ALERT_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body,
+      timeout: WEBHOOK_TIMEOUT_MS,
+      // A redirect could lead off the allowed hosts
+      redirect: 'error',
+    })
+    if (!res.ok) throw new Error(`Webhook responded ${res.status}`)
+  },
+})
+
+let smtpTransport = null
+const EMAIL_LIST = /^[^\s@,<>]+@[^\s@,<>]+\.[^\s@,<>]+(\s*,\s*[^\s@,<>]+@[^\s@,<>]+\.[^\s@,<>]+)*$/
+
+registerNotifier('smtp', {
+  requestFields: ['to'],
+  validate: (channel) => {
+    if (!(channel.to || process.env.ALERT_EMAIL_TO)) return 'to is required'
+    if (channel.to && !EMAIL_LIST.test(String(channel.to))) return 'to must be an email address or comma list of them'
+    if (!process.env.SMTP_URL && !process.env.SMTP_HOST) return 'SMTP_URL or SMTP_HOST is not configured'
+    return null
+  },
+  async send(channel, message) {
+    if (!smtpTransport) {
+      const nodemailer = require('nodemailer')
+      smtpTransport = nodemailer.createTransport(process.env.SMTP_URL || {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+      })
+    }
+    await smtpTransport.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: channel.to || process.env.ALERT_EMAIL_TO,
+      // The subject carries the search name; keep it to one line
+      subject: String(message.subject).replace(/[\r\n]+/g, ' '),
+      text: message.text,
+    })
+  },
+})
+
+registerNotifier('file', {
+  validate: () => null,
+  async send(channel, message) {
+    // Never a path from the channel: older saved searches may still carry one
+    const file = process.env.ALERT_FILE || 'alerts.log'
+    await fs.appendFile(file, `${JSON.stringify({ sentAt: new Date().toISOString(), ...message })}\n`)
+  },
+})
+
+registerNotifier('console', {
+  validate: () => null,
+  async send(channel, message) {
+    console.log(`[alert] ${message.subject}\n${message.text}`)
+  },
+})
+
+/**
+ * Channels used when a saved search has none: ALERT_NOTIFIERS is a comma list of types
+ * (settings come from the environment, e.g. ALERT_WEBHOOK_URL, ALERT_EMAIL_TO, ALERT_FILE)
+ */
+function defaultChannels() {
+  return (process.env.ALERT_NOTIFIERS || 'console')
+    .split(',')
+    .map((type) => type.trim())
+    .filter(Boolean)
+    .map((type) => ({ type }))
+}
+
+/**
+ * Check channels from a request (a saved search's notify list)
+ * @returns {object} { channels } keeping only each type's requestFields, or { errors }
+ */
+function parseRequestChannels(channels) {
+  if (!Array.isArray(channels)) return { errors: ['notify must be an array'] }
+  const allowed = [...notifiers.keys()].filter((type) => notifiers.get(type).requestFields)
+  const errors = []
+  const clean = channels.map((channel, i) => {
+    const notifier = channel && notifiers.get(channel.type)
+    if (!notifier || !notifier.requestFields) {
+      errors.push(`notify[${i}]: type must be one of ${allowed.join(', ')}`)
+      return null
+    }
+    const picked = { type: channel.type }
+    notifier.requestFields.forEach((field) => {
+      if (channel[field] !== undefined && channel[field] !== null && channel[field] !== '') picked[field] = String(channel[field])
+    })
+    const problem = notifier.validate(picked)
+    if (problem) errors.push(`notify[${i}] (${channel.type}): ${problem}`)
+    return picked
+  })
+  return errors.length ? { errors } : { channels: clean }
+}
+
+/**
+ * Send a message through every channel
+ * @param {Array} channels - Channels; empty uses defaultChannels()
+ * @param {object} message - { subject, text, ... } (webhooks and files receive the whole object)
+ * @returns {Promise<object>} { delivered, errors: [{ type, error }] }
+ */
+async function notify(channels, message) {
+  const targets = channels && channels.length > 0 ? channels : defaultChannels()
+  const errors = []
+  let delivered = 0
+  for (const channel of targets) {
+    const notifier = notifiers.get(channel.type)
+    try {
+      if (!notifier) throw new Error(`Unknown notifier type "${channel.type}"`)
+      await notifier.send(channel, message)
+      delivered++
+    } catch (e) {
+      errors.push({ type: channel.type, error: e.message })
+    }
+  }
+  return { delivered, errors }
+}
+
+module.exports = {
+  registerNotifier,
+  defaultChannels,
+  parseRequestChannels,
+  notify,
+}
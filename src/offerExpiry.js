@@ -0,0 +1,107 @@
+/**
+ * Offer Expiry Job
+ *
+ * Offers carry an offer_valid_until date. On a schedule, offers past that date
+ * are moved to retired_lease_offers (reason 'expired') and, when any were moved,
+ * best_deals_cache is rebuilt so an expired price stops showing as the best deal.
+ * Expiry is date-granular and judged against the database's CURRENT_DATE, so
+ * the job checks hourly and also just after the database's midnight, when the
+ * day's expiries fall due.
+ */
+
+const { leaseDB } = require('./db')
+
+const CHECK_INTERVAL = parseInt(process.env.OFFER_EXPIRY_CHECK_MS) || 3600000
+// Run this long after the database date changes, so CURRENT_DATE has moved on
+const MIDNIGHT_MARGIN = 1000
+
+class OfferExpiryJob {
+  constructor(db = leaseDB) {
+    this.db = db
+    this.timer = null
+    this.running = false
+    this.active = null
+    this.lastRun = null
+    this.lastResult = null
+    this.msToNextDay = null
+  }
+
+  start() {
+    if (this.running) return
+    this.running = true
+    console.log(`Offer expiry job started (check every ${CHECK_INTERVAL}ms)`)
+    this.schedule(0)
+  }
+
+  schedule(delay) {
+    if (!this.running) return
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => {
+      this.run().finally(() => this.schedule(this.nextDelay()))
+    }, delay)
+  }
+
+  // The regular interval, or sooner when the database's date changes first
+  nextDelay() {
+    if (this.msToNextDay === null || !(this.msToNextDay >= 0)) return CHECK_INTERVAL
+    return Math.min(CHECK_INTERVAL, this.msToNextDay + MIDNIGHT_MARGIN)
+  }
+
+  /**
+   * Expire offers once and refresh the cache if anything expired. Only one run at a time.
+   */
+  run() {
+    if (this.active) return this.active
+    this.active = (async () => {
+      const expired = await this.db.expireOffers()
+      if (!expired.success) throw new Error(expired.error)
+      let refresh = null
+      if (expired.expired > 0) {
+        refresh = await this.db.refreshBestDeals()
+        console.log(`Offer expiry: retired ${expired.expired} expired offer(s), best deals refreshed`)
+      }
+      this.lastResult = {
+        expired: expired.expired,
+        refreshed: !!(refresh && refresh.success),
+        error: refresh && !refresh.success ? refresh.error : null,
+      }
+      this.lastRun = new Date().toISOString()
+      const clock = await this.db.getDatabaseDate()
+      this.msToNextDay = clock.success ? clock.msToNextDay : null
+      return this.lastResult
+    })()
+      .catch((e) => {
+        console.error('Offer expiry error:', e)
+        this.lastResult = { expired: 0, refreshed: false, error: e.message }
+        return this.lastResult
+      })
+      .finally(() => {
+        this.active = null
+      })
+    return this.active
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      checkIntervalMs: CHECK_INTERVAL,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+    }
+  }
+
+  async stop(timeoutMs = 10000) {
+    this.running = false
+    clearTimeout(this.timer)
+    if (this.active) {
+      await Promise.race([this.active, new Promise((resolve) => setTimeout(resolve, timeoutMs))])
+    }
+  }
+}
+
+const offerExpiryJob = new OfferExpiryJob()
+
+module.exports = {
+  OfferExpiryJob,
+  offerExpiryJob,
+}
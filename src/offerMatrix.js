@@ -0,0 +1,201 @@
+/**
+ * Offer Matrix
+ *
+ * One vehicle's prices laid out as term x mileage x maintenance rows against
+ * provider columns, from live lease_offers plus recent Drivalia and Lex quotes.
+ * Each row marks its cheapest cell; a provider with no price for a row gets a
+ * "not_quoted" cell. Drivalia and Lex are always shown as columns because their
+ * gaps can be filled: each such gap carries the request that queues the quote
+ * job (or why it cannot be queued for this vehicle).
+ */
+
+const { withLeaseCost } = require('./leaseCost')
+
+// Providers whose prices can be fetched on demand, and how
+const QUOTE_SOURCES = {
+  drivalia: {
+    provider: 'Drivalia',
+    path: '/api/drivalia/jobs',
+    unavailable: (v) => (v.manufacturer && v.model ? null : 'vehicle has no manufacturer/model to look up'),
+    vehicle: (v) => ({ id: v.id, make: v.manufacturer, model: v.model, variant: v.variant }),
+  },
+  lex: {
+    provider: 'Lex',
+    path: '/api/lex/jobs',
+    unavailable: (v) =>
+      (v.lex_make_code && v.lex_model_code && v.lex_variant_code ? null : 'vehicle has no Lex codes (run CAP enrichment)'),
+    vehicle: (v) => ({
+      id: v.id,
+      manufacturer: v.manufacturer,
+      model: v.model,
+      variant: v.variant,
+      lex_make_code: v.lex_make_code,
+      lex_model_code: v.lex_model_code,
+      lex_variant_code: v.lex_variant_code,
+    }),
+  },
+}
+
+const providerKey = (name) => String(name || '').trim().toLowerCase()
+const comboKey = (term, mileage, maintenance) => `${Number(term)}|${Number(mileage)}|${maintenance ? 1 : 0}`
+
+/**
+ * @param {object} data
+ *   vehicle - vehicles row (with lex_* codes when enriched)
+ *   offers  - live offers { offer_id, provider_name, term_months, annual_mileage, maintenance_included,
+ *             monthly_rental, upfront_payment, admin_fee, upfront_profile, total_cost, effective_monthly }
+ *   quotes  - { source: 'drivalia' | 'lex', provider_name, term_months, annual_mileage, maintenance_included,
+ *             monthly_rental, upfront_payment, quoted_at, job_id, total_cost/effective_monthly when the
+ *             quote's upfront is unknown but its total is }
+ * @param {object} options - { terms, mileages, maintenance } force rows (default: every combination priced);
+ *   cheapestBy 'monthly' | 'effective'
+ * @returns {object} { vehicle, providers, rows, quoteSources }
+ */
+function buildOfferMatrix({ vehicle, offers = [], quotes = [] }, { terms = null, mileages = null, maintenance = null, cheapestBy = 'monthly' } = {}) {
+  const metric = cheapestBy === 'effective' ? 'effective_monthly' : 'monthly_rental'
+  const providers = new Map()
+  const addProvider = (name, source = null) => {
+    const key = providerKey(name)
+    if (!providers.has(key)) providers.set(key, { key, name, quoteSource: source })
+    else if (source) providers.get(key).quoteSource = source
+    return key
+  }
+  Object.entries(QUOTE_SOURCES).forEach(([source, q]) => addProvider(q.provider, source))
+
+  const wanted = (p) =>
+    (!terms || terms.includes(Number(p.term_months))) &&
+    (!mileages || mileages.includes(Number(p.annual_mileage))) &&
+    (maintenance === null || !!p.maintenance_included === maintenance)
+
+  // Cheapest price per provider per combination
+  const prices = new Map()
+  const place = (price) => {
+    if (!wanted(price)) return
+    const key = `${comboKey(price.term_months, price.annual_mileage, price.maintenance_included)}|${price.provider}`
+    const current = prices.get(key)
+    if (!current || Number(price[metric]) < Number(current[metric])) prices.set(key, price)
+  }
+  offers.forEach((o) => {
+    place({
+      ...withLeaseCost(o),
+      provider: addProvider(o.provider_name),
+      status: 'offer',
+    })
+  })
+  quotes.forEach((q) => {
+    place({
+      ...withLeaseCost(q),
+      provider: addProvider(q.provider_name || QUOTE_SOURCES[q.source].provider, q.source),
+      status: 'quote',
+    })
+  })
+
+  // Rows: the requested grid, or every combination that has a price
+  const combos = new Map()
+  const addCombo = (term, mileage, maint) => combos.set(comboKey(term, mileage, maint), {
+    term_months: Number(term),
+    annual_mileage: Number(mileage),
+    maintenance_included: !!maint,
+  })
+  if (terms && mileages) {
+    const flags = maintenance === null ? [false, true] : [maintenance]
+    terms.forEach((t) => mileages.forEach((m) => flags.forEach((f) => addCombo(t, m, f))))
+  } else {
+    prices.forEach((p) => addCombo(p.term_months, p.annual_mileage, p.maintenance_included))
+  }
+
+  const columns = [...providers.values()].sort((a, b) => a.name.localeCompare(b.name))
+  const quoteSources = {}
+  Object.entries(QUOTE_SOURCES).forEach(([source, q]) => {
+    quoteSources[source] = { provider: q.provider, available: !q.unavailable(vehicle), reason: q.unavailable(vehicle), gaps: 0 }
+  })
+
+  const rows = [...combos.entries()]
+    .sort(([, a], [, b]) =>
+      a.term_months - b.term_months ||
+      a.annual_mileage - b.annual_mileage ||
+      Number(a.maintenance_included) - Number(b.maintenance_included)
+    )
+    .map(([key, combo]) => {
+      const cells = {}
+      columns.forEach((col) => {
+        const price = prices.get(`${key}|${col.key}`)
+        if (price) {
+          cells[col.name] = {
+            status: price.status,
+            monthly_rental: Number(price.monthly_rental),
+            upfront_payment: price.upfront_payment === null || price.upfront_payment === undefined ? null : Number(price.upfront_payment),
+            total_cost: price.total_cost === null ? null : Number(price.total_cost),
+            effective_monthly: price.effective_monthly === null ? null : Number(price.effective_monthly),
+            offer_id: price.offer_id || null,
+            quoted_at: price.quoted_at || null,
+            job_id: price.job_id || null,
+            cheapest: false,
+          }
+          return
+        }
+        cells[col.name] = { status: 'not_quoted', fill: col.quoteSource ? fillHint(col.quoteSource, vehicle, combo, quoteSources) : null }
+      })
+
+      const priced = Object.values(cells).filter((c) => c.status !== 'not_quoted' && c[metric] !== null)
+      const best = priced.length ? Math.min(...priced.map((c) => c[metric])) : null
+      let cheapest = null
+      Object.entries(cells).forEach(([name, c]) => {
+        if (best !== null && c.status !== 'not_quoted' && c[metric] === best) {
+          c.cheapest = true
+          if (!cheapest) cheapest = { provider_name: name, monthly_rental: c.monthly_rental, effective_monthly: c.effective_monthly }
+        }
+      })
+      return {
+        ...combo,
+        cheapest,
+        quoted: priced.length,
+        gaps: Object.keys(cells).filter((name) => cells[name].status === 'not_quoted'),
+        cells,
+      }
+    })
+
+  return {
+    vehicle: {
+      id: vehicle.id,
+      manufacturer: vehicle.manufacturer,
+      model: vehicle.model,
+      variant: vehicle.variant,
+      cap_code: vehicle.cap_code,
+      p11d_price: vehicle.p11d_price,
+    },
+    cheapestBy: metric === 'effective_monthly' ? 'effective' : 'monthly',
+    providers: columns.map((c) => ({ name: c.name, quoteSource: c.quoteSource })),
+    rows,
+    quoteSources,
+  }
+}
+
+/**
+ * Request that queues a quote job for one gap, or why it cannot be queued
+ */
+function fillHint(source, vehicle, combo, quoteSources) {
+  const q = QUOTE_SOURCES[source]
+  const reason = q.unavailable(vehicle)
+  quoteSources[source].gaps++
+  if (reason) return { source, available: false, reason }
+  return {
+    source,
+    available: true,
+    method: 'POST',
+    path: q.path,
+    body: {
+      vehicles: [q.vehicle(vehicle)],
+      config: {
+        terms: combo.term_months,
+        mileages: combo.annual_mileage,
+        maintenance: combo.maintenance_included,
+      },
+    },
+  }
+}
+
+module.exports = {
+  QUOTE_SOURCES,
+  buildOfferMatrix,
+}
@@ -0,0 +1,216 @@
+/**
+ * Keyset Pagination
+ *
+ * List endpoints page with an opaque cursor instead of deep offsets. A list
+ * query is written unordered and unlimited, selecting its sort keys as
+ * _k0.._kn (keyColumns) with a unique key last as the tie-breaker. The page
+ * query then orders by those keys and continues strictly after (or before)
+ * the cursor row, so every page costs the same however deep it is.
+ *
+ * Cursors are base64url JSON: { v: key values as text, d: 'next' | 'prev', s: sort signature }.
+ * A cursor only fits the sort it came from; reusing it with another sort is rejected.
+ *
+ * Totals: count=exact (default; also gives the page number), estimated (the
+ * planner's row estimate, for large lists) or none.
+ */
+
+const crypto = require('crypto')
+
+const COUNT_MODES = ['exact', 'estimated', 'none']
+
+const signature = (keys) =>
+  crypto.createHash('md5').update(keys.map((k) => `${k.expr}:${k.desc ? 'd' : 'a'}`).join('|')).digest('hex').slice(0, 8)
+
+function encodeCursor(values, direction, keys) {
+  return Buffer.from(JSON.stringify({ v: values, d: direction, s: signature(keys) })).toString('base64url')
+}
+
+/**
+ * @returns {object|null} { v, d, s } or null when the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (!decoded || !Array.isArray(decoded.v) || !['next', 'prev'].includes(decoded.d)) return null
+    return decoded
+  } catch (_) {
+    return null
+  }
+}
+
+/**
+ * "expr AS _k0, ..." for a list query's SELECT
+ */
+function keyColumns(keys) {
+  return keys.map((k, i) => `${k.expr} AS _k${i}`).join(', ')
+}
+
+/**
+ * Rows strictly after (next) or before (prev) the cursor row in the keys' order, NULLS LAST
+ * @param {Array} columns - [{ column, desc }]
+ * @param {Array} values - Cursor row's key values (text or null)
+ * @param {string} direction - 'next' | 'prev'
+ * @param {Function} param - Adds a parameter, returns its placeholder
+ */
+function keysetCondition(columns, values, direction, param) {
+  const forward = direction === 'next'
+  const branches = []
+  columns.forEach((key, i) => {
+    const value = values[i]
+    // Nothing sorts after a null going forward (nulls sort last)
+    if (value === null && forward) return
+    const equal = columns.slice(0, i).map((k, j) => (values[j] === null ? `${k.column} IS NULL` : `${k.column} = ${param(values[j])}`))
+    const op = key.desc === forward ? '<' : '>'
+    let beyond
+    if (value === null) beyond = `${key.column} IS NOT NULL`
+    else beyond = forward ? `(${key.column} ${op} ${param(value)} OR ${key.column} IS NULL)` : `${key.column} ${op} ${param(value)}`
+    branches.push([...equal, beyond].join(' AND '))
+  })
+  return branches.length ? `(${branches.map((b) => `(${b})`).join(' OR ')})` : 'false'
+}
+
+/**
+ * Build the page query and (for exact totals) the count query
+ * @param {object} spec - { text, params, keys, limit, cursor, offset }
+ *   text selects the keys as _k0.._kn (keyColumns); cursor is a decoded cursor or null
+ * @returns {object} { page: { text, params }, count: { text, params } }
+ */
+function buildPageQueries({ text, params = [], keys, limit, cursor = null, offset = 0 }) {
+  const direction = cursor ? cursor.d : 'next'
+  const columns = keys.map((k, i) => ({ column: `page._k${i}`, desc: k.desc }))
+  const withParams = (base) => {
+    const all = [...base]
+    return { all, param: (v) => { all.push(v); return `$${all.length}` } }
+  }
+
+  const page = withParams(params)
+  const condition = cursor ? keysetCondition(columns, cursor.v, direction, page.param) : null
+  // A prev page is read backwards from the cursor, then reversed
+  const reverse = direction === 'prev'
+  const orderBy = columns
+    .map((c) => `${c.column} ${c.desc !== reverse ? 'DESC' : 'ASC'} NULLS ${reverse ? 'FIRST' : 'LAST'}`)
+    .join(', ')
+  const pageText = `SELECT page.*, ${columns.map((c, i) => `${c.column}::text AS _c${i}`).join(', ')}
+      FROM (${text}) page
+     ${condition ? `WHERE ${condition}` : ''}
+     ORDER BY ${orderBy}
+     LIMIT ${page.param(limit + 1)}${!cursor && offset > 0 ? ` OFFSET ${page.param(offset)}` : ''}`
+
+  const count = withParams(params)
+  const countCondition = cursor ? keysetCondition(columns, cursor.v, direction, count.param) : null
+  const countText = `SELECT COUNT(*)::int AS total${countCondition ? `, COUNT(*) FILTER (WHERE ${countCondition})::int AS beyond` : ''}
+      FROM (${text}) page`
+
+  return { page: { text: pageText, params: page.all }, count: { text: countText, params: count.all } }
+}
+
+/**
+ * Turn fetched rows (limit + 1 at most) into a page with cursors
+ * @returns {object} { rows, nextCursor, prevCursor, hasMore }
+ */
+function finishPage(rows, { keys, limit, cursor = null, offset = 0 }) {
+  const direction = cursor ? cursor.d : 'next'
+  const hasMore = rows.length > limit
+  const pageRows = rows.slice(0, limit)
+  if (direction === 'prev') pageRows.reverse()
+  const valuesOf = (row) => keys.map((_, i) => row[`_c${i}`])
+  const first = pageRows[0]
+  const last = pageRows[pageRows.length - 1]
+
+  // Going forward there is a next page only if an extra row came back; going back we came from one
+  const nextCursor = last && (direction === 'prev' || hasMore) ? encodeCursor(valuesOf(last), 'next', keys) : null
+  const prevCursor = first && (direction === 'prev' ? hasMore : (!!cursor || offset > 0))
+    ? encodeCursor(valuesOf(first), 'prev', keys)
+    : null
+
+  const clean = pageRows.map((row) => {
+    const out = {}
+    Object.keys(row).forEach((k) => {
+      if (!/^_[kc]\d+$/.test(k)) out[k] = row[k]
+    })
+    return out
+  })
+  return { rows: clean, nextCursor, prevCursor, hasMore }
+}
+
+/**
+ * Position of the page's first row, from an exact count
+ * @param {object} counts - { total, beyond } where beyond counts rows past the cursor in its direction
+ */
+function pagePosition(counts, { limit, cursor = null, offset = 0, rowCount = 0 }) {
+  let before = offset
+  if (cursor && cursor.d === 'next') before = counts.total - counts.beyond
+  if (cursor && cursor.d === 'prev') before = Math.max(0, counts.beyond - rowCount)
+  return {
+    page: Math.floor(before / limit) + 1,
+    pages: Math.max(1, Math.ceil(counts.total / limit)),
+  }
+}
+
+/**
+ * Read limit/cursor/offset/count from a request query
+ * @returns {object} { limit, cursor, offset, count } or { error }
+ */
+function parsePagination(query = {}, { defaultLimit = 100, maxLimit = 1000 } = {}) {
+  const limit = query.limit !== undefined && query.limit !== '' ? parseInt(query.limit) : defaultLimit
+  if (!(limit > 0)) return { error: 'limit must be a positive integer' }
+  const offset = query.offset !== undefined && query.offset !== '' ? parseInt(query.offset) : 0
+  if (!(offset >= 0)) return { error: 'offset must be zero or more' }
+  let cursor = null
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor)
+    if (!cursor) return { error: 'invalid cursor' }
+  }
+  const count = query.count || 'exact'
+  if (!COUNT_MODES.includes(count)) return { error: `count must be one of: ${COUNT_MODES.join(', ')}` }
+  return { limit: Math.min(limit, maxLimit), cursor, offset: cursor ? 0 : offset, count }
+}
+
+/**
+ * Check a decoded cursor against the query's keys
+ * @returns {string|null} Problem, or null when it fits
+ */
+function checkCursor(cursor, keys) {
+  if (!cursor) return null
+  if (cursor.v.length !== keys.length || cursor.s !== signature(keys)) return 'cursor does not match this sort'
+  return null
+}
+
+/**
+ * Response fields shared by paginated endpoints: next/prev links keep the request's
+ * other parameters and swap the cursor
+ */
+function paginationResponse(req, page) {
+  const link = (cursor) => {
+    if (!cursor) return null
+    const url = new URL(req.originalUrl, 'http://localhost')
+    url.searchParams.delete('offset')
+    url.searchParams.set('cursor', cursor)
+    return `${url.pathname}${url.search}`
+  }
+  return {
+    count: page.data.length,
+    total: page.total,
+    pagination: {
+      limit: page.limit,
+      total: page.total,
+      totalType: page.totalType,
+      page: page.page,
+      pages: page.pages,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      next: link(page.nextCursor),
+      prev: link(page.prevCursor),
+    },
+  }
+}
+
+module.exports = {
+  keyColumns,
+  buildPageQueries,
+  finishPage,
+  pagePosition,
+  parsePagination,
+  checkCursor,
+  paginationResponse,
+}
@@ -0,0 +1,124 @@
+/**
+ * Price History Series
+ *
+ * Turns price_history observations for one vehicle into daily series for
+ * charting: one series per provider + term + mileage + maintenance, and a
+ * "best" series per term/mileage/maintenance holding the cheapest provider
+ * each day. Prices only change when a ratebook or quote is stored, so by
+ * default each series carries its last known price forward to the next
+ * observation (points on those days have observed: false).
+ */
+
+const DAY_MS = 86400000
+const round2 = (n) => Math.round(n * 100) / 100
+
+const toDay = (date) => date.toISOString().slice(0, 10)
+
+/**
+ * Every date from `from` to `to` inclusive (YYYY-MM-DD strings)
+ */
+function dateRange(from, to) {
+  const days = []
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += DAY_MS) {
+    days.push(toDay(new Date(t)))
+  }
+  return days
+}
+
+const termsKey = (r) => `${r.term_months}|${r.annual_mileage}|${r.maintenance_included ? 1 : 0}`
+
+/**
+ * Build daily series from per-day observations
+ * @param {Array} rows - { provider_name, term_months, annual_mileage, maintenance_included, day, monthly_rental, observed }
+ *   one row per series per day (the day's lowest price); rows with observed: false seed a series
+ *   with the last price recorded before the window
+ * @param {object} options - { from, to, fill }
+ * @returns {object} { from, to, series, best }
+ */
+function buildPriceSeries(rows, { from, to, fill = true } = {}) {
+  const days = dateRange(from, to)
+  const groups = new Map()
+  rows.forEach((r) => {
+    const key = `${r.provider_name}|${termsKey(r)}`
+    if (!groups.has(key)) {
+      groups.set(key, {
+        provider_name: r.provider_name,
+        term_months: r.term_months,
+        annual_mileage: r.annual_mileage,
+        maintenance_included: !!r.maintenance_included,
+        byDay: new Map(),
+      })
+    }
+    const group = groups.get(key)
+    const existing = group.byDay.get(r.day)
+    // An observation on the first day wins over the price carried in from before the window
+    if (!existing || (r.observed && !existing.observed)) {
+      group.byDay.set(r.day, { monthly_rental: Number(r.monthly_rental), observed: !!r.observed })
+    }
+  })
+
+  const series = [...groups.values()].map(({ byDay, ...meta }) => {
+    const points = []
+    let last = null
+    days.forEach((date) => {
+      const today = byDay.get(date)
+      if (today) {
+        last = today.monthly_rental
+        points.push({ date, monthly_rental: today.monthly_rental, observed: today.observed })
+      } else if (fill && last !== null) {
+        points.push({ date, monthly_rental: last, observed: false })
+      }
+    })
+    const prices = points.map((p) => p.monthly_rental)
+    const first = prices.length ? prices[0] : null
+    const latest = prices.length ? prices[prices.length - 1] : null
+    return {
+      ...meta,
+      observations: points.filter((p) => p.observed).length,
+      first,
+      latest,
+      min: prices.length ? Math.min(...prices) : null,
+      max: prices.length ? Math.max(...prices) : null,
+      change: first !== null ? round2(latest - first) : null,
+      change_pct: first ? round2(((latest - first) / first) * 100) : null,
+      points,
+    }
+  })
+  series.sort((a, b) =>
+    a.term_months - b.term_months ||
+    a.annual_mileage - b.annual_mileage ||
+    Number(a.maintenance_included) - Number(b.maintenance_included) ||
+    String(a.provider_name).localeCompare(String(b.provider_name))
+  )
+
+  // Cheapest provider per day for each term/mileage/maintenance combination
+  const bestGroups = new Map()
+  series.forEach((s) => {
+    const key = termsKey(s)
+    if (!bestGroups.has(key)) {
+      bestGroups.set(key, {
+        term_months: s.term_months,
+        annual_mileage: s.annual_mileage,
+        maintenance_included: s.maintenance_included,
+        byDay: new Map(),
+      })
+    }
+    const byDay = bestGroups.get(key).byDay
+    s.points.forEach((p) => {
+      const current = byDay.get(p.date)
+      if (!current || p.monthly_rental < current.monthly_rental) {
+        byDay.set(p.date, { date: p.date, monthly_rental: p.monthly_rental, provider_name: s.provider_name })
+      }
+    })
+  })
+  const best = [...bestGroups.values()].map(({ byDay, ...meta }) => ({
+    ...meta,
+    points: days.filter((d) => byDay.has(d)).map((d) => byDay.get(d)),
+  }))
+
+  return { from, to, series, best }
+}
+
+module.exports = {
+  buildPriceSeries,
+}
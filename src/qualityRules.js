@@ -0,0 +1,240 @@
+/**
+ * Data-Quality Rules
+ *
+ * Per-row sanity checks applied to normalised offers before they are staged.
+ * A rule set is a list of rules; each has an id, a type and a severity:
+ * - 'reject' rows are not inserted and are reported in upload_row_errors (stage 'quality')
+ * - 'warn' rows are inserted and counted in the upload session's quality_summary
+ *
+ * Rule types:
+ *   range    { field, min, max }                          numeric bounds (inclusive)
+ *   allowed  { field, values }                            value must be one of a list
+ *   ratio    { numerator, denominator, min, max }         e.g. monthly rental as a share of P11D
+ *   required { fields, when: { field, pattern } }         fields that must be present, optionally
+ *                                                         only when another field matches a regex
+ *
+ * Provider rules are layered over the global set by id; a provider rule with
+ * `enabled: false` switches a global rule off for that provider.
+ */
+
+const RULE_TYPES = ['range', 'allowed', 'ratio', 'required']
+const SEVERITIES = ['warn', 'reject']
+// Rows kept per rule in the session summary, to point at examples without storing every row
+const SAMPLE_ROWS_PER_RULE = 20
+
+const DEFAULT_QUALITY_RULES = [
+  { id: 'monthly_rental_range', type: 'range', field: 'monthly_rental', min: 50, max: 10000, severity: 'reject' },
+  { id: 'p11d_price_range', type: 'range', field: 'p11d_price', min: 5000, max: 500000, severity: 'reject' },
+  { id: 'term_months_allowed', type: 'allowed', field: 'term_months', values: [12, 18, 24, 36, 48, 60], severity: 'reject' },
+  { id: 'annual_mileage_range', type: 'range', field: 'annual_mileage', min: 3000, max: 60000, severity: 'reject' },
+  { id: 'upfront_payment_range', type: 'range', field: 'upfront_payment', min: 0, max: 50000, severity: 'warn' },
+  {
+    id: 'monthly_to_p11d_ratio',
+    type: 'ratio',
+    numerator: 'monthly_rental',
+    denominator: 'p11d_price',
+    min: 0.005,
+    max: 0.05,
+    severity: 'warn',
+    message: 'Monthly rental is outside 0.5%-5% of P11D',
+  },
+  {
+    id: 'electric_range_required',
+    type: 'required',
+    fields: ['electric_range'],
+    when: { field: 'fuel_type', pattern: '^(electric|bev)' },
+    severity: 'warn',
+  },
+  {
+    id: 'phev_fields_required',
+    type: 'required',
+    fields: ['electric_range', 'co2_emissions'],
+    when: { field: 'fuel_type', pattern: 'plug|phev' },
+    severity: 'warn',
+  },
+  {
+    id: 'co2_required',
+    type: 'required',
+    fields: ['co2_emissions'],
+    when: { field: 'fuel_type', pattern: '^(petrol|diesel)' },
+    severity: 'warn',
+  },
+]
+
+const isPresent = (val) => val !== undefined && val !== null && String(val).trim() !== ''
+const toNumber = (val) => (isPresent(val) && !isNaN(Number(val)) ? Number(val) : null)
+
+/**
+ * Check a rule set's shape
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateQualityRules(rules) {
+  if (!Array.isArray(rules)) return ['rules must be an array']
+  const errors = []
+  const ids = new Set()
+  rules.forEach((rule, i) => {
+    const at = rule && rule.id ? `rule "${rule.id}"` : `rule ${i}`
+    if (!rule || typeof rule !== 'object') return errors.push(`${at}: must be an object`)
+    if (!rule.id) errors.push(`${at}: id is required`)
+    if (ids.has(rule.id)) errors.push(`${at}: duplicate id`)
+    ids.add(rule.id)
+    // Overrides that only switch a global rule off need nothing else
+    if (rule.enabled === false && !rule.type) return
+    if (!RULE_TYPES.includes(rule.type)) errors.push(`${at}: type must be one of ${RULE_TYPES.join(', ')}`)
+    if (!SEVERITIES.includes(rule.severity)) errors.push(`${at}: severity must be warn or reject`)
+    if ((rule.type === 'range' || rule.type === 'allowed') && !rule.field) errors.push(`${at}: field is required`)
+    if ((rule.type === 'range' || rule.type === 'ratio') && toNumber(rule.min) === null && toNumber(rule.max) === null) {
+      errors.push(`${at}: min or max is required`)
+    }
+    if (rule.type === 'allowed' && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+      errors.push(`${at}: values must be a non-empty array`)
+    }
+    if (rule.type === 'ratio' && (!rule.numerator || !rule.denominator)) {
+      errors.push(`${at}: numerator and denominator are required`)
+    }
+    if (rule.type === 'required') {
+      if (!Array.isArray(rule.fields) || rule.fields.length === 0) errors.push(`${at}: fields must be a non-empty array`)
+      if (rule.when) {
+        try {
+          new RegExp(rule.when.pattern, 'i')
+        } catch (e) {
+          errors.push(`${at}: invalid when.pattern (${e.message})`)
+        }
+      }
+    }
+  })
+  return errors
+}
+
+/**
+ * Layer provider rules over the global set (same id replaces; enabled: false removes)
+ */
+function mergeQualityRules(globalRules = DEFAULT_QUALITY_RULES, providerRules = []) {
+  const byId = new Map()
+  ;[...(globalRules || []), ...(providerRules || [])].forEach((rule) => {
+    if (rule.enabled === false) byId.delete(rule.id)
+    else byId.set(rule.id, rule)
+  })
+  return [...byId.values()]
+}
+
+const describeBounds = (min, max) => {
+  if (toNumber(min) !== null && toNumber(max) !== null) return `between ${min} and ${max}`
+  return toNumber(min) !== null ? `at least ${min}` : `at most ${max}`
+}
+
+/**
+ * Evaluate one rule against an offer
+ * @returns {object|null} { value, message } when the rule fails
+ */
+function checkRule(rule, offer) {
+  const outside = (n) => (toNumber(rule.min) !== null && n < Number(rule.min)) || (toNumber(rule.max) !== null && n > Number(rule.max))
+
+  switch (rule.type) {
+    case 'range': {
+      // Missing values are the job of 'required' rules
+      const n = toNumber(offer[rule.field])
+      if (n === null || !outside(n)) return null
+      return { value: n, message: rule.message || `${rule.field} ${n} is not ${describeBounds(rule.min, rule.max)}` }
+    }
+    case 'allowed': {
+      const val = offer[rule.field]
+      if (!isPresent(val)) return null
+      const allowed = rule.values.map((v) => String(v).toLowerCase())
+      if (allowed.includes(String(val).toLowerCase())) return null
+      return { value: val, message: rule.message || `${rule.field} ${val} is not one of ${rule.values.join(', ')}` }
+    }
+    case 'ratio': {
+      const numerator = toNumber(offer[rule.numerator])
+      const denominator = toNumber(offer[rule.denominator])
+      if (numerator === null || !denominator) return null
+      const ratio = numerator / denominator
+      if (!outside(ratio)) return null
+      return {
+        value: Math.round(ratio * 10000) / 10000,
+        message: rule.message || `${rule.numerator}/${rule.denominator} ${ratio.toFixed(4)} is not ${describeBounds(rule.min, rule.max)}`,
+      }
+    }
+    case 'required': {
+      if (rule.when && !new RegExp(rule.when.pattern, 'i').test(String(offer[rule.when.field] ?? ''))) return null
+      const missing = rule.fields.filter((f) => !isPresent(offer[f]))
+      if (missing.length === 0) return null
+      const context = rule.when ? ` for ${rule.when.field} ${offer[rule.when.field]}` : ''
+      return { value: null, message: rule.message || `Missing ${missing.join(', ')}${context}` }
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Run a rule set over normalised offers
+ * @param {Array} offers - Offers that passed required-field validation
+ * @param {Array} rules - Effective rule set
+ * @returns {object} { accepted, rejectedRows, summary }
+ *   rejectedRows match partitionVehicles' shape with stage 'quality'
+ *   summary: { rules, checked, accepted, rejected, warned, byRule: [{ id, severity, count, rows }] }
+ */
+function evaluateQuality(offers, rules = DEFAULT_QUALITY_RULES) {
+  const accepted = []
+  const rejectedRows = []
+  const byRule = new Map(rules.map((r) => [r.id, { id: r.id, type: r.type, severity: r.severity, count: 0, rows: [] }]))
+  let warned = 0
+
+  offers.forEach((offer) => {
+    const failures = []
+    rules.forEach((rule) => {
+      const failure = checkRule(rule, offer)
+      if (!failure) return
+      failures.push({ rule, ...failure })
+      const stats = byRule.get(rule.id)
+      stats.count++
+      if (stats.rows.length < SAMPLE_ROWS_PER_RULE) {
+        const src = offer._source || {}
+        stats.rows.push({
+          file: src.file ?? null,
+          sheet: src.sheet ?? null,
+          row: src.row ?? null,
+          value: failure.value,
+          message: failure.message,
+        })
+      }
+    })
+
+    const rejects = failures.filter((f) => f.rule.severity === 'reject')
+    if (rejects.length > 0) {
+      const src = offer._source || {}
+      rejectedRows.push({
+        source_file: src.file ?? null,
+        sheet_name: src.sheet ?? null,
+        row_number: src.row ?? null,
+        raw_values: src.raw ?? null,
+        reason: rejects.map((f) => `[${f.rule.id}] ${f.message}`).join('; '),
+        stage: 'quality',
+      })
+      return
+    }
+    if (failures.length > 0) warned++
+    accepted.push(offer)
+  })
+
+  return {
+    accepted,
+    rejectedRows,
+    summary: {
+      rules: rules.length,
+      checked: offers.length,
+      accepted: accepted.length,
+      rejected: rejectedRows.length,
+      warned,
+      byRule: [...byRule.values()].filter((r) => r.count > 0),
+    },
+  }
+}
+
+module.exports = {
+  DEFAULT_QUALITY_RULES,
+  validateQualityRules,
+  mergeQualityRules,
+  evaluateQuality,
+}
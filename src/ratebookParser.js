@@ -0,0 +1,766 @@
+/**
+ * Ratebook Parser
+ *
+ * Shared parsing and normalisation for provider ratebook uploads:
+ * - Sniffs the real file format (XLSX, XLS, ODS, CSV, TSV, zip of several ratebooks)
+ * - Reads workbook/text buffers into mapped vehicle rows (sheet selection, header-row detection)
+ * - Normalises and coerces values into the shape insert_lease_offer expects
+ * - Splits rows into valid offers and rejected rows
+ *
+ * Used by /api/upload for real uploads and for dry-run previews.
+ */
+
+const path = require('path')
+const csv = require('csv-parser')
+const XLSX = require('xlsx')
+const { Readable } = require('stream')
+const { parseVehicleDescription } = require('./vehicleParser')
+
+const REQUIRED_FIELDS = ['manufacturer', 'model', 'monthly_rental']
+
+const BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no', 'y', 'n', '1', '0', ''])
+
+/**
+ * Parse a loosely formatted number ("£1,234.50", "36 months")
+ */
+function parseNumber(val) {
+  if (val === undefined || val === null) return null
+  if (typeof val === 'number') return val
+  const s = String(val).replace(/[^0-9.+-]/g, '')
+  if (!s) return null
+  const num = s.includes('.') ? parseFloat(s) : parseInt(s, 10)
+  return isNaN(num) ? null : num
+}
+
+const isoDate = (y, m, d) => {
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)))
+  // Reject roll-overs such as 31/02
+  if (date.getUTCFullYear() !== Number(y) || date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return null
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Parse a ratebook date into YYYY-MM-DD: Excel serial numbers, Date cells,
+ * ISO dates and UK day-first dates ("31/03/2026", "31-03-26")
+ */
+function parseDate(val) {
+  if (val === undefined || val === null || String(val).trim() === '') return null
+  if (val instanceof Date) return isNaN(val.getTime()) ? null : val.toISOString().slice(0, 10)
+  const s = String(val).trim()
+  if (typeof val === 'number' || /^\d{5}(\.\d+)?$/.test(s)) {
+    // Excel serial date: days since 1899-12-30
+    const serial = Number(s)
+    if (serial < 20000 || serial > 80000) return null
+    return new Date(Math.round((serial - 25569) * 86400000)).toISOString().slice(0, 10)
+  }
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/)
+  if (m) return isoDate(m[1], m[2], m[3])
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/)
+  if (m) return isoDate(m[3].length === 2 ? `20${m[3]}` : m[3], m[2], m[1])
+  const parsed = new Date(s)
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10)
+}
+
+function toBool(val) {
+  if (typeof val === 'boolean') return val
+  if (val === null || val === undefined) return false
+  const s = String(val).trim().toLowerCase()
+  return s === 'true' || s === 'yes' || s === 'y' || s === '1'
+}
+
+// Formats SheetJS reads as workbooks, and delimited text formats read with csv-parser
+const WORKBOOK_FORMATS = ['xlsx', 'xls', 'ods']
+const TEXT_FORMATS = ['csv', 'tsv']
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04])
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+
+/**
+ * List entry names from a zip's central directory without inflating anything
+ */
+function listZipEntries(buffer) {
+  // End of central directory record: signature, then the directory size/offset
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) !== 0x06054b50) continue
+    const count = buffer.readUInt16LE(i + 10)
+    let offset = buffer.readUInt32LE(i + 16)
+    const names = []
+    for (let n = 0; n < count && offset + 46 <= buffer.length; n++) {
+      if (buffer.readUInt32LE(offset) !== 0x02014b50) break
+      const nameLength = buffer.readUInt16LE(offset + 28)
+      const extraLength = buffer.readUInt16LE(offset + 30)
+      const commentLength = buffer.readUInt16LE(offset + 32)
+      names.push(buffer.slice(offset + 46, offset + 46 + nameLength).toString('utf8'))
+      offset += 46 + nameLength + extraLength + commentLength
+    }
+    return names
+  }
+  return []
+}
+
+/**
+ * Sniff CSV delimiter (default comma; some EU sheets use semicolon, some exports use tabs)
+ */
+function sniffCsvSeparator(buffer) {
+  const headSample = buffer.slice(0, 2048).toString('utf8')
+  const firstLine = headSample.split(/\r?\n/)[0] || ''
+  const count = (ch) => firstLine.split(ch).length - 1
+  const tabs = count('\t')
+  const semicolons = count(';')
+  const commas = count(',')
+  if (tabs > 0 && tabs >= semicolons && tabs >= commas) return '\t'
+  return semicolons > commas ? ';' : ','
+}
+
+/**
+ * Work out a ratebook's real format from its content, falling back to the file
+ * extension. Funders regularly send ".xls" files that are really HTML or tab-separated
+ * text, and zip archives of several ratebooks.
+ * @returns {string} 'xlsx' | 'xls' | 'ods' | 'csv' | 'tsv' | 'zip'
+ */
+function detectFileFormat(file) {
+  const buffer = file.buffer || Buffer.alloc(0)
+  const ext = path.extname(file.originalname || '').toLowerCase()
+
+  if (buffer.slice(0, 4).equals(ZIP_SIGNATURE)) {
+    // XLSX and ODS are zip containers too; tell them apart by their entries
+    const entries = listZipEntries(buffer)
+    if (entries.includes('[Content_Types].xml') && entries.some((e) => e.startsWith('xl/'))) return 'xlsx'
+    if (entries.includes('mimetype') && entries.includes('content.xml')) return 'ods'
+    if (entries.length > 0) return 'zip'
+    return ext === '.ods' ? 'ods' : 'xlsx'
+  }
+  if (buffer.slice(0, 8).equals(OLE2_SIGNATURE)) return 'xls'
+
+  const head = buffer.slice(0, 2048).toString('utf8').replace(/^\uFEFF/, '').trimStart()
+  // SpreadsheetML 2003 and HTML tables saved with an .xls extension; SheetJS reads both
+  if (/^<\?xml[\s\S]*<(ss:)?Workbook/i.test(head) || /^<(!doctype html|html|table)/i.test(head)) return 'xls'
+  if (head) return sniffCsvSeparator(buffer) === '\t' ? 'tsv' : 'csv'
+
+  // Empty or unreadable: trust the name
+  if (['.xlsx', '.xlsm', '.xlsb'].includes(ext)) return 'xlsx'
+  if (ext === '.xls' || ext === '.ods' || ext === '.zip' || ext === '.tsv') return ext.slice(1)
+  return 'csv'
+}
+
+/**
+ * Extract the ratebooks from a zip archive, skipping folders, OS metadata
+ * (__MACOSX, dotfiles) and anything that is not a supported ratebook format.
+ * @returns {object} { files: [{ name, buffer }], skipped: [{ name, reason }] }
+ */
+function extractZipRatebooks(buffer) {
+  const container = XLSX.CFB.read(buffer, { type: 'buffer' })
+  const files = []
+  const skipped = []
+  container.FileIndex.forEach((entry, i) => {
+    // CFB prefixes paths with the root entry name and adds a placeholder stream
+    const name = container.FullPaths[i].replace(/^[^/]*\//, '')
+    if (entry.type !== 2 || !entry.content || !name || /Sh33tJ5$/.test(name)) return
+    if (name.startsWith('__MACOSX/') || path.basename(name).startsWith('.')) return
+    const content = Buffer.from(entry.content)
+    const format = detectFileFormat({ buffer: content, originalname: name })
+    const ext = path.extname(name).toLowerCase()
+    if (format === 'zip') {
+      skipped.push({ name, reason: 'Nested zip archives are not supported' })
+    } else if (TEXT_FORMATS.includes(format) && !['.csv', '.tsv', '.txt', '.tab'].includes(ext)) {
+      // Plain text that is not named like a ratebook (readme, notes)
+      skipped.push({ name, reason: 'Not a ratebook file' })
+    } else {
+      files.push({ name, buffer: content })
+    }
+  })
+  files.sort((a, b) => a.name.localeCompare(b.name))
+  return { files, skipped }
+}
+
+/**
+ * If model actually contains full description, derive model + variant
+ */
+function applyVehicleParsing(vehicle) {
+  try {
+    const manufacturer = (vehicle.manufacturer || '').toString().trim()
+    if (!manufacturer) return vehicle
+    const descCandidate =
+      (vehicle.vehicle_description || vehicle.vehicleDescription || '').toString().trim() ||
+      (vehicle.model || '').toString().trim()
+    if (!descCandidate) return vehicle
+    // Only parse if description starts with manufacturer or variant missing
+    const startsWithMfr = descCandidate.toLowerCase().startsWith(manufacturer.toLowerCase())
+    const missingModelOrVariant = !vehicle.model || !vehicle.variant
+    if (startsWithMfr || missingModelOrVariant) {
+      const parsed = parseVehicleDescription(manufacturer, descCandidate)
+      if (parsed && parsed.model) vehicle.model = parsed.model
+      if (parsed && typeof parsed.variant === 'string') vehicle.variant = parsed.variant
+    }
+  } catch (_) {
+    // best-effort parsing; ignore failures
+  }
+  return vehicle
+}
+
+// Minimum number of recognised column names for a row to count as a header row
+const MIN_HEADER_SCORE = 2
+
+/**
+ * Read sheet/header options from an upload form body.
+ * sheet: name or 0-based index; sheets: 'all', a JSON array or a comma list; headerRow: 1-based row number
+ */
+function parseSheetOptions(body = {}) {
+  let sheets = null
+  if (body.sheets === 'all') {
+    sheets = 'all'
+  } else if (body.sheets) {
+    try {
+      const parsed = JSON.parse(body.sheets)
+      sheets = Array.isArray(parsed) ? parsed : [parsed]
+    } catch (_) {
+      sheets = String(body.sheets).split(',').map((x) => x.trim()).filter(Boolean)
+    }
+  }
+  const headerRow = body.headerRow ? parseInt(body.headerRow) : null
+  return {
+    sheet: body.sheet !== undefined && body.sheet !== '' ? body.sheet : null,
+    sheets,
+    headerRow: headerRow > 0 ? headerRow : null,
+  }
+}
+
+/**
+ * Resolve sheet references (names or 0-based indexes) to sheet names
+ */
+function selectSheets(workbook, { sheet = null, sheets = null } = {}) {
+  const names = workbook.SheetNames
+  const resolve = (ref) => {
+    if (typeof ref === 'number' || /^\d+$/.test(String(ref))) {
+      const name = names[Number(ref)]
+      if (!name) throw new Error(`Sheet index ${ref} not found (workbook has ${names.length} sheets)`)
+      return name
+    }
+    const wanted = String(ref).trim().toLowerCase()
+    const name = names.find((n) => n === ref) || names.find((n) => n.trim().toLowerCase() === wanted)
+    if (!name) throw new Error(`Sheet "${ref}" not found; available: ${names.join(', ')}`)
+    return name
+  }
+  if (sheets === 'all') return names.slice()
+  if (Array.isArray(sheets) && sheets.length > 0) return sheets.map(resolve)
+  if (sheet !== null && sheet !== undefined && sheet !== '') return [resolve(sheet)]
+  return null
+}
+
+/**
+ * Find the header row by scanning the top of a sheet for known column names
+ * @returns {object} { index, score } - index into rows, score = recognised header cells
+ */
+function detectHeaderRow(rows, { maxScan = 30 } = {}) {
+  // Required lazily: mappingSuggester depends on this module
+  const { countKnownHeaders } = require('./mappingSuggester')
+  let best = { index: 0, score: 0 }
+  rows.slice(0, maxScan).forEach((row, index) => {
+    const score = countKnownHeaders(Array.isArray(row) ? row : [])
+    if (score > best.score) best = { index, score }
+  })
+  return best
+}
+
+/**
+ * Read one worksheet into a header row and data rows numbered as in the sheet
+ * @returns {object} { name, headers, rows: [{ row, cells }], headerRow, headerScore }
+ */
+function readSheet(workbook, name, { headerRow = null } = {}) {
+  const worksheet = workbook.Sheets[name]
+  if (!worksheet || !worksheet['!ref']) {
+    return { name, headers: [], rows: [], headerRow: null, headerScore: 0 }
+  }
+  // sheet_to_json starts at the first used row, which is not always row 1
+  const firstRow = XLSX.utils.decode_range(worksheet['!ref']).s.r
+  const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: true })
+
+  let headerIndex
+  let headerScore = null
+  if (headerRow) {
+    headerIndex = headerRow - 1 - firstRow
+    if (headerIndex < 0) throw new Error(`Header row ${headerRow} is above the first used row of sheet "${name}"`)
+  } else {
+    const detected = detectHeaderRow(jsonData)
+    headerIndex = detected.index
+    headerScore = detected.score
+  }
+
+  return {
+    name,
+    headers: jsonData[headerIndex] || [],
+    rows: jsonData.slice(headerIndex + 1).map((cells, i) => ({ row: firstRow + headerIndex + i + 2, cells: cells || [] })),
+    headerRow: firstRow + headerIndex + 1,
+    headerScore,
+  }
+}
+
+/**
+ * Read the requested sheets of a workbook. Without a selection, the first sheet
+ * that looks like a ratebook is used, so cover sheets and title pages are skipped.
+ */
+function readWorkbookSheets(workbook, { sheet = null, sheets = null, headerRow = null } = {}) {
+  const selected = selectSheets(workbook, { sheet, sheets })
+  if (!selected) {
+    let first = null
+    for (const name of workbook.SheetNames) {
+      const read = readSheet(workbook, name, { headerRow })
+      if (!first) first = read
+      if (read.headerScore === null || read.headerScore >= MIN_HEADER_SCORE) return [read]
+    }
+    return first ? [first] : []
+  }
+
+  const read = selected.map((name) => readSheet(workbook, name, { headerRow }))
+  if (sheets === 'all') {
+    // Ingesting everything: drop cover/notes sheets with no recognisable header row
+    const usable = read.filter((s) => s.headerScore === null || s.headerScore >= MIN_HEADER_SCORE)
+    return usable.length > 0 ? usable : read.slice(0, 1)
+  }
+  return read
+}
+
+/**
+ * Map fieldMappings indexes onto a sheet's columns. Indexes refer to headerNames,
+ * so when a sheet's layout differs the header name wins over the position.
+ */
+function columnResolver(sheetHeaders, headerNames) {
+  const norm = (h) => (h === undefined || h === null ? '' : String(h).trim().toLowerCase())
+  const positions = new Map()
+  sheetHeaders.forEach((h, i) => {
+    const key = norm(h)
+    if (key && !positions.has(key)) positions.set(key, i)
+  })
+  return (index) => {
+    const i = typeof index === 'string' ? parseInt(index) : index
+    if (i === undefined || i === null || isNaN(i)) return null
+    const name = Array.isArray(headerNames) ? norm(headerNames[i]) : ''
+    if (name && positions.has(name)) return positions.get(name)
+    return i
+  }
+}
+
+const summarizeSheet = (s) => ({
+  name: s.name,
+  headerRow: s.headerRow,
+  headerDetected: s.headerScore === null ? false : s.headerScore >= MIN_HEADER_SCORE,
+  rows: s.rows.length,
+})
+
+/**
+ * Parse one workbook or delimited-text ratebook
+ */
+async function parseSingleRatebook(file, fileFormat, { providerName, fieldMappings = {}, headerNames = [], sheet = null, sheets = null, headerRow = null } = {}) {
+  if (WORKBOOK_FORMATS.includes(fileFormat)) {
+    // XLSX, XLS and ODS all read through SheetJS
+    const workbook = XLSX.read(file.buffer, { type: 'buffer' })
+    const sheetData = readWorkbookSheets(workbook, { sheet, sheets, headerRow })
+    const vehicleData = []
+
+    sheetData.forEach((s) => {
+      const columnFor = columnResolver(s.headers, headerNames)
+      s.rows.forEach(({ row, cells }) => {
+        const vehicle = { provider_name: providerName }
+        Object.entries(fieldMappings).forEach(([field, index]) => {
+          const i = columnFor(index)
+          if (i !== null && cells[i] !== undefined) {
+            vehicle[field] = cells[i]
+          }
+        })
+        // Keep the source row so rejects can be reported back against the original file
+        const raw = {}
+        s.headers.forEach((h, i) => {
+          if (h !== undefined && h !== null && h !== '') raw[h] = cells[i] ?? null
+        })
+        vehicle._source = { sheet: s.name, row, raw }
+        vehicleData.push(applyVehicleParsing(vehicle))
+      })
+    })
+    return {
+      vehicleData,
+      headers: sheetData[0] ? sheetData[0].headers : [],
+      fileFormat,
+      sheets: sheetData.map(summarizeSheet),
+    }
+  }
+
+  // CSV/TSV buffer parse with stable header order; prefer client-provided headerNames
+  const sep = fileFormat === 'tsv' ? '\t' : sniffCsvSeparator(file.buffer)
+  let headerOrder = null
+  const vehicleData = await new Promise((resolve, reject) => {
+    const results = []
+    const readable = new Readable()
+    readable.push(file.buffer)
+    readable.push(null)
+    readable
+      .pipe(csv({ separator: sep, mapHeaders: ({ header }) => (header || '').trim() }))
+      .on('headers', (headers) => {
+        headerOrder = headers
+      })
+      .on('data', (row) => {
+        const vehicle = { provider_name: providerName }
+        Object.entries(fieldMappings).forEach(([field, index]) => {
+          const i = typeof index === 'string' ? parseInt(index) : index
+          const headerName = Array.isArray(headerNames) && headerNames.length > 0
+            ? headerNames[i]
+            : (Array.isArray(headerOrder) && i >= 0 ? headerOrder[i] : null)
+          if (headerName && row[headerName] !== undefined) {
+            vehicle[field] = row[headerName]
+          }
+        })
+        vehicle._source = { row: results.length + 2, raw: row }
+        results.push(applyVehicleParsing(vehicle))
+      })
+      .on('end', () => resolve(results))
+      .on('error', reject)
+  })
+  return { vehicleData, headers: headerOrder || [], fileFormat, sheets: null }
+}
+
+/**
+ * Parse an uploaded ratebook buffer into mapped vehicle rows.
+ * Each row keeps `_source` ({ file, sheet, row, raw }) so it can be traced back to the file.
+ * A zip archive is parsed file by file into one set of rows; with several files
+ * (or sheets), mapped columns follow headerNames by name.
+ * @param {object} file - Multer file ({ buffer, originalname, mimetype })
+ * @param {object} options - { providerName, fieldMappings, headerNames, sheet, sheets, headerRow }
+ * @returns {Promise<object>} { vehicleData, headers, fileFormat, sheets, files }
+ *   files: null unless the upload was a zip; otherwise [{ name, format, rows, sheets, error }]
+ */
+async function parseRatebook(file, options = {}) {
+  const fileFormat = detectFileFormat(file)
+  if (fileFormat !== 'zip') {
+    return { ...(await parseSingleRatebook(file, fileFormat, options)), files: null }
+  }
+
+  const { files: entries, skipped } = extractZipRatebooks(file.buffer)
+  if (entries.length === 0) throw new Error('Zip archive contains no CSV, TSV, XLSX, XLS or ODS files')
+
+  const vehicleData = []
+  const files = []
+  let headers = null
+  for (const entry of entries) {
+    const format = detectFileFormat({ buffer: entry.buffer, originalname: entry.name })
+    try {
+      const parsed = await parseSingleRatebook({ buffer: entry.buffer, originalname: entry.name }, format, options)
+      parsed.vehicleData.forEach((v) => {
+        v._source.file = entry.name
+        vehicleData.push(v)
+      })
+      if (!headers) headers = parsed.headers
+      files.push({ name: entry.name, format, rows: parsed.vehicleData.length, sheets: parsed.sheets, error: null })
+    } catch (e) {
+      // One unreadable file should not sink the rest of the archive
+      files.push({ name: entry.name, format, rows: 0, sheets: null, error: e.message })
+    }
+  }
+  skipped.forEach((f) => files.push({ name: f.name, format: null, rows: 0, sheets: null, error: f.reason }))
+  if (!files.some((f) => !f.error)) {
+    throw new Error(`No readable ratebooks in zip: ${files.map((f) => `${f.name} (${f.error})`).join('; ')}`)
+  }
+
+  return { vehicleData, headers: headers || [], fileFormat, sheets: null, files }
+}
+
+/**
+ * Per-file row counts for a zip upload, stored on the upload session as source_files
+ * @returns {Array|null} [{ name, format, total_rows, valid_rows, rejected_rows, error }]
+ */
+function summarizeSourceFiles(files, validVehicles, rejectedRows) {
+  if (!files) return null
+  const count = (list, pick) => {
+    const out = {}
+    list.forEach((x) => {
+      const name = pick(x)
+      out[name] = (out[name] || 0) + 1
+    })
+    return out
+  }
+  const valid = count(validVehicles, (v) => (v._source ? v._source.file : null))
+  const rejected = count(rejectedRows, (r) => r.source_file)
+  return files.map((f) => ({
+    name: f.name,
+    format: f.format,
+    sheets: f.sheets ? f.sheets.map((sh) => sh.name) : null,
+    total_rows: f.rows,
+    valid_rows: valid[f.name] || 0,
+    rejected_rows: rejected[f.name] || 0,
+    error: f.error,
+  }))
+}
+
+/**
+ * Read the header row and the first few data rows of a ratebook, unmapped.
+ * @param {object} file - Multer file ({ buffer, originalname, mimetype })
+ * @param {object} options - { maxRows, sheet, headerRow }
+ * @returns {Promise<object>} { headers, rows, sheet } where rows are arrays aligned with headers
+ *   (for a zip, the first ratebook in the archive, plus `file` and `fileNames`)
+ */
+async function readRatebookSample(file, { maxRows = 50, sheet = null, headerRow = null } = {}) {
+  const fileFormat = detectFileFormat(file)
+  if (fileFormat === 'zip') {
+    // Suggest from the first readable ratebook in the archive
+    const { files } = extractZipRatebooks(file.buffer)
+    for (const f of files) {
+      try {
+        const sample = await readRatebookSample({ buffer: f.buffer, originalname: f.name }, { maxRows, sheet, headerRow })
+        return { ...sample, file: f.name, fileNames: files.map((x) => x.name) }
+      } catch (_) {
+        // try the next file
+      }
+    }
+    return { headers: [], rows: [], sheet: null }
+  }
+  if (WORKBOOK_FORMATS.includes(fileFormat)) {
+    const workbook = XLSX.read(file.buffer, { type: 'buffer' })
+    const [s] = readWorkbookSheets(workbook, { sheet, headerRow })
+    if (!s) return { headers: [], rows: [], sheet: null }
+    const rows = s.rows
+      .filter(({ cells }) => cells.some((c) => c !== undefined && c !== null && String(c).trim() !== ''))
+      .slice(0, maxRows)
+      .map(({ cells }) => cells)
+    return { headers: s.headers, rows, sheet: summarizeSheet(s), sheetNames: workbook.SheetNames }
+  }
+
+  const sep = fileFormat === 'tsv' ? '\t' : sniffCsvSeparator(file.buffer)
+  return new Promise((resolve, reject) => {
+    let headers = []
+    const rows = []
+    const readable = new Readable()
+    readable.push(file.buffer)
+    readable.push(null)
+    const parser = csv({ separator: sep, mapHeaders: ({ header }) => (header || '').trim() })
+    readable
+      .pipe(parser)
+      .on('headers', (h) => {
+        headers = h
+      })
+      .on('data', (row) => {
+        if (rows.length < maxRows) rows.push(headers.map((h) => row[h]))
+      })
+      .on('end', () => resolve({ headers, rows }))
+      .on('error', reject)
+  })
+}
+
+/**
+ * Normalise and coerce parsed rows into lease offer records.
+ * @param {Array} vehicleData - Rows from parseRatebook
+ * @param {object} options - { providerName, upfrontMultiplier, upfrontRule, defaultValidityDays, today, warnings }
+ *   upfrontRule: provider's upfront rule (see upfrontRules.js); null uses the legacy heuristic
+ *   defaultValidityDays: provider's default offer validity, applied when a row has no offer_valid_until
+ *   today: the database's date (YYYY-MM-DD), which offers expire against; defaults to today in UTC
+ *   warnings: optional array that collects { row, field, value, message } coercion warnings
+ * @returns {Array} Normalised offers
+ */
+function normalizeVehicles(vehicleData, {
+  providerName,
+  upfrontMultiplier = null,
+  upfrontRule = null,
+  defaultValidityDays = null,
+  today = null,
+  warnings = null,
+} = {}) {
+  // Required lazily: upfrontRules uses parseNumber from this module
+  const { interpretUpfront } = require('./upfrontRules')
+  const warn = (v, field, value, message) => {
+    if (warnings) warnings.push({ row: v._source ? v._source.row : null, field, value, message })
+  }
+  const hasValue = (val) => val !== undefined && val !== null && String(val).trim() !== ''
+  const num = (v, field, val) => {
+    const parsed = parseNumber(val)
+    if (parsed === null && hasValue(val)) warn(v, field, val, 'Could not be read as a number')
+    return parsed
+  }
+  const bool = (v, field, val) => {
+    if (hasValue(val) && typeof val !== 'boolean' && !BOOLEAN_VALUES.has(String(val).trim().toLowerCase())) {
+      warn(v, field, val, 'Unrecognised yes/no value, treated as no')
+    }
+    return toBool(val)
+  }
+
+  const currentDate = today || new Date().toISOString().slice(0, 10)
+  const defaultValidUntil = defaultValidityDays > 0
+    ? new Date(Date.parse(`${currentDate}T00:00:00Z`) + defaultValidityDays * 86400000).toISOString().slice(0, 10)
+    : null
+
+  return vehicleData.map((v) => {
+    const monthlyRental = num(v, 'monthly_rental', v.monthly_rental)
+    const p11dPrice = num(v, 'p11d_price', v.p11d_price ?? v.p11d)
+    const rawUpfront = v.upfront_payment ?? v.upfront
+    const annualMileage = num(v, 'annual_mileage', v.annual_mileage ?? v.mileage)
+    let termMonths = num(v, 'term_months', v.term_months ?? v.term)
+
+    const upfront = interpretUpfront(rawUpfront, upfrontRule, { monthlyRental, p11dPrice, termMonths, upfrontMultiplier })
+    if (upfront.warning) warn(v, 'upfront_payment', rawUpfront ?? null, upfront.warning)
+    // A profile such as "6+47" also tells us the term when the ratebook has no term column
+    if (!termMonths && upfront.termMonths) termMonths = upfront.termMonths
+
+    if (!termMonths && monthlyRental) warn(v, 'term_months', v.term_months ?? v.term ?? null, 'Missing, defaulted to 36')
+
+    let offerValidUntil = parseDate(v.offer_valid_until)
+    if (!offerValidUntil && hasValue(v.offer_valid_until)) {
+      warn(v, 'offer_valid_until', v.offer_valid_until, 'Could not be read as a date')
+    }
+    if (!offerValidUntil) offerValidUntil = defaultValidUntil
+    else if (offerValidUntil < currentDate && monthlyRental) warn(v, 'offer_valid_until', v.offer_valid_until, 'Offer has already expired')
+    if (!annualMileage && monthlyRental) warn(v, 'annual_mileage', v.annual_mileage ?? v.mileage ?? null, 'Missing, defaulted to 10000')
+
+    return {
+      provider_name: providerName,
+      cap_code: v.cap_code ?? v.capCode ?? null,
+      manufacturer: v.manufacturer,
+      model: v.model,
+      variant: v.variant ?? null,
+      p11d_price: p11dPrice,
+      fuel_type: v.fuel_type ?? v.fuelType ?? null,
+      mpg: num(v, 'mpg', v.mpg),
+      co2_emissions: num(v, 'co2_emissions', v.co2_emissions ?? v.co2),
+      electric_range: num(v, 'electric_range', v.electric_range),
+      insurance_group: num(v, 'insurance_group', v.insurance_group),
+      body_style: v.body_style ?? null,
+      transmission: v.transmission ?? null,
+      monthly_rental: monthlyRental,
+      upfront_payment: upfront.upfrontPayment || 0,
+      upfront_profile: upfront.profile,
+      term_months: termMonths || 36,
+      annual_mileage: annualMileage || 10000,
+      maintenance_included: bool(v, 'maintenance_included', v.maintenance_included ?? v.maintenance),
+      admin_fee: num(v, 'admin_fee', v.admin_fee) || 0,
+      offer_valid_until: offerValidUntil,
+      special_conditions: v.special_conditions ?? null,
+      _source: v._source,
+    }
+  })
+}
+
+function isBlankRow(v) {
+  const raw = v._source ? v._source.raw : null
+  return !raw || Object.values(raw).every((x) => x === null || x === undefined || String(x).trim() === '')
+}
+
+/**
+ * Split normalised offers into those that can be inserted and rejected rows.
+ * Blank spreadsheet rows are dropped without being reported.
+ * @returns {object} { validVehicles, rejectedRows }
+ */
+function partitionVehicles(normalized) {
+  const validVehicles = []
+  const rejectedRows = []
+  normalized.forEach((v) => {
+    const missing = REQUIRED_FIELDS.filter((f) => !v[f])
+    if (missing.length === 0) {
+      validVehicles.push(v)
+      return
+    }
+    if (isBlankRow(v)) return
+    rejectedRows.push({
+      source_file: v._source.file ?? null,
+      sheet_name: v._source.sheet ?? null,
+      row_number: v._source.row,
+      raw_values: v._source.raw,
+      reason: `Missing or invalid required field(s): ${missing.join(', ')}`,
+      stage: 'validation',
+    })
+  })
+  return { validVehicles, rejectedRows }
+}
+
+/**
+ * Build a dry-run summary of how a ratebook maps, without touching the database.
+ * @param {object} parsed - Result of parseRatebook
+ * @param {object} options - { providerName, fieldMappings, headerNames, upfrontMultiplier, upfrontRule, defaultValidityDays, today,
+ *   qualityRules, sampleSize }
+ * @returns {object} Preview payload
+ */
+function buildPreview(parsed, {
+  providerName,
+  fieldMappings = {},
+  headerNames = [],
+  upfrontMultiplier = null,
+  upfrontRule = null,
+  defaultValidityDays = null,
+  today = null,
+  qualityRules = null,
+  sampleSize = 20,
+} = {}) {
+  // Required lazily to keep this module's top-level imports to parsing
+  const { DEFAULT_QUALITY_RULES, evaluateQuality } = require('./qualityRules')
+  const { vehicleData, headers, fileFormat } = parsed
+  const warnings = []
+  const normalized = normalizeVehicles(vehicleData, { providerName, upfrontMultiplier, upfrontRule, defaultValidityDays, today, warnings })
+  const partitioned = partitionVehicles(normalized)
+  const quality = evaluateQuality(partitioned.validVehicles, qualityRules || DEFAULT_QUALITY_RULES)
+  const validVehicles = quality.accepted
+  const rejectedRows = [...partitioned.rejectedRows, ...quality.rejectedRows]
+  const nonBlankRows = vehicleData.filter((v) => !isBlankRow(v))
+
+  // Fill rate per mapped field, measured on the raw mapped value before defaults are applied
+  const sourceHeaders = Array.isArray(headerNames) && headerNames.length > 0 ? headerNames : headers
+  const fillRates = Object.entries(fieldMappings).map(([field, index]) => {
+    const i = typeof index === 'string' ? parseInt(index) : index
+    const filled = nonBlankRows.filter((v) => {
+      const val = v[field]
+      return val !== undefined && val !== null && String(val).trim() !== ''
+    }).length
+    return {
+      field,
+      column: sourceHeaders[i] ?? null,
+      columnIndex: Number.isFinite(i) ? i : null,
+      filled,
+      fillRate: nonBlankRows.length > 0 ? Math.round((filled / nonBlankRows.length) * 1000) / 10 : 0,
+    }
+  })
+
+  const warningCounts = {}
+  warnings.forEach((w) => {
+    warningCounts[w.field] = (warningCounts[w.field] || 0) + 1
+  })
+
+  const stripSource = ({ _source, ...offer }) => ({
+    source_file: _source ? _source.file ?? null : null,
+    source_sheet: _source ? _source.sheet ?? null : null,
+    source_row: _source ? _source.row : null,
+    ...offer,
+  })
+
+  return {
+    fileFormat,
+    sheets: parsed.sheets,
+    files: summarizeSourceFiles(parsed.files, validVehicles, rejectedRows),
+    headers,
+    totalRows: vehicleData.length,
+    nonBlankRows: nonBlankRows.length,
+    validRows: validVehicles.length,
+    invalidRows: rejectedRows.length,
+    sample: normalized.filter((v) => !isBlankRow(v)).slice(0, sampleSize).map(stripSource),
+    fillRates,
+    warnings: warnings.slice(0, 200),
+    warningCounts,
+    quality: quality.summary,
+    rejected: rejectedRows.slice(0, sampleSize),
+  }
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  parseNumber,
+  toBool,
+  parseDate,
+  WORKBOOK_FORMATS,
+  TEXT_FORMATS,
+  detectFileFormat,
+  sniffCsvSeparator,
+  extractZipRatebooks,
+  parseSheetOptions,
+  detectHeaderRow,
+  readWorkbookSheets,
+  applyVehicleParsing,
+  parseRatebook,
+  readRatebookSample,
+  normalizeVehicles,
+  isBlankRow,
+  partitionVehicles,
+  summarizeSourceFiles,
+  buildPreview,
+}
@@ -0,0 +1,161 @@
+/**
+ * Salary Sacrifice Scheme Projection
+ *
+ * What a car scheme would save and cost an employer over a year. The
+ * workforce is a salary distribution ([{ salary, employees }]); in each band
+ * `takeUpRate` of the employees join and each picks a car from the deals
+ * given, every affordable deal being equally likely, so per-employee figures
+ * are averages over those deals. Each deal costs its effective monthly
+ * (upfront and fees spread over the term), as in /api/compare, less any
+ * pass-back, which the employee keeps as pay. A deal is affordable for a band when the
+ * sacrifice leaves pay at or above the National Living Wage for
+ * `hoursPerWeek`. Deals whose BIK cannot be worked out (no CO2 or P11D) are
+ * left out, since their Class 1A cost is unknown.
+ *
+ * The apprenticeship levy is charged on the whole pay bill, so its saving is
+ * worked out once for the workforce: the levy on the pay bill before the
+ * scheme less the levy after the projected sacrifices.
+ */
+
+const { calculateSalarySacrificeSavings, apprenticeshipLevy, TAX_YEARS } = require('./ukTax')
+const { carBenefit } = require('./bik')
+
+const DEFAULT_HOURS_PER_WEEK = 37.5
+const MAX_WORKFORCE_BANDS = 100
+// Deals read for one projection; bands x deals savings calculations run per request
+const MAX_SCHEME_DEALS = 500
+
+const round2 = (n) => Math.round(n * 100) / 100
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0)
+
+/**
+ * @param {object} input
+ *   deals     - [{ vehicle_id, monthly_rental, effective_monthly, p11d_price, co2_emissions, electric_range, fuel_type,
+ *               rde2_compliant }]
+ *   workforce - [{ salary, employees }]
+ *   taxRegion, taxYear, takeUpRate (0-1), otherMonthlySacrifices, passBackPercent,
+ *   levyPayer (true/false, or null to decide from the pay bill), hoursPerWeek,
+ *   dealsTruncated (more deals matched than MAX_SCHEME_DEALS)
+ * @returns {object} { bands, totals, levy, minimumPay, deals }
+ */
+function projectScheme({
+  deals = [],
+  workforce = [],
+  taxRegion,
+  taxYear,
+  takeUpRate,
+  otherMonthlySacrifices = 0,
+  passBackPercent = 0,
+  levyPayer = null,
+  hoursPerWeek = DEFAULT_HOURS_PER_WEEK,
+  dealsTruncated = false,
+}) {
+  const minimumPay = round2(TAX_YEARS[taxYear].nationalLivingWage * hoursPerWeek * 52)
+  const payBill = workforce.reduce((sum, b) => sum + b.salary * b.employees, 0)
+  const levy = levyPayer === null ? apprenticeshipLevy(payBill, taxYear) > 0 : levyPayer
+  const priced = deals.filter((deal) => carBenefit(deal, taxYear).taxableBenefit !== null)
+
+  const bands = workforce.map(({ salary, employees }) => {
+    const outcomes = []
+    priced.forEach((deal) => {
+      const monthly = Number(deal.effective_monthly ?? deal.monthly_rental) || 0
+      const s = calculateSalarySacrificeSavings(salary, taxRegion, monthly, otherMonthlySacrifices, {
+        taxYear,
+        vehicle: deal,
+        employer: { passBackPercent },
+      })
+      if (salary - otherMonthlySacrifices * 12 - s.annualSacrifice < minimumPay) return
+      outcomes.push({ sacrifice: s.annualSacrifice, ...s })
+    })
+    const takers = employees * takeUpRate
+    const perTaker = {
+      annualSacrifice: round2(mean(outcomes.map((o) => o.sacrifice))),
+      employeeAnnualSaving: round2(mean(outcomes.map((o) => o.annualSaving))),
+      employeeNetMonthlyCost: round2(mean(outcomes.map((o) => o.netMonthlyCost))),
+      class1Saving: round2(mean(outcomes.map((o) => o.employer.class1Saving))),
+      class1ACost: round2(mean(outcomes.map((o) => o.employer.class1ACost))),
+      passBack: round2(mean(outcomes.map((o) => o.employer.passBack))),
+    }
+    return {
+      salary,
+      employees,
+      affordableDeals: outcomes.length,
+      takers: outcomes.length ? round2(takers) : 0,
+      perTaker: outcomes.length ? perTaker : null,
+      annual: scale(outcomes.length ? perTaker : null, outcomes.length ? takers : 0),
+    }
+  })
+
+  const totals = ['takers', 'annualSacrifice', 'employeeAnnualSaving', 'class1Saving', 'class1ACost', 'passBack']
+    .reduce((acc, key) => ({ ...acc, [key]: round2(bands.reduce((sum, b) => sum + (key === 'takers' ? b.takers : b.annual[key]), 0)) }), {})
+  const levySaving = levy ? round2(apprenticeshipLevy(payBill, taxYear) - apprenticeshipLevy(payBill - totals.annualSacrifice, taxYear)) : 0
+
+  return {
+    bands,
+    totals: {
+      ...totals,
+      levySaving,
+      employerSaving: round2(totals.class1Saving + levySaving),
+      employerCost: round2(totals.class1ACost + totals.passBack),
+      employerNetSaving: round2(totals.class1Saving + levySaving - totals.class1ACost - totals.passBack),
+    },
+    levy: { payer: levy, payBill: round2(payBill), levyBefore: apprenticeshipLevy(payBill, taxYear) },
+    minimumPay,
+    deals: { considered: deals.length, withoutBik: deals.length - priced.length, truncated: dealsTruncated },
+  }
+}
+
+/**
+ * Validate a scheme request body
+ * @param {object} body - { workforce: [{ salary, employees }], takeUpRate (0-1), passBackPercent, levyPayer,
+ *   otherMonthlySacrifices, hoursPerWeek }
+ * @returns {object} { input } (numbers coerced, defaults filled) or { error, details }
+ */
+function validateSchemeInput(body = {}) {
+  const errors = []
+  const given = (val) => val !== undefined && val !== null && val !== ''
+  const workforce = Array.isArray(body.workforce) ? body.workforce : []
+  if (workforce.length === 0 || workforce.length > MAX_WORKFORCE_BANDS) {
+    errors.push(`workforce must be 1-${MAX_WORKFORCE_BANDS} bands of { salary, employees }`)
+  }
+  const bands = workforce.map((band, i) => {
+    const salary = Number((band || {}).salary)
+    const employees = Number((band || {}).employees)
+    if (!(salary > 0)) errors.push(`workforce[${i}].salary must be a positive number`)
+    if (!(employees >= 0)) errors.push(`workforce[${i}].employees must be zero or more`)
+    return { salary, employees }
+  })
+  const takeUpRate = Number(body.takeUpRate)
+  if (!given(body.takeUpRate) || isNaN(takeUpRate) || takeUpRate < 0 || takeUpRate > 1) {
+    errors.push('takeUpRate must be between 0 and 1')
+  }
+  const passBackPercent = given(body.passBackPercent) ? Number(body.passBackPercent) : 0
+  if (isNaN(passBackPercent) || passBackPercent < 0 || passBackPercent > 100) errors.push('passBackPercent must be between 0 and 100')
+  const otherMonthlySacrifices = given(body.otherMonthlySacrifices) ? Number(body.otherMonthlySacrifices) : 0
+  if (isNaN(otherMonthlySacrifices) || otherMonthlySacrifices < 0) errors.push('otherMonthlySacrifices must be zero or more')
+  const hoursPerWeek = given(body.hoursPerWeek) ? Number(body.hoursPerWeek) : DEFAULT_HOURS_PER_WEEK
+  if (!(hoursPerWeek > 0 && hoursPerWeek <= 168)) errors.push('hoursPerWeek must be between 0 and 168')
+  let levyPayer = null
+  if (given(body.levyPayer) && body.levyPayer !== 'auto') {
+    levyPayer = body.levyPayer === true || ['true', '1', 'yes'].includes(String(body.levyPayer).toLowerCase())
+  }
+
+  if (errors.length) return { error: 'Invalid scheme request', details: errors }
+  return { input: { workforce: bands, takeUpRate, passBackPercent, otherMonthlySacrifices, hoursPerWeek, levyPayer } }
+}
+
+// Per-taker averages times the expected number of takers
+function scale(perTaker, takers) {
+  const annual = {}
+  ;['annualSacrifice', 'employeeAnnualSaving', 'class1Saving', 'class1ACost', 'passBack'].forEach((key) => {
+    annual[key] = perTaker ? round2(perTaker[key] * takers) : 0
+  })
+  return annual
+}
+
+module.exports = {
+  DEFAULT_HOURS_PER_WEEK,
+  MAX_SCHEME_DEALS,
+  validateSchemeInput,
+  projectScheme,
+}
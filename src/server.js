@@ -2,11 +2,38 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const csv = require('csv-parser');
-const XLSX = require('xlsx');
-const { Readable } = require('stream');
 const { leaseDB } = require('./db');
-const { parseVehicleDescription } = require('./vehicleParser');
+const {
+  parseSheetOptions,
+  parseRatebook,
+  readRatebookSample,
+  buildPreview,
+} = require('./ratebookParser');
+const { suggestFieldMappings } = require('./mappingSuggester');
+const { diffMappingVersions } = require('./mappingDiff');
+const { diffUploadOffers, buildUploadDiffWorkbook } = require('./uploadDiff');
+const { buildPriceSeries } = require('./priceHistory');
+const { normalizeUpfrontRule } = require('./upfrontRules');
+const { uploadQueue } = require('./uploadQueue');
+const {
+  UPLOAD_MODES,
+  loadQualityRules,
+  loadDefaultValidityDays,
+  loadDatabaseDate,
+  stageRatebookUpload,
+} = require('./uploadPipeline');
+const { DEFAULT_QUALITY_RULES, validateQualityRules } = require('./qualityRules');
+const { inboxIngester } = require('./inboxIngester');
+const { offerExpiryJob } = require('./offerExpiry');
+const { normalizeSavedSearch, dealAlerts } = require('./dealAlerts');
+const { parseDealQuery } = require('./dealQuery');
+const { parseFacetOptions } = require('./dealFacets');
+const { parsePagination, paginationResponse } = require('./pagination');
+const { validateScoreSettings, scoreOffer } = require('./dealScore');
+const { buildOfferMatrix } = require('./offerMatrix');
+const { buildComparison, parseUpfrontMonths } = require('./vehicleCompare');
+const { TAX_REGIONS, resolveTaxYear, calculateSalarySacrificeSavings } = require('./ukTax');
+const { MAX_SCHEME_DEALS, validateSchemeInput, projectScheme } = require('./salarySacrificeScheme');
 
 const app = express();
 
@@ -86,39 +113,42 @@ app.get('/health', async (req, res) => {
 // =============================================
 // BEST DEALS
 // =============================================
-app.get('/api/best-deals', async (req, res) => {
-  try {
-    const filters = {
-      manufacturer: req.query.manufacturer || null,
-      fuelType: req.query.fuelType || null,
-      maxMonthly: req.query.maxMonthly ? parseFloat(req.query.maxMonthly) : null,
-      minScore: req.query.minScore ? parseFloat(req.query.minScore) : null,
-      bodyStyle: req.query.bodyStyle || null,
-      limit: parseInt(req.query.limit) || 100,
-      offset: parseInt(req.query.offset) || 0,
-    };
-    const result = await leaseDB.getBestDeals(filters);
-    if (!result.success) return res.status(500).json(result);
-    res.json({ success: true, data: result.data, filters, count: result.data.length });
+// Filters, ranges and sort keys are described in src/dealQuery.js
+async function sendBestDeals(req, res, defaultLimit) {
+  try {
+    const query = parseDealQuery(req.query, { defaultLimit });
+    if (query.error) return res.status(400).json({ success: false, error: query.error, details: query.details });
+    const result = await leaseDB.getBestDeals(query);
+    if (!result.success) return res.status(result.invalidCursor ? 400 : 500).json(result);
+    res.json({
+      success: true,
+      data: result.data,
+      filters: query.filters,
+      sort: query.sort,
+      bestBy: query.bestBy,
+      limit: query.limit,
+      offset: query.offset,
+      ...paginationResponse(req, result),
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
-});
+}
 
-app.get('/api/lease-offers', async (req, res) => {
+app.get('/api/best-deals', (req, res) => sendBestDeals(req, res, 100));
+
+app.get('/api/lease-offers', (req, res) => sendBestDeals(req, res, 500));
+
+// Counts per filter value for the current filter state (same query string as /api/best-deals)
+app.get('/api/best-deals/facets', async (req, res) => {
   try {
-    const filters = {
-      manufacturer: req.query.manufacturer || null,
-      fuelType: req.query.fuelType || null,
-      maxMonthly: req.query.maxMonthly ? parseFloat(req.query.maxMonthly) : null,
-      minScore: req.query.minScore ? parseFloat(req.query.minScore) : null,
-      bodyStyle: req.query.bodyStyle || null,
-      limit: parseInt(req.query.limit) || 500,
-      offset: parseInt(req.query.offset) || 0,
-    };
-    const result = await leaseDB.getBestDeals(filters);
+    const query = parseDealQuery(req.query);
+    if (query.error) return res.status(400).json({ success: false, error: query.error, details: query.details });
+    const options = parseFacetOptions(req.query);
+    if (options.error) return res.status(400).json({ success: false, error: options.error });
+    const result = await leaseDB.getDealFacets(query, options);
     if (!result.success) return res.status(500).json(result);
-    res.json({ success: true, data: result.data, filters, count: result.data.length });
+    res.json({ ...result, filters: query.filters, bestBy: query.bestBy });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -136,16 +166,232 @@ app.get('/api/best-deals/terms/:term/:mileage', async (req, res) => {
   }
 });
 
+// =============================================
+// SAVED SEARCHES & DEAL ALERTS
+// =============================================
+// Body: { name, filters: { any /api/best-deals filter, e.g. manufacturer, fuelType, maxMonthly, term },
+//         minDropAmount, minDropPercent, notify: [{ type, ... }], active, createdBy }
+app.get('/api/saved-searches', async (req, res) => {
+  try {
+    const result = await leaseDB.getSavedSearches()
+    if (!result.success) return res.status(500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.post('/api/saved-searches', async (req, res) => {
+  try {
+    const { search, error, details } = normalizeSavedSearch(req.body)
+    if (error) return res.status(400).json({ success: false, error, details })
+    const result = await leaseDB.createSavedSearch(search)
+    if (!result.success) return res.status(500).json(result)
+    // Record the baseline now so the next refresh only alerts on real changes
+    dealAlerts.evaluateSearch(result.data).catch(console.error)
+    res.status(201).json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.get('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (!id) return res.status(400).json({ success: false, error: 'invalid id' })
+    const result = await leaseDB.getSavedSearch(id)
+    if (!result.success) return res.status(result.error === 'not_found' ? 404 : 500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.put('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (!id) return res.status(400).json({ success: false, error: 'invalid id' })
+    const { search, error, details } = normalizeSavedSearch(req.body, { partial: true })
+    if (error) return res.status(400).json({ success: false, error, details })
+    const result = await leaseDB.updateSavedSearch(id, search)
+    if (!result.success) return res.status(result.error === 'not_found' ? 404 : 500).json(result)
+    if (search.filters !== undefined && result.data.active) dealAlerts.evaluateSearch(result.data).catch(console.error)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.delete('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (!id) return res.status(400).json({ success: false, error: 'invalid id' })
+    const result = await leaseDB.deleteSavedSearch(id)
+    if (!result.success) return res.status(result.error === 'not_found' ? 404 : 500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Run a saved search's filters against the current best deals
+app.get('/api/saved-searches/:id/results', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (!id) return res.status(400).json({ success: false, error: 'invalid id' })
+    const saved = await leaseDB.getSavedSearch(id)
+    if (!saved.success) return res.status(saved.error === 'not_found' ? 404 : 500).json(saved)
+    const query = parseDealQuery({
+      ...saved.data.filters,
+      sort: req.query.sort,
+      limit: req.query.limit,
+      offset: req.query.offset,
+      cursor: req.query.cursor,
+      count: req.query.count,
+    })
+    if (query.error) return res.status(400).json({ success: false, error: query.error, details: query.details })
+    const result = await leaseDB.getBestDeals(query)
+    if (!result.success) return res.status(result.invalidCursor ? 400 : 500).json(result)
+    res.json({
+      success: true,
+      search: saved.data,
+      data: result.data,
+      filters: query.filters,
+      ...paginationResponse(req, result),
+    })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Evaluate one search now (alerts are otherwise raised after each best-deals refresh)
+app.post('/api/saved-searches/:id/evaluate', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (!id) return res.status(400).json({ success: false, error: 'invalid id' })
+    const saved = await leaseDB.getSavedSearch(id)
+    if (!saved.success) return res.status(saved.error === 'not_found' ? 404 : 500).json(saved)
+    const result = await dealAlerts.evaluateSearch(saved.data)
+    if (!result.success) return res.status(500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const result = await leaseDB.getDealAlerts({
+      searchId: req.query.searchId ? parseInt(req.query.searchId) : null,
+      type: req.query.type || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      offset: parseInt(req.query.offset) || 0,
+    })
+    if (!result.success) return res.status(500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// sort: monthly (default order), effectiveMonthly or totalCost
+const OFFER_COST_SORTS = { monthly: 'monthly_rental', effectiveMonthly: 'effective_monthly', totalCost: 'total_cost' };
+
 app.get('/api/vehicle/:id/offers', async (req, res) => {
   try {
     const vehicleId = parseInt(req.params.id);
+    const { sort } = req.query;
+    if (sort && !OFFER_COST_SORTS[sort]) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${Object.keys(OFFER_COST_SORTS).join(', ')}` });
+    }
     const result = await leaseDB.getVehicleOffersComparison(vehicleId);
+    if (result.success && sort) {
+      const column = OFFER_COST_SORTS[sort];
+      const value = (row) => (row[column] === null || row[column] === undefined ? null : Number(row[column]));
+      // Cheapest first; offers without the figure go last
+      result.data.sort((a, b) => {
+        const x = value(a);
+        const y = value(b);
+        if (x === y) return 0;
+        if (x === null) return 1;
+        if (y === null) return -1;
+        return x - y;
+      });
+    }
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Providers x term/mileage/maintenance price grid for one vehicle, with gaps and quote-job hints.
+// Query: terms, mileages (comma lists; both given = full grid), maintenance, cheapestBy=monthly|effective,
+// quoteMaxAgeDays (30)
+const toNumberList = (val) => (val ? String(val).split(',').map((v) => parseInt(v.trim())).filter((n) => n > 0) : null)
+
+app.get('/api/vehicle/:id/offers/matrix', async (req, res) => {
+  try {
+    const vehicleId = parseInt(req.params.id)
+    if (!vehicleId) return res.status(400).json({ success: false, error: 'invalid vehicle id' })
+    const { maintenance, cheapestBy = 'monthly' } = req.query
+    if (!['monthly', 'effective'].includes(cheapestBy)) {
+      return res.status(400).json({ success: false, error: 'cheapestBy must be monthly or effective' })
+    }
+    const quoteMaxAgeDays = Math.min(Math.max(parseInt(req.query.quoteMaxAgeDays) || 30, 1), 365)
+    const data = await leaseDB.getVehicleOfferMatrixData(vehicleId, { quoteMaxAgeDays })
+    if (!data.success) return res.status(data.error === 'not_found' ? 404 : 500).json(data)
+    const matrix = buildOfferMatrix(data.data, {
+      terms: toNumberList(req.query.terms),
+      mileages: toNumberList(req.query.mileages),
+      maintenance: maintenance === undefined || maintenance === '' ? null : ['true', '1', 'yes'].includes(String(maintenance).toLowerCase()),
+      cheapestBy,
+    })
+    res.json({ success: true, data: { ...matrix, quoteMaxAgeDays } })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Daily price series per provider/term/mileage for charting.
+// Query: from, to (YYYY-MM-DD; default the last 180 days), provider, term, mileage, maintenance, fill
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+const MAX_HISTORY_DAYS = 1096
+
+app.get('/api/vehicle/:id/price-history', async (req, res) => {
+  try {
+    const vehicleId = parseInt(req.params.id)
+    if (!vehicleId) return res.status(400).json({ success: false, error: 'invalid id' })
+    const { from: fromRaw, to: toRaw, provider, term, mileage, maintenance, fill } = req.query
+    if ((fromRaw && !ISO_DATE.test(fromRaw)) || (toRaw && !ISO_DATE.test(toRaw))) {
+      return res.status(400).json({ success: false, error: 'from and to must be YYYY-MM-DD' })
+    }
+    const to = toRaw || new Date().toISOString().slice(0, 10)
+    const from = fromRaw || new Date(Date.parse(`${to}T00:00:00Z`) - 180 * 86400000).toISOString().slice(0, 10)
+    const span = (Date.parse(to) - Date.parse(from)) / 86400000
+    if (!(span >= 0)) return res.status(400).json({ success: false, error: 'from must not be after to' })
+    if (span > MAX_HISTORY_DAYS) {
+      return res.status(400).json({ success: false, error: `date range is limited to ${MAX_HISTORY_DAYS} days` })
+    }
+
+    const result = await leaseDB.getPriceHistory(vehicleId, {
+      from,
+      to,
+      provider: provider || null,
+      term: term ? parseInt(term) : null,
+      mileage: mileage ? parseInt(mileage) : null,
+      maintenance: maintenance === undefined || maintenance === '' ? null : maintenance === 'true' || maintenance === '1',
+    })
+    if (!result.success) return res.status(500).json(result)
+    res.json({
+      success: true,
+      vehicleId,
+      data: buildPriceSeries(result.data, { from, to, fill: fill !== 'false' && fill !== '0' }),
+    })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
 // =============================================
 // DASHBOARD
 // =============================================
@@ -194,139 +440,77 @@ app.get('/api/dashboard/top-offers', async (req, res) => {
   }
 })
 
+// Offers about to expire; the expiry job retires them from best deals once they pass offer_valid_until
+app.get('/api/dashboard/expiring-soon', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 0), 365)
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500)
+    const result = await leaseDB.getExpiringOffers({ days, limit, provider: req.query.provider || null })
+    if (!result.success) return res.status(500).json(result)
+    res.json({ ...result, days, expiryJob: offerExpiryJob.getStatus() })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
 // =============================================
-// EMPLOYEE SAVINGS PORTAL
+// DEAL SCORE
 // =============================================
-/**
- * Calculate salary sacrifice savings
- * @param {number} annualSalary - Annual salary in pounds
- * @param {string} taxRegion - 'ewni' (England, Wales, N. Ireland) or 'scotland'
- * @param {number} monthlyLease - Monthly lease payment before tax savings
- * @param {number} otherMonthlySacrifices - Other monthly salary sacrifices
- * @returns {object} Savings breakdown
- */
-function calculateSalarySacrificeSavings(annualSalary, taxRegion, monthlyLease, otherMonthlySacrifices = 0) {
-  // UK Tax bands for 2024/2025
-  const TAX_BANDS = {
-    ewni: {
-      personalAllowance: 12570,
-      basicRate: { threshold: 50270, rate: 0.20 },
-      higherRate: { threshold: 125140, rate: 0.40 },
-      additionalRate: { rate: 0.45 }
-    },
-    scotland: {
-      personalAllowance: 12570,
-      starterRate: { threshold: 14732, rate: 0.19 },
-      basicRate: { threshold: 25688, rate: 0.20 },
-      intermediateRate: { threshold: 43662, rate: 0.21 },
-      higherRate: { threshold: 125140, rate: 0.42 },
-      topRate: { rate: 0.45 }
-    }
-  };
-
-  const annualLease = monthlyLease * 12;
-  const totalAnnualSacrifice = annualLease + (otherMonthlySacrifices * 12);
-  const newTaxableIncome = annualSalary - totalAnnualSacrifice;
-
-  // Calculate tax savings
-  let taxSaving = 0;
-  let niSaving = 0;
-
-  if (taxRegion === 'ewni') {
-    const bands = TAX_BANDS.ewni;
-    // Calculate tax on original salary
-    let originalTax = 0;
-    let taxable = Math.max(0, annualSalary - bands.personalAllowance);
-    if (taxable > 0) {
-      if (taxable <= bands.basicRate.threshold) {
-        originalTax = taxable * bands.basicRate.rate;
-      } else if (taxable <= bands.higherRate.threshold) {
-        originalTax = bands.basicRate.threshold * bands.basicRate.rate;
-        originalTax += (taxable - bands.basicRate.threshold) * bands.higherRate.rate;
-      } else {
-        originalTax = bands.basicRate.threshold * bands.basicRate.rate;
-        originalTax += (bands.higherRate.threshold - bands.basicRate.threshold) * bands.higherRate.rate;
-        originalTax += (taxable - bands.higherRate.threshold) * bands.additionalRate.rate;
-      }
-    }
-
-    // Calculate tax on new salary
-    let newTax = 0;
-    taxable = Math.max(0, newTaxableIncome - bands.personalAllowance);
-    if (taxable > 0) {
-      if (taxable <= bands.basicRate.threshold) {
-        newTax = taxable * bands.basicRate.rate;
-      } else if (taxable <= bands.higherRate.threshold) {
-        newTax = bands.basicRate.threshold * bands.basicRate.rate;
-        newTax += (taxable - bands.basicRate.threshold) * bands.higherRate.rate;
-      } else {
-        newTax = bands.basicRate.threshold * bands.basicRate.rate;
-        newTax += (bands.higherRate.threshold - bands.basicRate.threshold) * bands.higherRate.rate;
-        newTax += (taxable - bands.higherRate.threshold) * bands.additionalRate.rate;
-      }
-    }
-
-    taxSaving = originalTax - newTax;
-  } else {
-    // Scotland - simplified calculation
-    const bands = TAX_BANDS.scotland;
-    // Simplified: use average rate approximation
-    let avgRate = 0.20; // Default to basic rate
-    if (annualSalary > bands.higherRate.threshold) {
-      avgRate = 0.42;
-    } else if (annualSalary > bands.intermediateRate.threshold) {
-      avgRate = 0.21;
-    }
-    taxSaving = totalAnnualSacrifice * avgRate;
-  }
-
-  // National Insurance savings (12% on earnings between £12,570 and £50,270, 2% above)
-  const niLowerThreshold = 12570;
-  const niUpperThreshold = 50270;
-  const niLowerRate = 0.12;
-  const niUpperRate = 0.02;
-
-  // Original NI
-  let originalNI = 0;
-  const originalNIable = Math.max(0, annualSalary - niLowerThreshold);
-  if (originalNIable > 0) {
-    if (originalNIable <= niUpperThreshold) {
-      originalNI = originalNIable * niLowerRate;
-    } else {
-      originalNI = niUpperThreshold * niLowerRate;
-      originalNI += (originalNIable - niUpperThreshold) * niUpperRate;
-    }
+app.get('/api/deal-score/settings', async (req, res) => {
+  try {
+    const result = await leaseDB.getDealScoreSettings()
+    if (!result.success) return res.status(500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
   }
+})
 
-  // New NI
-  let newNI = 0;
-  const newNIable = Math.max(0, newTaxableIncome - niLowerThreshold);
-  if (newNIable > 0) {
-    if (newNIable <= niUpperThreshold) {
-      newNI = newNIable * niLowerRate;
-    } else {
-      newNI = niUpperThreshold * niLowerRate;
-      newNI += (newNIable - niUpperThreshold) * niUpperRate;
-    }
+// Body: { weights: { costPerP11d, totalCost, emissions, mileage, maintenance, providerReliability },
+//         bounds: { costPerP11d|totalCost|co2|bik|mileage: { best, worst } }, defaultProviderReliability, updatedBy }
+// Anything left out keeps its saved value. The cache is re-scored with the new settings.
+app.put('/api/deal-score/settings', async (req, res) => {
+  try {
+    const { settings, error, details } = validateScoreSettings(req.body)
+    if (error) return res.status(400).json({ success: false, error, details })
+    const saved = await leaseDB.saveDealScoreSettings(settings, (req.body || {}).updatedBy || null)
+    if (!saved.success) return res.status(saved.details ? 400 : 500).json(saved)
+    const rescored = await leaseDB.rescoreBestDeals()
+    res.json({ ...saved, rescored: rescored.rescored, rescoreError: rescored.success ? undefined : rescored.error })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
   }
+})
 
-  niSaving = originalNI - newNI;
-
-  const totalAnnualSaving = taxSaving + niSaving;
-  const monthlySaving = totalAnnualSaving / 12;
-  const netMonthlyCost = monthlyLease - monthlySaving;
+app.post('/api/deal-score/rescore', async (req, res) => {
+  try {
+    const result = await leaseDB.rescoreBestDeals()
+    if (!result.success) return res.status(500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
 
-  return {
-    monthlyLease,
-    monthlySaving: Math.max(0, monthlySaving),
-    netMonthlyCost: Math.max(0, netMonthlyCost),
-    annualSaving: totalAnnualSaving,
-    taxSaving,
-    niSaving,
-    savingsPercentage: annualSalary > 0 ? (totalAnnualSaving / annualLease) * 100 : 0
-  };
-}
+// How an offer's score is made up: each component's value, 0-100 score, weight and points
+app.get('/api/offers/:id/score', async (req, res) => {
+  try {
+    const offerId = parseInt(req.params.id)
+    if (!offerId) return res.status(400).json({ success: false, error: 'invalid offer id' })
+    const [offer, settings] = await Promise.all([leaseDB.getOfferForScoring(offerId), leaseDB.getDealScoreSettings()])
+    if (!offer.success) return res.status(offer.error === 'not_found' ? 404 : 500).json(offer)
+    if (!settings.success) return res.status(500).json(settings)
+    const { score, components } = scoreOffer(offer.data, settings.data)
+    res.json({ success: true, data: { offer: offer.data, score, components, settings: settings.data } })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
 
+// =============================================
+// EMPLOYEE SAVINGS PORTAL
+// =============================================
+// Tax and NI tables by year are in src/ukTax.js
 app.post('/api/employee-savings/calculate', async (req, res) => {
   try {
     const { salary, taxRegion, postcode, deductions, maxMonthly, limit = 20 } = req.body;
@@ -337,19 +521,37 @@ app.post('/api/employee-savings/calculate', async (req, res) => {
         error: 'Salary and tax region are required' 
       });
     }
+    if (!TAX_REGIONS.includes(taxRegion)) {
+      return res.status(400).json({ success: false, error: `taxRegion must be one of: ${TAX_REGIONS.join(', ')}` });
+    }
+    const year = resolveTaxYear(req.body.taxYear);
+    if (year.error) {
+      return res.status(400).json({ success: false, error: year.error });
+    }
+    // Employer side: optional share of its NI saving passed back, and whether it pays the levy
+    const employer = {
+      passBackPercent: parseFloat(req.body.employerPassBackPercent) || 0,
+      levyPayer: req.body.levyPayer === true || ['true', '1', 'yes'].includes(String(req.body.levyPayer).toLowerCase())
+    };
+    if (employer.passBackPercent < 0 || employer.passBackPercent > 100) {
+      return res.status(400).json({ success: false, error: 'employerPassBackPercent must be between 0 and 100' });
+    }
 
     const annualSalary = parseFloat(salary);
     const otherMonthlySacrifices = parseFloat(deductions) || 0;
     const maxMonthlyFilter = maxMonthly ? parseFloat(maxMonthly) : null;
 
     // Fetch best deals from database
-    const filters = {
+    const query = parseDealQuery({
       maxMonthly: maxMonthlyFilter,
       limit: parseInt(limit) || 20,
-      offset: 0
-    };
+      count: 'none'
+    });
+    if (query.error) {
+      return res.status(400).json({ success: false, error: query.error, details: query.details });
+    }
 
-    const dealsResult = await leaseDB.getBestDeals(filters);
+    const dealsResult = await leaseDB.getBestDeals(query);
     if (!dealsResult.success) {
       return res.status(500).json(dealsResult);
     }
@@ -361,7 +563,8 @@ app.post('/api/employee-savings/calculate', async (req, res) => {
         annualSalary,
         taxRegion,
         monthlyLease,
-        otherMonthlySacrifices
+        otherMonthlySacrifices,
+        { taxYear: year.taxYear, vehicle: deal, employer }
       );
 
       return {
@@ -381,11 +584,22 @@ app.post('/api/employee-savings/calculate', async (req, res) => {
         best_annual_mileage: deal.best_annual_mileage,
         best_provider_name: deal.best_provider_name,
         best_deal_score: deal.best_deal_score,
-        // Savings calculations
+        // Savings calculations (net of BIK tax on the car when it can be worked out)
         net_monthly_cost: savings.netMonthlyCost,
+        net_monthly_cost_before_bik: savings.netMonthlyCostBeforeBik,
         monthly_saving: savings.monthlySaving,
         annual_saving: savings.annualSaving,
-        savings_percentage: savings.savingsPercentage
+        savings_percentage: savings.savingsPercentage,
+        bik_percentage: savings.bik.percentage ?? null,
+        bik_taxable_benefit: savings.bik.taxableBenefit,
+        bik_monthly_tax: savings.bik.included ? savings.bik.monthlyTax : null,
+        bik_note: savings.bik.included ? (savings.bik.assumed.length ? savings.bik.assumed.join('; ') : null) : savings.bik.reason,
+        // Employer savings (Class 1 NI and levy saved, less Class 1A on the benefit and any pass-back)
+        employer_class1_saving: savings.employer.class1Saving,
+        employer_class1a_cost: savings.employer.class1ACost,
+        employer_levy_saving: savings.employer.levySaving,
+        employer_pass_back: savings.employer.passBack,
+        employer_annual_saving: savings.employer.netSaving
       };
     });
 
@@ -399,7 +613,10 @@ app.post('/api/employee-savings/calculate', async (req, res) => {
       calculation: {
         annualSalary,
         taxRegion,
-        otherMonthlySacrifices
+        taxYear: year.taxYear,
+        otherMonthlySacrifices,
+        employerPassBackPercent: employer.passBackPercent,
+        levyPayer: employer.levyPayer
       }
     });
   } catch (error) {
@@ -408,14 +625,116 @@ app.post('/api/employee-savings/calculate', async (req, res) => {
   }
 });
 
+// Employer projection for a whole workforce over the deals matching `filters` (any /api/best-deals filter)
+// Body: { workforce: [{ salary, employees }], takeUpRate, taxRegion, taxYear, passBackPercent,
+//         levyPayer (true | false | 'auto'), otherMonthlySacrifices, hoursPerWeek, filters }
+app.post('/api/employee-savings/scheme', async (req, res) => {
+  try {
+    const body = req.body || {}
+    const checked = validateSchemeInput(body)
+    const errors = checked.error ? [...checked.details] : []
+    const taxRegion = body.taxRegion || 'ewni'
+    if (!TAX_REGIONS.includes(taxRegion)) errors.push(`taxRegion must be one of: ${TAX_REGIONS.join(', ')}`)
+    const year = resolveTaxYear(body.taxYear)
+    if (year.error) errors.push(year.error)
+    const query = parseDealQuery({ ...(body.filters || {}), count: 'none' })
+    if (query.error) errors.push(...query.details)
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid scheme request', details: errors })
+
+    const deals = await leaseDB.getSchemeDeals(query, { limit: MAX_SCHEME_DEALS })
+    if (!deals.success) return res.status(500).json(deals)
+    const projection = projectScheme({
+      ...checked.input,
+      deals: deals.data,
+      dealsTruncated: deals.truncated,
+      taxRegion,
+      taxYear: year.taxYear,
+    })
+    const { workforce, ...assumptions } = checked.input
+    res.json({
+      success: true,
+      data: projection,
+      assumptions: { ...assumptions, taxRegion, taxYear: year.taxYear, filters: query.filters },
+    })
+  } catch (e) {
+    console.error('Error projecting salary sacrifice scheme:', e)
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// =============================================
+// VEHICLE COMPARISON
+// =============================================
+// Body: { vehicleIds: [2-6 ids], term, mileage, upfront (initial months, e.g. 3 or "3+35"), maintenance,
+//         salary, taxRegion ('ewni' | 'scotland'), taxYear (e.g. '2025-26'), otherMonthlySacrifices }
+// Salary sacrifice figures (only with a salary) sacrifice each offer's effective monthly cost.
+const MAX_COMPARE_VEHICLES = 6
+
+app.post('/api/compare', async (req, res) => {
+  try {
+    const body = req.body || {}
+    const errors = []
+    const vehicleIds = Array.isArray(body.vehicleIds) ? [...new Set(body.vehicleIds.map((id) => parseInt(id)))] : []
+    if (vehicleIds.length < 2 || vehicleIds.length > MAX_COMPARE_VEHICLES || vehicleIds.some((id) => !(id > 0))) {
+      errors.push(`vehicleIds must be 2-${MAX_COMPARE_VEHICLES} vehicle ids`)
+    }
+    const optionalInt = (key) => {
+      if (body[key] === undefined || body[key] === null || body[key] === '') return null
+      const n = parseInt(body[key])
+      if (!(n > 0)) errors.push(`${key} must be a positive whole number`)
+      return n
+    }
+    const term = optionalInt('term')
+    const mileage = optionalInt('mileage')
+    const upfrontMonths = parseUpfrontMonths(body.upfront)
+    if (Number.isNaN(upfrontMonths)) errors.push('upfront must be initial months, e.g. 3 or "3+35"')
+    const maintenance = body.maintenance === undefined || body.maintenance === null || body.maintenance === ''
+      ? null
+      : body.maintenance === true || ['true', '1', 'yes'].includes(String(body.maintenance).toLowerCase())
+    const salary = body.salary === undefined || body.salary === null || body.salary === '' ? null : parseFloat(body.salary)
+    if (salary !== null && !(salary > 0)) errors.push('salary must be a positive number')
+    const taxRegion = body.taxRegion || 'ewni'
+    if (!TAX_REGIONS.includes(taxRegion)) errors.push(`taxRegion must be one of: ${TAX_REGIONS.join(', ')}`)
+    const year = resolveTaxYear(body.taxYear)
+    if (year.error) errors.push(year.error)
+    const otherMonthlySacrifices = parseFloat(body.otherMonthlySacrifices) || 0
+    if (errors.length) return res.status(400).json({ success: false, error: 'Invalid comparison', details: errors })
+
+    const data = await leaseDB.getComparisonData(vehicleIds, { term, mileage, maintenance, upfrontMonths })
+    if (!data.success) return res.status(500).json(data)
+    const comparison = buildComparison({ vehicleIds, ...data.data }, {
+      salarySacrifice: salary === null
+        ? null
+        : (vehicle, offer) => calculateSalarySacrificeSavings(
+          salary,
+          taxRegion,
+          Number(offer.effective_monthly ?? offer.monthly_rental) || 0,
+          otherMonthlySacrifices,
+          { taxYear: year.taxYear, vehicle }
+        ),
+    })
+    res.json({
+      success: true,
+      data: comparison,
+      criteria: { term, mileage, upfrontMonths, maintenance },
+      calculation: salary === null ? null : { annualSalary: salary, taxRegion, taxYear: year.taxYear, otherMonthlySacrifices },
+    })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
 // =============================================
 // SALARY SACRIFICE
 // =============================================
 app.get('/api/ss/customers', async (req, res) => {
   try {
-    const { search = '', sort = 'orders_desc', limit = '100', offset = '0' } = req.query
-    const result = await leaseDB.listSSCustomers({ search, sort, limit: parseInt(limit), offset: parseInt(offset) })
-    res.json(result)
+    const { search = '', sort = 'orders_desc' } = req.query
+    const page = parsePagination(req.query, { defaultLimit: 100 })
+    if (page.error) return res.status(400).json({ success: false, error: page.error })
+    const result = await leaseDB.listSSCustomers({ search, sort, ...page })
+    if (!result.success) return res.status(result.invalidCursor ? 400 : 500).json(result)
+    res.json({ success: true, data: result.data, metrics: result.metrics, ...paginationResponse(req, result) })
   } catch (e) {
     res.status(500).json({ success: false, error: e.message })
   }
@@ -433,9 +752,12 @@ app.post('/api/ss/customers', async (req, res) => {
 
 app.get('/api/ss/enquiries', async (req, res) => {
   try {
-    const { search = '', limit = '100', offset = '0' } = req.query
-    const result = await leaseDB.listSSEnquiries({ search, limit: parseInt(limit), offset: parseInt(offset) })
-    res.json(result)
+    const { search = '' } = req.query
+    const page = parsePagination(req.query, { defaultLimit: 100 })
+    if (page.error) return res.status(400).json({ success: false, error: page.error })
+    const result = await leaseDB.listSSEnquiries({ search, ...page })
+    if (!result.success) return res.status(result.invalidCursor ? 400 : 500).json(result)
+    res.json({ success: true, data: result.data, ...paginationResponse(req, result) })
   } catch (e) {
     res.status(500).json({ success: false, error: e.message })
   }
@@ -463,15 +785,18 @@ app.get('/api/ss/enquiries/report', async (req, res) => {
 
 app.get('/api/filters', async (req, res) => {
   try {
-    const [manufacturers, fuelTypes] = await Promise.all([
+    const [manufacturers, fuelTypes, bodyStyles, transmissions] = await Promise.all([
       leaseDB.getManufacturers(),
       leaseDB.getFuelTypes(),
+      leaseDB.getBodyStyles(),
+      leaseDB.getTransmissions(),
     ]);
     res.json({
       success: true,
       manufacturers: manufacturers.data,
       fuelTypes: fuelTypes.data,
-      bodyStyles: ['hatchback', 'saloon', 'estate', 'suv', 'coupe', 'convertible', 'mpv', 'other'],
+      bodyStyles: bodyStyles.data,
+      transmissions: transmissions.data,
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -495,38 +820,16 @@ app.get('/api/search', async (req, res) => {
 // =============================================
 // UPLOADS
 // =============================================
+
 // Pre-handler to log before multer processes
 app.post('/api/upload', (req, res, next) => {
   console.log('Starting upload handler...')
   next()
 }, upload.single('file'), async (req, res) => {
   try {
-    // Helper: if model actually contains full description, derive model + variant
-    const applyVehicleParsing = (vehicle) => {
-      try {
-        const manufacturer = (vehicle.manufacturer || '').toString().trim()
-        if (!manufacturer) return vehicle
-        const descCandidate =
-          (vehicle.vehicle_description || vehicle.vehicleDescription || '').toString().trim() ||
-          (vehicle.model || '').toString().trim()
-        if (!descCandidate) return vehicle
-        // Only parse if description starts with manufacturer or variant missing
-        const startsWithMfr = descCandidate.toLowerCase().startsWith(manufacturer.toLowerCase())
-        const missingModelOrVariant = !vehicle.model || !vehicle.variant
-        if (startsWithMfr || missingModelOrVariant) {
-          const parsed = parseVehicleDescription(manufacturer, descCandidate)
-          if (parsed && parsed.model) vehicle.model = parsed.model
-          if (parsed && typeof parsed.variant === 'string') vehicle.variant = parsed.variant
-        }
-      } catch (_) {
-        // best-effort parsing; ignore failures
-      }
-      return vehicle
-    }
-
     const file = req.file;
     const providerName = req.body.providerName;
-    const fieldMappings = JSON.parse(req.body.fieldMappings || '{}');
+    let fieldMappings = JSON.parse(req.body.fieldMappings || '{}');
     let headerNames = [];
     try {
       headerNames = JSON.parse(req.body.headerNames || '[]')
@@ -534,7 +837,47 @@ app.post('/api/upload', (req, res, next) => {
       headerNames = []
     }
 
-    if (!file || !providerName) {
+    // Map with a saved provider mapping version instead of a client-supplied mapping
+    const mappingVersion = req.body.mappingVersion ? parseInt(req.body.mappingVersion) : null
+    if (req.body.mappingVersion && !mappingVersion) {
+      return res.status(400).json({ success: false, error: 'invalid mappingVersion' })
+    }
+    let savedVersion = null
+    if (mappingVersion) {
+      if (!providerName) {
+        return res.status(400).json({ success: false, error: 'providerName is required with mappingVersion' })
+      }
+      const saved = await leaseDB.getMappingVersion(providerName, mappingVersion)
+      if (!saved.success) {
+        return res.status(saved.error === 'not_found' ? 404 : 500).json({
+          success: false,
+          error: `Mapping version ${mappingVersion} for ${providerName}: ${saved.error}`,
+        })
+      }
+      savedVersion = saved.data
+      fieldMappings = savedVersion.column_mappings || {}
+      headerNames = Array.isArray(savedVersion.header_names) ? savedVersion.header_names : []
+    }
+
+    // How the upfront column is expressed: explicit upfrontRule, else the provider's saved rule
+    const requestedRule = normalizeUpfrontRule(req.body.upfrontRule)
+    if (requestedRule.error) return res.status(400).json({ success: false, error: requestedRule.error })
+    let upfrontRule = requestedRule.rule
+    if (!upfrontRule && savedVersion) {
+      upfrontRule = normalizeUpfrontRule(savedVersion.upfront_rule).rule
+    } else if (!upfrontRule && providerName) {
+      const saved = await leaseDB.getMappingByProvider(providerName)
+      if (saved.success) upfrontRule = normalizeUpfrontRule(saved.data.upfront_rule).rule
+    }
+    // append (default) | replace-provider | replace-matching-terms
+    const uploadMode = req.body.mode || 'append'
+    if (!UPLOAD_MODES.includes(uploadMode)) {
+      return res.status(400).json({ success: false, error: `mode must be one of: ${UPLOAD_MODES.join(', ')}` })
+    }
+    const dryRunRaw = req.query.dryRun ?? req.body.dryRun
+    const dryRun = dryRunRaw === true || dryRunRaw === '1' || dryRunRaw === 'true'
+
+    if (!file || (!providerName && !dryRun)) {
       return res.status(400).json({ success: false, error: 'File and provider name are required' });
     }
 
@@ -543,203 +886,62 @@ app.post('/api/upload', (req, res, next) => {
       fileName: file.originalname,
       size: file.size,
       mimetype: file.mimetype,
+      dryRun,
     })
 
-    const session = await leaseDB.createUploadSession(
-      providerName,
-      file.originalname,
-      (file.mimetype || '').includes('excel') || file.originalname.endsWith('.xlsx') ? 'xlsx' : 'csv',
-      0,
-      req.body.uploadedBy || 'unknown'
-    );
-    if (!session.success) return res.status(500).json(session);
-
-    let vehicleData = [];
-
-    if ((file.mimetype || '').includes('excel') || file.originalname.endsWith('.xlsx')) {
-      // Excel buffer parse
-      const workbook = XLSX.read(file.buffer, { type: 'buffer' });
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-      const headers = jsonData[0];
-      const dataRows = jsonData.slice(1);
-
-      vehicleData = dataRows.map((row) => {
-        const vehicle = { provider_name: providerName };
-        Object.entries(fieldMappings).forEach(([field, index]) => {
-          if (index !== undefined && row[index] !== undefined) {
-            vehicle[field] = row[index];
-          }
-        });
-        return applyVehicleParsing(vehicle);
-      });
-    } else {
-      // CSV buffer parse with stable header order; prefer client-provided headerNames
-      // Sniff delimiter (default comma; some EU sheets use semicolon)
-      const headSample = file.buffer.slice(0, 2048).toString('utf8')
-      const firstLine = headSample.split(/\r?\n/)[0] || ''
-      const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
-      vehicleData = await new Promise((resolve, reject) => {
-        const results = [];
-        const readable = new Readable();
-        readable.push(file.buffer);
-        readable.push(null);
-        let headerOrder = null;
-        readable
-          .pipe(csv({ separator: sep, mapHeaders: ({ header }) => (header || '').trim() }))
-          .on('headers', (headers) => {
-            headerOrder = headers;
-          })
-          .on('data', (row) => {
-            const vehicle = { provider_name: providerName };
-            Object.entries(fieldMappings).forEach(([field, index]) => {
-              const i = typeof index === 'string' ? parseInt(index) : index;
-              const headerName = Array.isArray(headerNames) && headerNames.length > 0
-                ? headerNames[i]
-                : (Array.isArray(headerOrder) && i >= 0 ? headerOrder[i] : null);
-              if (headerName && row[headerName] !== undefined) {
-                vehicle[field] = row[headerName];
-              }
-            });
-            results.push(applyVehicleParsing(vehicle));
-          })
-          .on('end', () => resolve(results))
-          .on('error', reject);
-      });
-    }
-
-    await processAndRespond();
+    // Upfront multiplier: 1,3,6,9,12
+    const allowedMultipliers = new Set(['1','3','6','9','12', 1,3,6,9,12]);
+    const upfrontMultiplierRaw = req.body.upfrontMultiplier;
+    const upfrontMultiplier =
+      upfrontMultiplierRaw !== undefined && upfrontMultiplierRaw !== null && allowedMultipliers.has(upfrontMultiplierRaw)
+        ? Number(upfrontMultiplierRaw)
+        : null;
 
-    async function processAndRespond() {
-      // Normalize and coerce values before filtering
-      const parseNumber = (val) => {
-        if (val === undefined || val === null) return null;
-        if (typeof val === 'number') return val;
-        const s = String(val).replace(/[^0-9.+-]/g, '');
-        if (!s) return null;
-        const num = s.includes('.') ? parseFloat(s) : parseInt(s, 10);
-        return isNaN(num) ? null : num;
-      };
-      const toBool = (val) => {
-        if (typeof val === 'boolean') return val;
-        if (val === null || val === undefined) return false;
-        const s = String(val).trim().toLowerCase();
-        return s === 'true' || s === 'yes' || s === 'y' || s === '1';
-      };
-      // Upfront multiplier: 1,3,6,9,12
-      const allowedMultipliers = new Set(['1','3','6','9','12', 1,3,6,9,12]);
-      const upfrontMultiplierRaw = req.body.upfrontMultiplier;
-      const upfrontMultiplier =
-        upfrontMultiplierRaw !== undefined && upfrontMultiplierRaw !== null && allowedMultipliers.has(upfrontMultiplierRaw)
-          ? Number(upfrontMultiplierRaw)
-          : null;
-
-      console.log('Upfront multiplier:', { raw: upfrontMultiplierRaw, parsed: upfrontMultiplier });
-
-      const normalized = vehicleData.map((v, idx) => {
-        const monthlyRental = parseNumber(v.monthly_rental);
-        let upfrontPayment = parseNumber(v.upfront_payment ?? v.upfront);
-
-        // Debug first row
-        if (idx === 0) {
-          console.log('First vehicle upfront calculation:', {
-            monthly_rental: monthlyRental,
-            upfront_payment_raw: v.upfront_payment,
-            upfront_raw: v.upfront,
-            upfront_parsed: upfrontPayment,
-            upfront_multiplier: upfrontMultiplier
-          });
-        }
+    console.log('Upfront multiplier:', { raw: upfrontMultiplierRaw, parsed: upfrontMultiplier });
 
-        // If mapped upfront looks like months (1/3/6/9/12), convert to amount using monthly
-        if ((upfrontPayment === 1 || upfrontPayment === 3 || upfrontPayment === 6 || upfrontPayment === 9 || upfrontPayment === 12) && monthlyRental) {
-          upfrontPayment = monthlyRental * upfrontPayment;
-        }
-        // If no upfront mapped, use global multiplier if provided
-        if ((!upfrontPayment || upfrontPayment === 0) && upfrontMultiplier && monthlyRental) {
-          upfrontPayment = monthlyRental * upfrontMultiplier;
-          if (idx === 0) {
-            console.log('Applied multiplier, upfront now:', upfrontPayment);
-          }
-        }
-        return {
-          provider_name: providerName,
-          cap_code: v.cap_code ?? v.capCode ?? null,
-          manufacturer: v.manufacturer,
-          model: v.model,
-          variant: v.variant ?? null,
-          p11d_price: parseNumber(v.p11d_price ?? v.p11d),
-          fuel_type: v.fuel_type ?? v.fuelType ?? null,
-          mpg: parseNumber(v.mpg),
-          co2_emissions: parseNumber(v.co2_emissions ?? v.co2),
-          electric_range: parseNumber(v.electric_range),
-          insurance_group: parseNumber(v.insurance_group),
-          body_style: v.body_style ?? null,
-          transmission: v.transmission ?? null,
-          monthly_rental: monthlyRental,
-          upfront_payment: upfrontPayment || 0,
-          term_months: parseNumber(v.term_months ?? v.term) || 36,
-          annual_mileage: parseNumber(v.annual_mileage ?? v.mileage) || 10000,
-          maintenance_included: toBool(v.maintenance_included ?? v.maintenance),
-          admin_fee: parseNumber(v.admin_fee) || 0,
-          offer_valid_until: v.offer_valid_until ?? null,
-          special_conditions: v.special_conditions ?? null,
-        }
-      });
+    // Sheet selection / header row (Excel only); the file is parsed before any session is created
+    let parsed
+    try {
+      parsed = await parseRatebook(file, { providerName, fieldMappings, headerNames, ...parseSheetOptions(req.body) })
+    } catch (e) {
+      return res.status(400).json({ success: false, error: `Could not parse file: ${e.message}` })
+    }
 
-      const validVehicles = normalized.filter((v) => v.manufacturer && v.model && v.monthly_rental);
-      console.log('Upload parsing summary:', {
-        totalParsed: vehicleData.length,
-        sample: (normalized[0] ? {
-          manufacturer: normalized[0].manufacturer,
-          model: normalized[0].model,
-          monthly_rental: normalized[0].monthly_rental,
-          term_months: normalized[0].term_months,
-          annual_mileage: normalized[0].annual_mileage,
-        } : null)
+    // Dry run: same parsing and normalisation, nothing written to the database
+    if (dryRun) {
+      const sampleSize = Math.min(parseInt(req.query.sampleSize ?? req.body.sampleSize) || 20, 500)
+      const qualityRules = await loadQualityRules(providerName)
+      const preview = buildPreview(parsed, {
+        providerName,
+        fieldMappings,
+        headerNames,
+        upfrontMultiplier,
+        upfrontRule,
+        defaultValidityDays: await loadDefaultValidityDays(providerName),
+        today: await loadDatabaseDate(),
+        qualityRules,
+        sampleSize,
       })
+      return res.json({ success: true, dryRun: true, upfrontRule, ...preview })
+    }
 
-      // Update session total rows now
-      try {
-        await leaseDB.query('UPDATE upload_sessions SET total_rows = $1, status = $2 WHERE id = $3', [vehicleData.length, 'processing', session.sessionId])
-      } catch (e) {
-        console.warn('Could not update total_rows for session', session.sessionId, e.message)
-      }
-
-      // Respond immediately; continue processing in background to avoid timeouts
-      res.json({
-        success: true,
-        sessionId: session.sessionId,
-        totalRows: vehicleData.length,
-        validRows: validVehicles.length,
-        processed: 0,
-        errors: 0,
-        note: 'Processing in background'
-      });
+    const staged = await stageRatebookUpload(file, parsed, {
+      providerName,
+      uploadedBy: req.body.uploadedBy || 'unknown',
+      mappingVersion,
+      upfrontMultiplier,
+      upfrontRule,
+      uploadMode,
+    })
+    if (!staged.success) return res.status(500).json(staged)
 
-      // Background chunked processing
-      const chunkSize = Number(process.env.UPLOAD_CHUNK_SIZE || 500);
-      let processed = 0;
-      let totalErrors = 0;
-      for (let i = 0; i < validVehicles.length; i += chunkSize) {
-        const chunk = validVehicles.slice(i, i + chunkSize);
-        const result = await leaseDB.processVehicleDataChunk(session.sessionId, chunk);
-        processed += result.processed || 0;
-        totalErrors += result.errors || 0;
-        try {
-          await leaseDB.query('UPDATE upload_sessions SET processed_rows = $1 WHERE id = $2', [processed, session.sessionId]);
-        } catch (e) {
-          console.warn('Could not update processed_rows mid-way:', e.message)
-        }
-      }
-      try {
-        await leaseDB.query('UPDATE upload_sessions SET processed_rows = $1, status = $2, processing_completed_at = CURRENT_TIMESTAMP WHERE id = $3', [processed, 'completed', session.sessionId]);
-      } catch (e) {
-        console.warn('Could not finalize upload session:', e.message)
-      }
-      // Refresh best deals in background at end
-      leaseDB.refreshBestDeals().catch(console.error);
-    }
+    // Respond now; the upload queue inserts the staged rows in the background
+    res.json({
+      ...staged,
+      processed: 0,
+      errors: 0,
+      note: 'Processing in background'
+    })
   } catch (error) {
     console.error('Upload error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -755,6 +957,11 @@ app.post('/api/refresh-cache', async (req, res) => {
   }
 });
 
+// Inbox ingester: configuration and the last files it picked up
+app.get('/api/inbox/status', (req, res) => {
+  res.json({ success: true, data: inboxIngester.getStatus() })
+})
+
 // Upload status polling
 app.get('/api/upload/:id/status', async (req, res) => {
   try {
@@ -768,6 +975,206 @@ app.get('/api/upload/:id/status', async (req, res) => {
   }
 })
 
+// Rejected/failed rows for an upload session
+app.get('/api/upload/:id/errors', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (!id) return res.status(400).json({ success: false, error: 'invalid id' })
+    const limit = parseInt(req.query.limit) || 500
+    const offset = parseInt(req.query.offset) || 0
+    const result = await leaseDB.getUploadErrors(id, { limit, offset })
+    if (!result.success) return res.status(500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.get('/api/upload/:id/errors/download', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (!id) return res.status(400).json({ success: false, error: 'invalid id' })
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx'
+    const result = await leaseDB.exportUploadErrors(id, format)
+    if (!result.success) {
+      if (result.error === 'not_found') {
+        return res.status(404).json({ success: false, error: 'No errors recorded for this upload' })
+      }
+      return res.status(500).json(result)
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="upload-${id}-rejected-rows.${result.format}"`)
+    res.setHeader(
+      'Content-Type',
+      result.format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    )
+    res.send(result.buffer)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Offers a replacing upload retired (reason: superseded | removed)
+app.get('/api/upload/:id/superseded', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id)
+    if (!id) return res.status(400).json({ success: false, error: 'invalid id' })
+    const limit = parseInt(req.query.limit) || 500
+    const offset = parseInt(req.query.offset) || 0
+    const reason = ['superseded', 'removed'].includes(req.query.reason) ? req.query.reason : null
+    const result = await leaseDB.getSupersededOffers(id, { limit, offset, reason })
+    if (!result.success) return res.status(500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Compare two completed upload sessions for a provider; defaults to latest vs previous
+async function loadUploadDiff(provider, query) {
+  const sessions = await leaseDB.getProviderUploadSessions(provider, 100)
+  if (!sessions.success) return { status: 500, body: sessions }
+
+  const toId = parseInt(query.to) || (sessions.data[0] && sessions.data[0].id)
+  const toIndex = sessions.data.findIndex((s) => s.id === toId)
+  const fromId = parseInt(query.from) || (toIndex >= 0 && sessions.data[toIndex + 1] && sessions.data[toIndex + 1].id)
+  if (!fromId || !toId) {
+    return { status: 400, body: { success: false, error: 'Two completed uploads for this provider are needed to compare' } }
+  }
+  const from = sessions.data.find((s) => s.id === fromId)
+  const to = sessions.data.find((s) => s.id === toId)
+  if (!from || !to) {
+    return { status: 404, body: { success: false, error: `upload ${!from ? fromId : toId} not_found for provider ${provider}` } }
+  }
+
+  const [a, b] = await Promise.all([leaseDB.getUploadSessionOffers(from.id), leaseDB.getUploadSessionOffers(to.id)])
+  if (!a.success || !b.success) return { status: 500, body: { success: false, error: a.error || b.error } }
+  return { status: 200, diff: diffUploadOffers(a.data, b.data, { from, to }) }
+}
+
+// Providers with their settings, live offer counts and next expiry
+app.get('/api/providers', async (req, res) => {
+  try {
+    const result = await leaseDB.getProviders()
+    if (!result.success) return res.status(500).json(result)
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Body (either or both; null clears):
+//   defaultValidityDays — days an offer stays valid when its ratebook has no expiry column
+//   reliabilityScore — 0-100, used by the deal score (changing it re-scores the cache)
+app.put('/api/providers/:provider', async (req, res) => {
+  try {
+    const body = req.body || {}
+    const settings = {}
+    const errors = []
+    if (body.defaultValidityDays !== undefined) {
+      const raw = body.defaultValidityDays
+      settings.defaultValidityDays = raw === null || raw === '' ? null : parseInt(raw)
+      if (settings.defaultValidityDays !== null && !(settings.defaultValidityDays > 0 && settings.defaultValidityDays <= 3650)) {
+        errors.push('defaultValidityDays must be between 1 and 3650, or null')
+      }
+    }
+    if (body.reliabilityScore !== undefined) {
+      const raw = body.reliabilityScore
+      settings.reliabilityScore = raw === null || raw === '' ? null : Number(raw)
+      if (settings.reliabilityScore !== null && !(settings.reliabilityScore >= 0 && settings.reliabilityScore <= 100)) {
+        errors.push('reliabilityScore must be between 0 and 100, or null')
+      }
+    }
+    if (Object.keys(settings).length === 0) errors.push('give defaultValidityDays and/or reliabilityScore')
+    if (errors.length) return res.status(400).json({ success: false, error: errors.join('; ') })
+    const result = await leaseDB.updateProviderSettings(req.params.provider, settings)
+    if (!result.success) return res.status(result.error === 'not_found' ? 404 : 500).json(result)
+    if (settings.reliabilityScore !== undefined) {
+      const rescored = await leaseDB.rescoreBestDeals()
+      return res.json({ ...result, rescored: rescored.rescored })
+    }
+    res.json(result)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.get('/api/providers/:provider/upload-diff', async (req, res) => {
+  try {
+    const result = await loadUploadDiff(req.params.provider, req.query)
+    if (!result.diff) return res.status(result.status).json(result.body)
+    res.json({ success: true, data: result.diff })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Content-Disposition for a download whose name may hold any characters: an ASCII
+// filename for old clients plus the UTF-8 name as an RFC 5987 filename*
+function attachmentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, '_')
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`
+}
+
+app.get('/api/providers/:provider/upload-diff/download', async (req, res) => {
+  try {
+    const result = await loadUploadDiff(req.params.provider, req.query)
+    if (!result.diff) return res.status(result.status).json(result.body)
+    const { from, to } = result.diff
+    res.setHeader('Content-Disposition', attachmentDisposition(`${req.params.provider}-upload-${from.id}-vs-${to.id}.xlsx`))
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    res.send(buildUploadDiffWorkbook(result.diff))
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Data-quality rules: the global set (defaults until one is saved) and per-provider overrides
+app.get('/api/quality-rules', async (req, res) => {
+  try {
+    const r = await leaseDB.getQualityRules(null)
+    if (!r.success) return res.status(500).json(r)
+    res.json({
+      success: true,
+      data: r.data || { provider_name: null, rules: DEFAULT_QUALITY_RULES, defaults: true },
+    })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.get('/api/quality-rules/:provider', async (req, res) => {
+  try {
+    const [own, effective] = await Promise.all([
+      leaseDB.getQualityRules(req.params.provider),
+      leaseDB.getEffectiveQualityRules(req.params.provider),
+    ])
+    if (!own.success || !effective.success) {
+      return res.status(500).json({ success: false, error: own.error || effective.error })
+    }
+    res.json({ success: true, data: { overrides: own.data ? own.data.rules : [], effective: effective.data } })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Body: { rules: [...], updatedBy }. PUT /api/quality-rules replaces the global set.
+async function saveQualityRules(providerName, req, res) {
+  try {
+    const { rules, updatedBy } = req.body || {}
+    const problems = validateQualityRules(rules)
+    if (problems.length > 0) return res.status(400).json({ success: false, error: 'Invalid rules', details: problems })
+    const r = await leaseDB.saveQualityRules(providerName, rules, updatedBy || null)
+    if (!r.success) return res.status(500).json(r)
+    res.json(r)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+}
+app.put('/api/quality-rules', (req, res) => saveQualityRules(null, req, res))
+app.put('/api/quality-rules/:provider', (req, res) => saveQualityRules(req.params.provider, req, res))
+
 // Save/load provider mappings
 app.get('/api/mappings', async (req, res) => {
   try {
@@ -784,13 +1191,106 @@ app.get('/api/mappings', async (req, res) => {
   }
 })
 
+// Propose a fieldMappings object for a ratebook with unfamiliar headers.
+// Accepts a multipart `file`, or JSON { headers, sampleRows }.
+app.post('/api/mappings/suggest', upload.single('file'), async (req, res) => {
+  try {
+    let headers = []
+    let rows = []
+    let sheetInfo = null
+    if (req.file) {
+      const { sheet, headerRow } = parseSheetOptions(req.body)
+      const sample = await readRatebookSample(req.file, { maxRows: parseInt(req.body.sampleSize) || 50, sheet, headerRow })
+      headers = sample.headers
+      rows = sample.rows
+      sheetInfo = sample.sheet ? { sheet: sample.sheet, sheetNames: sample.sheetNames } : {}
+      if (sample.file) sheetInfo = { ...sheetInfo, file: sample.file, fileNames: sample.fileNames }
+    } else {
+      headers = Array.isArray(req.body.headers) ? req.body.headers : []
+      rows = Array.isArray(req.body.sampleRows) ? req.body.sampleRows : []
+    }
+    if (headers.length === 0) {
+      return res.status(400).json({ success: false, error: 'file or headers required' })
+    }
+    const suggestion = suggestFieldMappings(headers, rows)
+    res.json({ success: true, ...suggestion, ...(sheetInfo || {}) })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
 app.post('/api/mappings', async (req, res) => {
   try {
-    const { providerName, fieldMappings, headerNames } = req.body || {}
+    const { providerName, fieldMappings, headerNames, savedBy, upfrontRule } = req.body || {}
     if (!providerName || !fieldMappings) {
       return res.status(400).json({ success: false, error: 'providerName and fieldMappings required' })
     }
-    const r = await leaseDB.saveMapping(providerName, fieldMappings, headerNames)
+    const rule = normalizeUpfrontRule(upfrontRule)
+    if (rule.error) return res.status(400).json({ success: false, error: rule.error })
+    const r = await leaseDB.saveMapping(providerName, fieldMappings, headerNames, savedBy || null, null, rule.rule)
+    res.json(r)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Mapping version history
+app.get('/api/mappings/:provider/versions', async (req, res) => {
+  try {
+    const r = await leaseDB.getMappingVersions(req.params.provider)
+    if (!r.success) return res.status(500).json(r)
+    res.json(r)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.get('/api/mappings/:provider/versions/:version', async (req, res) => {
+  try {
+    const version = parseInt(req.params.version)
+    if (!version) return res.status(400).json({ success: false, error: 'invalid version' })
+    const r = await leaseDB.getMappingVersion(req.params.provider, version)
+    if (!r.success) return res.status(r.error === 'not_found' ? 404 : 500).json(r)
+    res.json(r)
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Diff two versions; defaults to the previous version vs the current one
+app.get('/api/mappings/:provider/diff', async (req, res) => {
+  try {
+    const provider = req.params.provider
+    let to = parseInt(req.query.to)
+    let from = parseInt(req.query.from)
+    if (!to) {
+      const current = await leaseDB.getMappingByProvider(provider)
+      if (!current.success) return res.status(404).json(current)
+      to = current.data.current_version
+    }
+    if (!from) from = to - 1
+    if (!from || !to || from < 1) {
+      return res.status(400).json({ success: false, error: 'Two versions are needed to diff' })
+    }
+    const [a, b] = await Promise.all([
+      leaseDB.getMappingVersion(provider, from),
+      leaseDB.getMappingVersion(provider, to),
+    ])
+    if (!a.success || !b.success) {
+      return res.status(404).json({ success: false, error: `version ${!a.success ? from : to} not_found` })
+    }
+    res.json({ success: true, data: diffMappingVersions(a.data, b.data) })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+app.post('/api/mappings/:provider/versions/:version/restore', async (req, res) => {
+  try {
+    const version = parseInt(req.params.version)
+    if (!version) return res.status(400).json({ success: false, error: 'invalid version' })
+    const r = await leaseDB.restoreMappingVersion(req.params.provider, version, (req.body && req.body.savedBy) || null)
+    if (!r.success) return res.status(r.error === 'not_found' ? 404 : 500).json(r)
     res.json(r)
   } catch (e) {
     res.status(500).json({ success: false, error: e.message })
@@ -919,12 +1419,25 @@ const PORT = process.env.PORT || 3001;
 const HOST = process.env.HOST || '0.0.0.0';
 app.listen(PORT, HOST, () => {
   console.log(`Lease Analysis API server running on port ${PORT}`);
+  // Picks up queued uploads and resumes any interrupted by a restart
+  if (process.env.UPLOAD_QUEUE_ENABLED !== 'false') uploadQueue.start();
+  // Scheduled ingestion of ratebooks dropped into INBOX_DIR/<provider>/
+  if (process.env.INBOX_DIR && process.env.INBOX_ENABLED !== 'false') inboxIngester.start();
+  // Retires offers past offer_valid_until and refreshes best deals when any expire
+  if (process.env.OFFER_EXPIRY_ENABLED !== 'false') offerExpiryJob.start();
+  // Saved searches are re-run after every best-deals refresh to raise price-drop/new-match alerts
+  if (process.env.DEAL_ALERTS_ENABLED !== 'false') leaseDB.onBestDealsRefreshed(() => dealAlerts.evaluateAll());
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received: closing server');
-  leaseDB.close().then(() => process.exit(0)).catch(() => process.exit(0));
+  inboxIngester.stop()
+    .then(() => offerExpiryJob.stop())
+    .then(() => uploadQueue.stop())
+    .then(() => leaseDB.close())
+    .then(() => process.exit(0))
+    .catch(() => process.exit(0));
 });
 
 module.exports = app;
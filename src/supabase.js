@@ -17,6 +17,32 @@ const supabase = createClient(supabaseUrl, supabaseServiceKey, {
   }
 });
 
+/**
+ * Record stored quotes in price_history. Quotes without a vehicle or price are skipped,
+ * and a failure is logged rather than thrown so it never loses the quotes themselves.
+ * @param {string} source - 'drivalia' or 'lex'
+ * @param {Array} rows - Inserted quote rows
+ */
+async function recordPriceHistory(source, rows) {
+  const history = (rows || [])
+    .filter((r) => r && r.vehicle_id && r.monthly_rental !== null && r.monthly_rental !== undefined)
+    .map((r) => ({
+      vehicle_id: r.vehicle_id,
+      provider_name: r.supplier_name || (source === 'lex' ? 'Lex' : 'Drivalia'),
+      term_months: r.term,
+      annual_mileage: r.mileage,
+      maintenance_included: !!(r.maintenance_included ?? r.maintenance),
+      monthly_rental: r.monthly_rental,
+      upfront_payment: r.initial_payment ?? r.initial_rental ?? null,
+      source,
+      source_ref: r.job_id !== undefined && r.job_id !== null ? String(r.job_id) : null,
+      recorded_at: r.fetched_at || new Date().toISOString()
+    }));
+  if (history.length === 0) return;
+  const { error } = await supabase.from('price_history').insert(history);
+  if (error) console.error(`Error recording ${source} price history:`, error.message);
+}
+
 /**
  * Drivalia Jobs Service
  * Handles interaction with drivalia_jobs and drivalia_quotes tables
@@ -105,6 +131,7 @@ class DrivaliaJobsService {
       .single();
 
     if (error) throw error;
+    await recordPriceHistory('drivalia', [data]);
     return data;
   }
 
@@ -136,6 +163,7 @@ class DrivaliaJobsService {
       .select();
 
     if (error) throw error;
+    await recordPriceHistory('drivalia', data);
     return data;
   }
 
@@ -308,6 +336,7 @@ class LexJobsService {
       .insert(rows)
       .select();
     if (error) throw error;
+    await recordPriceHistory('lex', data);
     return data || [];
   }
 
@@ -0,0 +1,437 @@
+/**
+ * UK Income Tax and NI
+ *
+ * Rate tables per tax year (6 April to 5 April), for England, Wales and
+ * Northern Ireland ('ewni') and Scotland ('scotland'). Income tax bands are
+ * slices of taxable income, i.e. income after the personal allowance, as HMRC
+ * publishes them; the allowance is tapered by £1 for every £2 of adjusted net
+ * income over £100,000. Employee Class 1 NI is on earnings (before any
+ * allowance) between the primary threshold and the upper earnings limit, then
+ * at the upper rate; it is worked out on the year's total rather than per pay
+ * period.
+ *
+ * Salary sacrifice lowers both, so the saving is the difference between the
+ * tax and NI on pay before and after the sacrifice. For a salary just over
+ * £100,000 that includes the allowance won back from the taper.
+ *
+ * On the employer's side the sacrifice saves secondary Class 1 NI (no upper
+ * limit) and, for levy payers, 0.5% apprenticeship levy, while the car's
+ * taxable benefit costs Class 1A NI at the same rate. Part of the saving can be
+ * passed back to the employee.
+ *
+ * With the vehicle, the car itself is taxed as a benefit in kind (src/bik.js)
+ * at the employee's marginal rates, so the net cost of a high-emission car can
+ * exceed paying for it out of net pay.
+ *
+ * WORKED_EXAMPLES are hand-checked figures; checkWorkedExamples() recomputes
+ * them (npm run check:tax) and must stay clean when a year is added.
+ */
+
+const { carBenefit } = require('./bik')
+
+const TAX_REGIONS = ['ewni', 'scotland']
+
+const RUK_BANDS = [
+  { name: 'basic', rate: 0.20, upTo: 37700 },
+  { name: 'higher', rate: 0.40, upTo: 125140 },
+  { name: 'additional', rate: 0.45, upTo: null },
+]
+
+// Scottish bands as taxable income: published gross thresholds less the £12,570 allowance
+const scottishBands = ({ starter, basic, intermediate, higher, advanced, top }) => [
+  { name: 'starter', rate: 0.19, upTo: starter },
+  { name: 'basic', rate: 0.20, upTo: basic },
+  { name: 'intermediate', rate: 0.21, upTo: intermediate },
+  { name: 'higher', rate: 0.42, upTo: higher },
+  ...(advanced ? [{ name: 'advanced', rate: 0.45, upTo: advanced }] : []),
+  { name: 'top', rate: top, upTo: null },
+]
+
+const TAX_YEARS = {
+  '2023-24': {
+    personalAllowance: 12570,
+    taperThreshold: 100000,
+    incomeTax: {
+      ewni: RUK_BANDS,
+      scotland: scottishBands({ starter: 2162, basic: 13118, intermediate: 31092, higher: 125140, top: 0.47 }),
+    },
+    // Main rate 12% to 5 January 2024 and 10% after: 11.5% over the whole year
+    employeeNI: { primaryThreshold: 12570, upperEarningsLimit: 50270, mainRate: 0.115, upperRate: 0.02 },
+    employerNI: { secondaryThreshold: 9100, rate: 0.138, class1ARate: 0.138 },
+    apprenticeshipLevy: { rate: 0.005, allowance: 15000 },
+    // Hourly, age 21 and over
+    nationalLivingWage: 10.42,
+  },
+  '2024-25': {
+    personalAllowance: 12570,
+    taperThreshold: 100000,
+    incomeTax: {
+      ewni: RUK_BANDS,
+      scotland: scottishBands({ starter: 2306, basic: 13991, intermediate: 31092, higher: 62430, advanced: 125140, top: 0.48 }),
+    },
+    employeeNI: { primaryThreshold: 12570, upperEarningsLimit: 50270, mainRate: 0.08, upperRate: 0.02 },
+    employerNI: { secondaryThreshold: 9100, rate: 0.138, class1ARate: 0.138 },
+    apprenticeshipLevy: { rate: 0.005, allowance: 15000 },
+    nationalLivingWage: 11.44,
+  },
+  '2025-26': {
+    personalAllowance: 12570,
+    taperThreshold: 100000,
+    incomeTax: {
+      ewni: RUK_BANDS,
+      scotland: scottishBands({ starter: 2827, basic: 14921, intermediate: 31092, higher: 62430, advanced: 125140, top: 0.48 }),
+    },
+    employeeNI: { primaryThreshold: 12570, upperEarningsLimit: 50270, mainRate: 0.08, upperRate: 0.02 },
+    employerNI: { secondaryThreshold: 5000, rate: 0.15, class1ARate: 0.15 },
+    apprenticeshipLevy: { rate: 0.005, allowance: 15000 },
+    nationalLivingWage: 12.21,
+  },
+  '2026-27': {
+    personalAllowance: 12570,
+    taperThreshold: 100000,
+    incomeTax: {
+      ewni: RUK_BANDS,
+      scotland: scottishBands({ starter: 3967, basic: 16956, intermediate: 31092, higher: 62430, advanced: 125140, top: 0.48 }),
+    },
+    employeeNI: { primaryThreshold: 12570, upperEarningsLimit: 50270, mainRate: 0.08, upperRate: 0.02 },
+    employerNI: { secondaryThreshold: 5000, rate: 0.15, class1ARate: 0.15 },
+    apprenticeshipLevy: { rate: 0.005, allowance: 15000 },
+    nationalLivingWage: 12.71,
+  },
+}
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+/**
+ * Tax year a date falls in, e.g. 2025-10-18 -> '2025-26'
+ */
+function taxYearOf(date = new Date()) {
+  const year = date.getFullYear()
+  const startsThisYear = date.getMonth() > 3 || (date.getMonth() === 3 && date.getDate() >= 6)
+  const start = startsThisYear ? year : year - 1
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`
+}
+
+/**
+ * Normalise a requested tax year: '2025-26', '2025/26', '2025/2026' or '2025' (the year it starts)
+ * @returns {object} { taxYear } or { error }. Without one, the current year (or the latest table when
+ *   the current year has none yet, flagged latestAvailable)
+ */
+function resolveTaxYear(input, now = new Date()) {
+  if (input === undefined || input === null || String(input).trim() === '') {
+    const current = taxYearOf(now)
+    if (TAX_YEARS[current]) return { taxYear: current }
+    const years = Object.keys(TAX_YEARS).sort()
+    return { taxYear: years[years.length - 1], latestAvailable: true }
+  }
+  const match = String(input).trim().match(/^(\d{4})(?:\s*[-/]\s*(\d{2}|\d{4}))?$/)
+  const start = match ? Number(match[1]) : NaN
+  const end = match && match[2] ? Number(match[2]) % 100 : (start + 1) % 100
+  const taxYear = `${start}-${String((start + 1) % 100).padStart(2, '0')}`
+  if (!match || end !== (start + 1) % 100 || !TAX_YEARS[taxYear]) {
+    return { error: `taxYear must be one of: ${Object.keys(TAX_YEARS).join(', ')}` }
+  }
+  return { taxYear }
+}
+
+function yearTable(taxYear) {
+  const table = TAX_YEARS[taxYear]
+  if (!table) throw new Error(`No tax tables for ${taxYear}`)
+  return table
+}
+
+/**
+ * Personal allowance after the taper on adjusted net income
+ */
+function personalAllowance(income, taxYear) {
+  const { personalAllowance: full, taperThreshold } = yearTable(taxYear)
+  const reduction = Math.floor(Math.max(0, income - taperThreshold) / 2)
+  return Math.max(0, full - reduction)
+}
+
+/**
+ * Income tax on a year's income (salary after sacrifices, no other income or reliefs)
+ * @returns {object} { income, personalAllowance, taxable, tax, bands: [{ name, rate, amount, tax }] }
+ */
+function incomeTax(income, taxRegion, taxYear) {
+  const bands = yearTable(taxYear).incomeTax[taxRegion]
+  if (!bands) throw new Error(`Unknown tax region ${taxRegion}`)
+  const gross = Math.max(0, Number(income) || 0)
+  const allowance = personalAllowance(gross, taxYear)
+  const taxable = Math.max(0, gross - allowance)
+  let from = 0
+  const slices = []
+  for (const band of bands) {
+    const top = band.upTo === null ? Infinity : band.upTo
+    const amount = Math.max(0, Math.min(taxable, top) - from)
+    if (amount > 0) slices.push({ name: band.name, rate: band.rate, amount, tax: round2(amount * band.rate) })
+    from = top
+    if (taxable <= top) break
+  }
+  return {
+    income: gross,
+    personalAllowance: allowance,
+    taxable,
+    tax: round2(slices.reduce((sum, s) => sum + s.amount * s.rate, 0)),
+    bands: slices,
+  }
+}
+
+/**
+ * Employee Class 1 NI on a year's earnings
+ */
+function employeeNI(earnings, taxYear) {
+  const { primaryThreshold, upperEarningsLimit, mainRate, upperRate } = yearTable(taxYear).employeeNI
+  const pay = Math.max(0, Number(earnings) || 0)
+  const main = Math.max(0, Math.min(pay, upperEarningsLimit) - primaryThreshold)
+  const upper = Math.max(0, pay - upperEarningsLimit)
+  return round2(main * mainRate + upper * upperRate)
+}
+
+/**
+ * Employer secondary Class 1 NI on one employee's earnings for the year
+ */
+function employerNI(earnings, taxYear) {
+  const { secondaryThreshold, rate } = yearTable(taxYear).employerNI
+  return round2(Math.max(0, (Number(earnings) || 0) - secondaryThreshold) * rate)
+}
+
+/**
+ * Apprenticeship levy on an employer's whole annual pay bill
+ */
+function apprenticeshipLevy(payBill, taxYear) {
+  const { rate, allowance } = yearTable(taxYear).apprenticeshipLevy
+  return round2(Math.max(0, (Number(payBill) || 0) * rate - allowance))
+}
+
+/**
+ * Calculate salary sacrifice savings
+ * @param {number} annualSalary - Annual salary in pounds
+ * @param {string} taxRegion - 'ewni' (England, Wales, N. Ireland) or 'scotland'
+ * @param {number} monthlyLease - Monthly lease payment before tax savings
+ * @param {number} otherMonthlySacrifices - Other monthly salary sacrifices (pension etc.), already
+ *   taken off pay before the car
+ * @param {object} options - { taxYear } (default the current year, see resolveTaxYear);
+ *   vehicle { p11d_price, co2_emissions, electric_range, fuel_type, euro_standard } to charge BIK;
+ *   employer { passBackPercent: share of the employer's net NI saving given to the employee by
+ *   sacrificing that much less salary, levyPayer: whether the employer pays the apprenticeship levy }
+ * @returns {object} Savings breakdown; netMonthlyCost is after BIK when the benefit could be worked out,
+ *   and after any pass-back
+ */
+function calculateSalarySacrificeSavings(
+  annualSalary,
+  taxRegion,
+  monthlyLease,
+  otherMonthlySacrifices = 0,
+  { taxYear, vehicle = null, employer = {} } = {}
+) {
+  const year = taxYear || resolveTaxYear().taxYear
+  const annualLease = monthlyLease * 12
+  const payBefore = Math.max(0, annualSalary - otherMonthlySacrifices * 12)
+  const { class1ARate } = yearTable(year).employerNI
+  const class1SavingOn = (sacrifice) => round2(employerNI(payBefore, year) - employerNI(Math.max(0, payBefore - sacrifice), year))
+
+  // A pass-back is sized on the full lease and given by sacrificing that much less salary,
+  // so the employee receives it as ordinary pay, taxed and NI'd, not as tax-free cash
+  const passBackPercent = Number(employer.passBackPercent) || 0
+  let passBack = 0
+  if (passBackPercent > 0) {
+    const fullBenefit = vehicle ? carBenefit(vehicle, year, annualLease).taxableBenefit : null
+    const fullClass1A = (fullBenefit || 0) * class1ARate
+    passBack = round2(Math.max(0, class1SavingOn(annualLease) - fullClass1A) * (passBackPercent / 100))
+  }
+  const annualSacrifice = round2(Math.max(0, annualLease - passBack))
+  const payAfter = Math.max(0, payBefore - annualSacrifice)
+
+  const taxBefore = incomeTax(payBefore, taxRegion, year)
+  const taxAfter = incomeTax(payAfter, taxRegion, year)
+  const niBefore = employeeNI(payBefore, year)
+  const niAfter = employeeNI(payAfter, year)
+
+  const taxSaving = round2(taxBefore.tax - taxAfter.tax)
+  const niSaving = round2(niBefore - niAfter)
+
+  // The benefit is taxed on top of the reduced pay; it carries no employee NI
+  let bik = null
+  let bikTax = 0
+  if (vehicle) {
+    const benefit = carBenefit(vehicle, year, annualSacrifice)
+    if (benefit.taxableBenefit !== null) {
+      bikTax = round2(incomeTax(payAfter + benefit.taxableBenefit, taxRegion, year).tax - taxAfter.tax)
+      bik = { ...benefit, included: true, annualTax: bikTax, monthlyTax: round2(bikTax / 12) }
+    } else {
+      bik = { ...benefit, included: false }
+    }
+  }
+
+  // Employer: Class 1 saved on the sacrifice, Class 1A due on the benefit, levy on the smaller pay bill
+  const class1Saving = class1SavingOn(annualSacrifice)
+  const class1ACost = round2((bik && bik.included ? bik.taxableBenefit : 0) * class1ARate)
+  const levySaving = employer.levyPayer ? round2((payBefore - payAfter) * yearTable(year).apprenticeshipLevy.rate) : 0
+
+  // The employee keeps the pass-back as pay, so it counts against the lease they would otherwise fund from net pay
+  const totalAnnualSaving = round2(taxSaving + niSaving - bikTax + passBack)
+  const monthlySaving = round2(totalAnnualSaving / 12)
+  const sacrificeMonthlySaving = round2((taxSaving + niSaving + passBack) / 12)
+
+  return {
+    taxYear: year,
+    monthlyLease,
+    annualSacrifice,
+    monthlySaving,
+    netMonthlyCost: Math.max(0, round2(monthlyLease - monthlySaving)),
+    netMonthlyCostBeforeBik: Math.max(0, round2(monthlyLease - sacrificeMonthlySaving)),
+    annualSaving: totalAnnualSaving,
+    taxSaving,
+    niSaving,
+    bik,
+    passBack,
+    employer: {
+      class1Saving,
+      class1ACost,
+      levySaving,
+      passBack,
+      passBackPercent,
+      netSaving: round2(class1Saving - class1ACost + levySaving - passBack),
+    },
+    savingsPercentage: annualLease > 0 ? round2((totalAnnualSaving / annualLease) * 100) : 0,
+    before: { pay: payBefore, incomeTax: taxBefore.tax, personalAllowance: taxBefore.personalAllowance, employeeNI: niBefore },
+    after: { pay: payAfter, incomeTax: taxAfter.tax, personalAllowance: taxAfter.personalAllowance, employeeNI: niAfter },
+  }
+}
+
+// Hand-checked figures; income tax and NI are on the whole year's pay
+const WORKED_EXAMPLES = [
+  { taxYear: '2024-25', taxRegion: 'ewni', income: 30000, incomeTax: 3486, employeeNI: 1394.4, employerNI: 2884.2 },
+  { taxYear: '2024-25', taxRegion: 'ewni', income: 60000, incomeTax: 11432, employeeNI: 3210.6 },
+  // Allowance tapered to £7,570
+  { taxYear: '2024-25', taxRegion: 'ewni', income: 110000, incomeTax: 33432, employeeNI: 4210.6 },
+  // No allowance; additional rate above £125,140
+  { taxYear: '2024-25', taxRegion: 'ewni', income: 150000, incomeTax: 53703, employeeNI: 5010.6 },
+  { taxYear: '2023-24', taxRegion: 'ewni', income: 40000, incomeTax: 5486, employeeNI: 3154.45 },
+  { taxYear: '2023-24', taxRegion: 'scotland', income: 30000, incomeTax: 3507.5, employeeNI: 2004.45 },
+  { taxYear: '2024-25', taxRegion: 'scotland', income: 30000, incomeTax: 3497.33, employeeNI: 1394.4 },
+  // Reaches the advanced rate (45% above £75,000)
+  { taxYear: '2024-25', taxRegion: 'scotland', income: 80000, incomeTax: 21778.31, employeeNI: 3610.6 },
+  // Employer NI from the £5,000 secondary threshold at 15%
+  { taxYear: '2025-26', taxRegion: 'scotland', income: 50000, incomeTax: 9013.8, employeeNI: 2994.4, employerNI: 6750 },
+  { taxYear: '2026-27', taxRegion: 'scotland', income: 25000, incomeTax: 2446.33, employeeNI: 994.4 },
+  // £10,000 sacrifice from £110,000 restores the full allowance: 60% tax relief plus 2% NI
+  {
+    taxYear: '2025-26',
+    taxRegion: 'ewni',
+    income: 110000,
+    monthlySacrifice: 10000 / 12,
+    taxSaving: 6000,
+    niSaving: 200,
+  },
+  // £40,000 EV at 3%: £1,200 benefit taxed at 20%
+  {
+    taxYear: '2025-26',
+    taxRegion: 'ewni',
+    income: 50000,
+    monthlySacrifice: 500,
+    vehicle: { p11d_price: 40000, co2_emissions: 0, fuel_type: 'Electric' },
+    taxSaving: 1200,
+    niSaving: 480,
+    bikTax: 240,
+    annualSaving: 1440,
+  },
+  // £30,000 petrol at 130 g/km (32%): the £9,600 benefit outweighs the £6,000 sacrificed and
+  // pushes £3,330 into the higher rate, so the scheme costs more than paying from net pay
+  {
+    taxYear: '2025-26',
+    taxRegion: 'ewni',
+    income: 50000,
+    monthlySacrifice: 500,
+    vehicle: { p11d_price: 30000, co2_emissions: 130, fuel_type: 'Petrol' },
+    bikTax: 2586,
+    annualSaving: -906,
+  },
+  // The same EV with the whole employer saving passed back: (£900 Class 1 - £180 Class 1A)
+  // = £720 kept as pay, so £5,280 is sacrificed and the £720 is taxed at 20% and 8% NI
+  {
+    taxYear: '2025-26',
+    taxRegion: 'ewni',
+    income: 50000,
+    monthlySacrifice: 500,
+    passBackPercent: 100,
+    vehicle: { p11d_price: 40000, co2_emissions: 0, fuel_type: 'Electric' },
+    taxSaving: 1056,
+    niSaving: 422.4,
+    bikTax: 240,
+    annualSaving: 1958.4,
+  },
+  // £30,000 diesel at 110 g/km (28%): Euro 6d-ISC-FCM and 6e meet RDE2, so no supplement and
+  // £8,400 taxed at 20%; a 6d-TEMP car pays the 4% supplement, 32% of £30,000 = £9,600
+  {
+    taxYear: '2025-26',
+    taxRegion: 'ewni',
+    income: 30000,
+    monthlySacrifice: 300,
+    vehicle: { p11d_price: 30000, co2_emissions: 110, fuel_type: 'Diesel', euro_standard: '6d-ISC-FCM' },
+    bikTax: 1680,
+  },
+  {
+    taxYear: '2025-26',
+    taxRegion: 'ewni',
+    income: 30000,
+    monthlySacrifice: 300,
+    vehicle: { p11d_price: 30000, co2_emissions: 110, fuel_type: 'Diesel', euro_standard: 'Euro 6e' },
+    bikTax: 1680,
+  },
+  {
+    taxYear: '2025-26',
+    taxRegion: 'ewni',
+    income: 30000,
+    monthlySacrifice: 300,
+    vehicle: { p11d_price: 30000, co2_emissions: 110, fuel_type: 'Diesel', euro_standard: '6d-TEMP' },
+    bikTax: 1920,
+  },
+]
+
+/**
+ * Recompute WORKED_EXAMPLES
+ * @returns {Array} Mismatches: [{ example, field, expected, actual }] (empty when all agree)
+ */
+function checkWorkedExamples() {
+  const mismatches = []
+  WORKED_EXAMPLES.forEach((example) => {
+    const { taxYear, taxRegion, income } = example
+    let actual
+    if (example.monthlySacrifice) {
+      const savings = calculateSalarySacrificeSavings(income, taxRegion, example.monthlySacrifice, 0, {
+        taxYear,
+        vehicle: example.vehicle,
+        employer: { passBackPercent: example.passBackPercent },
+      })
+      actual = { ...savings, bikTax: savings.bik ? savings.bik.annualTax : 0 }
+    } else {
+      actual = {
+        incomeTax: incomeTax(income, taxRegion, taxYear).tax,
+        employeeNI: employeeNI(income, taxYear),
+        employerNI: employerNI(income, taxYear),
+      }
+    }
+    ;['incomeTax', 'employeeNI', 'employerNI', 'taxSaving', 'niSaving', 'bikTax', 'annualSaving'].forEach((field) => {
+      if (example[field] === undefined) return
+      if (Math.abs(actual[field] - example[field]) > 0.01) mismatches.push({ example, field, expected: example[field], actual: actual[field] })
+    })
+  })
+  return mismatches
+}
+
+module.exports = {
+  TAX_REGIONS,
+  TAX_YEARS,
+  WORKED_EXAMPLES,
+  taxYearOf,
+  resolveTaxYear,
+  personalAllowance,
+  incomeTax,
+  employeeNI,
+  employerNI,
+  apprenticeshipLevy,
+  calculateSalarySacrificeSavings,
+  checkWorkedExamples,
+}
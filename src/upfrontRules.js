@@ -0,0 +1,161 @@
+/**
+ * Upfront Payment Rules
+ *
+ * Providers express the initial payment differently: a number of monthly
+ * rentals, a pound amount, a payment profile such as "3+35" (3 months upfront
+ * followed by 35 monthly payments on a 36-month contract) or a percentage of
+ * P11D. Each provider mapping can declare which one its ratebook uses:
+ *
+ *   { type: 'months' | 'pounds' | 'profile' | 'p11d_percent' | 'auto' }
+ *
+ * 'auto' is the legacy heuristic (profile strings, then 1/3/6/9/12 as months,
+ * anything else as pounds) and is used when a provider has no rule.
+ */
+
+const { parseNumber } = require('./ratebookParser')
+
+const UPFRONT_TYPES = ['auto', 'months', 'pounds', 'profile', 'p11d_percent']
+const LEGACY_MONTHS = [1, 3, 6, 9, 12]
+const MAX_INITIAL_MONTHS = 24
+const PROFILE_PATTERN = /^\s*(\d{1,2})\s*[+x]\s*(\d{1,2})\s*$/i
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+/**
+ * Validate a rule from a request or saved mapping
+ * @returns {object} { rule } or { error }
+ */
+function normalizeUpfrontRule(rule) {
+  if (rule === undefined || rule === null || rule === '') return { rule: null }
+  let value = rule
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value)
+    } catch (_) {
+      // Allow the bare type name, e.g. upfrontRule=profile
+      value = { type: value }
+    }
+  }
+  if (!value || typeof value !== 'object' || !UPFRONT_TYPES.includes(value.type)) {
+    return { error: `upfrontRule.type must be one of: ${UPFRONT_TYPES.join(', ')}` }
+  }
+  return { rule: { type: value.type } }
+}
+
+/**
+ * Parse a payment profile string ("3+35", "6 + 47", "9x23")
+ * @returns {object|null} { initialMonths, followingPayments, termMonths, profile }
+ */
+function parseProfile(val) {
+  if (val === undefined || val === null) return null
+  const m = String(val).match(PROFILE_PATTERN)
+  if (!m) return null
+  const initialMonths = parseInt(m[1], 10)
+  const followingPayments = parseInt(m[2], 10)
+  if (initialMonths < 1) return null
+  return {
+    initialMonths,
+    followingPayments,
+    // The initial payment covers the first month of the contract
+    termMonths: followingPayments + 1,
+    profile: `${initialMonths}+${followingPayments}`,
+  }
+}
+
+/**
+ * Interpret a raw upfront cell according to the provider's rule.
+ * @param {*} raw - Mapped upfront value from the ratebook
+ * @param {object} rule - Provider rule ({ type }), null for 'auto'
+ * @param {object} context - { monthlyRental, p11dPrice, termMonths, upfrontMultiplier }
+ * @returns {object} { upfrontPayment, termMonths, profile, warning }
+ *   profile: { basis, initial_months, profile, raw } stored on the offer
+ */
+function interpretUpfront(raw, rule, { monthlyRental = null, p11dPrice = null, termMonths = null, upfrontMultiplier = null } = {}) {
+  const type = (rule && rule.type) || 'auto'
+  const hasValue = raw !== undefined && raw !== null && String(raw).trim() !== ''
+  const result = { upfrontPayment: 0, termMonths: null, profile: null, warning: null }
+
+  const fromMonths = (months, basis, profileTerm = null) => {
+    const term = profileTerm || termMonths
+    result.upfrontPayment = monthlyRental ? round2(monthlyRental * months) : 0
+    result.profile = {
+      basis,
+      initial_months: months,
+      profile: term ? `${months}+${term - 1}` : null,
+      raw: hasValue ? String(raw) : null,
+    }
+    if (!monthlyRental) result.warning = 'Upfront given in months but there is no monthly rental to multiply'
+  }
+  const fromPounds = (amount, basis) => {
+    result.upfrontPayment = round2(amount)
+    const months = monthlyRental ? round2(amount / monthlyRental) : null
+    result.profile = {
+      basis,
+      initial_months: months,
+      profile: months && termMonths && Number.isInteger(months) ? `${months}+${termMonths - 1}` : null,
+      raw: hasValue ? String(raw) : null,
+    }
+  }
+
+  if (!hasValue) {
+    // Nothing in the ratebook: fall back to the upload's global multiplier
+    if (upfrontMultiplier && monthlyRental) fromMonths(upfrontMultiplier, 'multiplier')
+    return result
+  }
+
+  const profile = type === 'pounds' || type === 'p11d_percent' ? null : parseProfile(raw)
+  if (profile) {
+    if (termMonths && termMonths !== profile.termMonths) {
+      result.warning = `Profile ${profile.profile} implies a ${profile.termMonths}-month term but the row says ${termMonths}`
+    }
+    result.termMonths = profile.termMonths
+    fromMonths(profile.initialMonths, 'profile', profile.termMonths)
+    return result
+  }
+
+  const n = parseNumber(raw)
+  if (n === 0 && type === 'auto' && upfrontMultiplier && monthlyRental) {
+    fromMonths(upfrontMultiplier, 'multiplier')
+    return result
+  }
+  if (n === null) {
+    result.warning = type === 'profile' ? 'Not a payment profile (expected e.g. "3+35")' : 'Could not be read as a number'
+    return result
+  }
+
+  switch (type) {
+    case 'months':
+      fromMonths(n, 'months')
+      if (n > MAX_INITIAL_MONTHS) result.warning = `${n} initial months looks like a pound amount`
+      break
+    case 'pounds':
+      fromPounds(n, 'pounds')
+      break
+    case 'profile':
+      // A bare number in a profile column is the number of initial months
+      fromMonths(n, 'months')
+      if (n > MAX_INITIAL_MONTHS) result.warning = `${n} initial months looks like a pound amount`
+      break
+    case 'p11d_percent': {
+      if (!p11dPrice) {
+        result.warning = 'Upfront given as a percentage of P11D but the row has no P11D price'
+        break
+      }
+      // Spreadsheet percentage cells arrive as fractions (0.1 for 10%)
+      const pct = String(raw).includes('%') || n >= 1 ? n / 100 : n
+      fromPounds(p11dPrice * pct, 'p11d_percent')
+      break
+    }
+    default:
+      if (LEGACY_MONTHS.includes(n) && monthlyRental) fromMonths(n, 'months')
+      else fromPounds(n, 'pounds')
+  }
+  return result
+}
+
+module.exports = {
+  UPFRONT_TYPES,
+  normalizeUpfrontRule,
+  parseProfile,
+  interpretUpfront,
+}
@@ -0,0 +1,223 @@
+/**
+ * Upload Session Diff
+ *
+ * Compares the offers from two upload sessions for the same provider, so a new
+ * ratebook can be reviewed against the previous one: which vehicles were added
+ * or dropped, and which term/mileage prices moved and by how much.
+ *
+ * Offers are matched on vehicle (cap_code, falling back to vehicle_id) + term +
+ * mileage + maintenance.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100
+const toNumber = (v) => (v === null || v === undefined ? null : Number(v))
+
+const vehicleKey = (o) => (o.cap_code ? `cap:${String(o.cap_code).trim().toUpperCase()}` : `id:${o.vehicle_id}`)
+const offerKey = (o) => `${vehicleKey(o)}|${o.term_months}|${o.annual_mileage}|${o.maintenance_included ? 1 : 0}`
+
+const describe = (o) => ({
+  vehicle_id: o.vehicle_id,
+  cap_code: o.cap_code || null,
+  manufacturer: o.manufacturer,
+  model: o.model,
+  variant: o.variant || null,
+  term_months: o.term_months,
+  annual_mileage: o.annual_mileage,
+  maintenance_included: !!o.maintenance_included,
+})
+
+/**
+ * Index offers by match key. A ratebook can quote the same vehicle/term/mileage
+ * more than once (e.g. several upfront profiles); the cheapest monthly wins.
+ */
+function indexOffers(offers) {
+  const byKey = new Map()
+  offers.forEach((o) => {
+    const offer = { ...o, monthly_rental: toNumber(o.monthly_rental), upfront_payment: toNumber(o.upfront_payment) }
+    const key = offerKey(offer)
+    const existing = byKey.get(key)
+    const monthly = offer.monthly_rental
+    if (!existing || (monthly !== null && (existing.monthly_rental === null || monthly < existing.monthly_rental))) {
+      byKey.set(key, offer)
+    }
+  })
+  return byKey
+}
+
+/**
+ * Diff the offers of two upload sessions
+ * @param {Array} fromOffers - Offers from the older session
+ * @param {Array} toOffers - Offers from the newer session
+ * @param {object} sessions - { from, to } session rows, echoed in the result
+ * @returns {object} { from, to, summary, vehicles: { added, removed }, offers: { added, removed, changed } }
+ */
+function diffUploadOffers(fromOffers, toOffers, sessions = {}) {
+  const fromIndex = indexOffers(fromOffers)
+  const toIndex = indexOffers(toOffers)
+
+  const added = []
+  const removed = []
+  const changed = []
+  let unchanged = 0
+
+  toIndex.forEach((offer, key) => {
+    const previous = fromIndex.get(key)
+    if (!previous) {
+      added.push({ ...describe(offer), monthly_rental: offer.monthly_rental, upfront_payment: offer.upfront_payment })
+      return
+    }
+    const monthlyChange = offer.monthly_rental !== null && previous.monthly_rental !== null
+      ? round2(offer.monthly_rental - previous.monthly_rental)
+      : null
+    const upfrontChange = offer.upfront_payment !== null && previous.upfront_payment !== null
+      ? round2(offer.upfront_payment - previous.upfront_payment)
+      : null
+    if (!monthlyChange && !upfrontChange) {
+      unchanged++
+      return
+    }
+    changed.push({
+      ...describe(offer),
+      previous_monthly_rental: previous.monthly_rental,
+      monthly_rental: offer.monthly_rental,
+      monthly_change: monthlyChange,
+      monthly_change_pct: monthlyChange !== null && previous.monthly_rental
+        ? round2((monthlyChange / previous.monthly_rental) * 100)
+        : null,
+      previous_upfront_payment: previous.upfront_payment,
+      upfront_payment: offer.upfront_payment,
+      upfront_change: upfrontChange,
+    })
+  })
+  fromIndex.forEach((offer, key) => {
+    if (!toIndex.has(key)) {
+      removed.push({ ...describe(offer), monthly_rental: offer.monthly_rental, upfront_payment: offer.upfront_payment })
+    }
+  })
+
+  // Vehicle-level view: a vehicle is added/removed only if none of its offers exist on the other side
+  const vehiclesOf = (index) => {
+    const out = new Map()
+    index.forEach((o) => {
+      if (!out.has(vehicleKey(o))) {
+        const { vehicle_id, cap_code, manufacturer, model, variant } = describe(o)
+        out.set(vehicleKey(o), { vehicle_id, cap_code, manufacturer, model, variant })
+      }
+    })
+    return out
+  }
+  const fromVehicles = vehiclesOf(fromIndex)
+  const toVehicles = vehiclesOf(toIndex)
+  const vehiclesAdded = [...toVehicles].filter(([k]) => !fromVehicles.has(k)).map(([, v]) => v)
+  const vehiclesRemoved = [...fromVehicles].filter(([k]) => !toVehicles.has(k)).map(([, v]) => v)
+
+  const byVehicleAndTerms = (a, b) =>
+    String(a.manufacturer).localeCompare(String(b.manufacturer)) ||
+    String(a.model).localeCompare(String(b.model)) ||
+    String(a.variant || '').localeCompare(String(b.variant || '')) ||
+    a.term_months - b.term_months ||
+    a.annual_mileage - b.annual_mileage
+  added.sort(byVehicleAndTerms)
+  removed.sort(byVehicleAndTerms)
+  changed.sort((a, b) => Math.abs(b.monthly_change || 0) - Math.abs(a.monthly_change || 0) || byVehicleAndTerms(a, b))
+
+  const priced = changed.filter((c) => c.monthly_change)
+  const increases = priced.filter((c) => c.monthly_change > 0)
+  const decreases = priced.filter((c) => c.monthly_change < 0)
+  const average = (list, field) => (list.length ? round2(list.reduce((sum, c) => sum + c[field], 0) / list.length) : null)
+  const pick = (list, better) => list.reduce((best, c) => (!best || better(c, best) ? c : best), null)
+
+  return {
+    from: sessions.from || null,
+    to: sessions.to || null,
+    summary: {
+      offers_before: fromIndex.size,
+      offers_after: toIndex.size,
+      vehicles_before: fromVehicles.size,
+      vehicles_after: toVehicles.size,
+      vehicles_added: vehiclesAdded.length,
+      vehicles_removed: vehiclesRemoved.length,
+      offers_added: added.length,
+      offers_removed: removed.length,
+      offers_changed: changed.length,
+      offers_unchanged: unchanged,
+      price_increases: increases.length,
+      price_decreases: decreases.length,
+      average_monthly_change: average(priced, 'monthly_change'),
+      average_monthly_change_pct: average(priced.filter((c) => c.monthly_change_pct !== null), 'monthly_change_pct'),
+      biggest_increase: pick(increases, (a, b) => a.monthly_change > b.monthly_change),
+      biggest_decrease: pick(decreases, (a, b) => a.monthly_change < b.monthly_change),
+    },
+    vehicles: { added: vehiclesAdded, removed: vehiclesRemoved },
+    offers: { added, removed, changed },
+  }
+}
+
+/**
+ * Build an XLSX workbook (Summary, Price Changes, Added, Removed sheets) from a diff
+ * @returns {Buffer}
+ */
+function buildUploadDiffWorkbook(diff) {
+  const XLSX = require('xlsx')
+  const workbook = XLSX.utils.book_new()
+  const s = diff.summary
+
+  const summaryRows = [
+    ['', 'Previous', 'Latest'],
+    ['Upload session', diff.from && diff.from.id, diff.to && diff.to.id],
+    ['File', diff.from && diff.from.filename, diff.to && diff.to.filename],
+    ['Uploaded', diff.from && diff.from.created_at, diff.to && diff.to.created_at],
+    ['Offers', s.offers_before, s.offers_after],
+    ['Vehicles', s.vehicles_before, s.vehicles_after],
+    [],
+    ['Vehicles added', s.vehicles_added],
+    ['Vehicles removed', s.vehicles_removed],
+    ['Offers added', s.offers_added],
+    ['Offers removed', s.offers_removed],
+    ['Offers with price changes', s.offers_changed],
+    ['Offers unchanged', s.offers_unchanged],
+    ['Price increases', s.price_increases],
+    ['Price decreases', s.price_decreases],
+    ['Average monthly change (£)', s.average_monthly_change],
+    ['Average monthly change (%)', s.average_monthly_change_pct],
+  ]
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryRows), 'Summary')
+
+  const offerColumns = ['CAP Code', 'Manufacturer', 'Model', 'Variant', 'Term', 'Mileage', 'Maintenance']
+  const offerCells = (o) => [o.cap_code, o.manufacturer, o.model, o.variant, o.term_months, o.annual_mileage, o.maintenance_included ? 'Yes' : 'No']
+
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      [...offerColumns, 'Previous Monthly', 'Monthly', 'Change', 'Change %', 'Previous Upfront', 'Upfront', 'Upfront Change'],
+      ...diff.offers.changed.map((c) => [
+        ...offerCells(c),
+        c.previous_monthly_rental,
+        c.monthly_rental,
+        c.monthly_change,
+        c.monthly_change_pct,
+        c.previous_upfront_payment,
+        c.upfront_payment,
+        c.upfront_change,
+      ]),
+    ]),
+    'Price Changes'
+  )
+  ;[['Added', diff.offers.added], ['Removed', diff.offers.removed]].forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([
+        [...offerColumns, 'Monthly', 'Upfront'],
+        ...rows.map((o) => [...offerCells(o), o.monthly_rental, o.upfront_payment]),
+      ]),
+      name
+    )
+  })
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+}
+
+module.exports = {
+  diffUploadOffers,
+  buildUploadDiffWorkbook,
+}
@@ -0,0 +1,157 @@
+/**
+ * Upload Pipeline
+ *
+ * Turns a parsed ratebook into a queued upload session: creates the
+ * upload_sessions row, normalises and validates the rows, records rejects and
+ * stages the valid rows for the upload queue. Shared by POST /api/upload and
+ * the inbox ingester so both produce identical sessions.
+ */
+
+const { leaseDB } = require('./db')
+const { uploadQueue } = require('./uploadQueue')
+const {
+  detectFileFormat,
+  normalizeVehicles,
+  partitionVehicles,
+  summarizeSourceFiles,
+} = require('./ratebookParser')
+const { DEFAULT_QUALITY_RULES, evaluateQuality } = require('./qualityRules')
+
+const UPLOAD_MODES = ['append', 'replace-provider', 'replace-matching-terms']
+
+/**
+ * The provider's effective data-quality rules. If they cannot be loaded the
+ * built-in defaults apply, so a database hiccup never lets unchecked rows through.
+ */
+async function loadQualityRules(providerName) {
+  const rules = await leaseDB.getEffectiveQualityRules(providerName)
+  if (rules.success) return rules.data
+  console.warn('Could not load quality rules, using defaults:', rules.error)
+  return DEFAULT_QUALITY_RULES
+}
+
+/**
+ * The provider's default offer validity in days, or null when it has none (or is unknown)
+ */
+async function loadDefaultValidityDays(providerName) {
+  if (!providerName) return null
+  const settings = await leaseDB.getProviderSettings(providerName)
+  return settings.success ? settings.data.default_validity_days : null
+}
+
+/**
+ * Today's date in the database (YYYY-MM-DD), which offers expire against; null (UTC today) if it cannot be read
+ */
+async function loadDatabaseDate() {
+  const clock = await leaseDB.getDatabaseDate()
+  return clock.success ? clock.today : null
+}
+
+/**
+ * Stage a parsed ratebook as a new upload session and queue it for processing
+ * @param {object} file - { originalname, buffer } of the uploaded file
+ * @param {object} parsed - Result of parseRatebook
+ * @param {object} options - { providerName, uploadedBy, mappingVersion, upfrontMultiplier, upfrontRule, uploadMode }
+ * @returns {Promise<object>} { success, sessionId, totalRows, validRows, rejectedRows, quality, sheets, files, mode, error }
+ */
+async function stageRatebookUpload(file, parsed, {
+  providerName,
+  uploadedBy = 'unknown',
+  mappingVersion = null,
+  upfrontMultiplier = null,
+  upfrontRule = null,
+  uploadMode = 'append',
+} = {}) {
+  const session = await leaseDB.createUploadSession(
+    providerName,
+    file.originalname,
+    detectFileFormat(file),
+    0,
+    uploadedBy,
+    { mappingVersion, sourceSheets: parsed.sheets, uploadMode }
+  )
+  if (!session.success) return session
+
+  const { vehicleData } = parsed
+  // Normalize and coerce values before filtering
+  const defaultValidityDays = await loadDefaultValidityDays(providerName)
+  const normalized = normalizeVehicles(vehicleData, {
+    providerName,
+    upfrontMultiplier,
+    upfrontRule,
+    defaultValidityDays,
+    today: await loadDatabaseDate(),
+  })
+  const partitioned = partitionVehicles(normalized)
+  const quality = evaluateQuality(partitioned.validVehicles, await loadQualityRules(providerName))
+  const validVehicles = quality.accepted
+  const rejectedRows = [...partitioned.rejectedRows, ...quality.rejectedRows]
+  const sourceFiles = summarizeSourceFiles(parsed.files, validVehicles, rejectedRows)
+  console.log('Upload parsing summary:', {
+    sessionId: session.sessionId,
+    totalParsed: vehicleData.length,
+    quality: { rejected: quality.summary.rejected, warned: quality.summary.warned },
+    sample: (normalized[0] ? {
+      manufacturer: normalized[0].manufacturer,
+      model: normalized[0].model,
+      monthly_rental: normalized[0].monthly_rental,
+      upfront_payment: normalized[0].upfront_payment,
+      upfront_profile: normalized[0].upfront_profile,
+      term_months: normalized[0].term_months,
+      annual_mileage: normalized[0].annual_mileage,
+      offer_valid_until: normalized[0].offer_valid_until,
+    } : null)
+  })
+
+  // Persist the valid rows before acknowledging, so processing survives a restart
+  try {
+    await leaseDB.query(
+      `UPDATE upload_sessions
+          SET total_rows = $1, status = $2, source_files = $4::jsonb, quality_summary = $5::jsonb
+        WHERE id = $3`,
+      [
+        vehicleData.length,
+        'staging',
+        session.sessionId,
+        sourceFiles ? JSON.stringify(sourceFiles) : null,
+        JSON.stringify(quality.summary),
+      ]
+    )
+  } catch (e) {
+    console.warn('Could not update total_rows for session', session.sessionId, e.message)
+  }
+  const failSession = async (error) => {
+    await leaseDB.query(
+      'UPDATE upload_sessions SET status = $1, error_message = $2 WHERE id = $3',
+      ['failed', error, session.sessionId]
+    ).catch(console.error)
+    return { success: false, sessionId: session.sessionId, error }
+  }
+  // The rejects must be downloadable before the upload is acknowledged with a rejected count
+  const recorded = await leaseDB.recordUploadErrors(session.sessionId, rejectedRows)
+  if (!recorded.success) return failSession(`Could not record rejected rows: ${recorded.error}`)
+  const staged = await leaseDB.stageUploadRows(session.sessionId, validVehicles, { totalRows: vehicleData.length })
+  if (!staged.success) return failSession(staged.error)
+
+  // The upload queue inserts the staged rows in the background
+  uploadQueue.enqueue(session.sessionId)
+  return {
+    success: true,
+    sessionId: session.sessionId,
+    totalRows: vehicleData.length,
+    validRows: validVehicles.length,
+    rejectedRows: rejectedRows.length,
+    quality: quality.summary,
+    sheets: parsed.sheets,
+    files: sourceFiles,
+    mode: uploadMode,
+  }
+}
+
+module.exports = {
+  UPLOAD_MODES,
+  loadQualityRules,
+  loadDefaultValidityDays,
+  loadDatabaseDate,
+  stageRatebookUpload,
+}
@@ -0,0 +1,163 @@
+/**
+ * Upload Queue
+ *
+ * Processes staged upload sessions in the background. upload_sessions is the
+ * queue: sessions are claimed with a lock (locked_by/locked_at), rows are read
+ * from upload_session_rows in chunks, and each chunk's offers are committed
+ * together with the session checkpoint. If the server restarts mid-upload, the
+ * lock goes stale and the next poll (on this or any instance) resumes the
+ * session from its last committed chunk.
+ */
+
+const os = require('os')
+const { leaseDB } = require('./db')
+
+const POLL_INTERVAL = parseInt(process.env.UPLOAD_QUEUE_POLL_MS) || 15000
+const CHUNK_SIZE = Number(process.env.UPLOAD_CHUNK_SIZE || 500)
+const STALE_LOCK_MS = parseInt(process.env.UPLOAD_LOCK_STALE_MS) || 120000
+const MAX_ATTEMPTS = parseInt(process.env.UPLOAD_MAX_ATTEMPTS) || 5
+
+class UploadQueue {
+  constructor(db = leaseDB) {
+    this.db = db
+    this.workerId = `${os.hostname()}:${process.pid}`
+    this.timer = null
+    this.running = false
+    this.active = null
+    this.rerun = false
+    this.stopping = false
+  }
+
+  /**
+   * Start polling. The first poll runs immediately so sessions interrupted by a
+   * restart are picked up as soon as their lock is stale.
+   */
+  start() {
+    if (this.running) return
+    this.running = true
+    this.stopping = false
+    console.log(`Upload queue started (worker ${this.workerId}, poll ${POLL_INTERVAL}ms)`)
+    this.db.failUnrecoverableUploads({ staleMs: STALE_LOCK_MS, maxAttempts: MAX_ATTEMPTS })
+      .then((r) => {
+        if (r.success && r.data.length > 0) console.warn('Marked unrecoverable uploads as failed:', r.data)
+      })
+      .catch(console.error)
+    this.schedule(0)
+  }
+
+  schedule(delay) {
+    if (!this.running) return
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => {
+      this.drain().finally(() => this.schedule(POLL_INTERVAL))
+    }, delay)
+  }
+
+  /**
+   * Ask the queue to look for work now (e.g. right after an upload is staged)
+   */
+  enqueue(sessionId) {
+    console.log(`Upload session ${sessionId} queued`)
+    if (this.active) {
+      this.rerun = true
+      return
+    }
+    this.schedule(0)
+  }
+
+  /**
+   * Process sessions until none are claimable. Only one drain runs at a time.
+   */
+  drain() {
+    if (this.active) {
+      this.rerun = true
+      return this.active
+    }
+    this.active = (async () => {
+      do {
+        this.rerun = false
+        let claimed = true
+        while (claimed && !this.stopping) {
+          const claim = await this.db.claimUploadSession(this.workerId, {
+            staleMs: STALE_LOCK_MS,
+            maxAttempts: MAX_ATTEMPTS,
+          })
+          claimed = !!(claim.success && claim.data)
+          // After a failure, wait for the next poll rather than retrying straight away
+          if (claimed) claimed = await this.processSession(claim.data)
+        }
+      } while (this.rerun && !this.stopping)
+    })()
+      .catch((e) => console.error('Upload queue error:', e))
+      .finally(() => {
+        this.active = null
+      })
+    return this.active
+  }
+
+  /**
+   * Insert a claimed session's remaining staged rows, chunk by chunk
+   * @returns {Promise<boolean>} false if the session failed and was released for a retry
+   */
+  async processSession({ id, staged_rows: stagedRows, next_seq: startSeq, attempts }) {
+    console.log(`Processing upload session ${id} from row ${startSeq}/${stagedRows} (attempt ${attempts})`)
+    let nextSeq = startSeq
+    try {
+      while (nextSeq < stagedRows) {
+        if (this.stopping) {
+          // Hand the session back so the next boot resumes it without waiting for the lock to go stale
+          await this.db.releaseUploadSession(id, this.workerId)
+          return true
+        }
+        const rows = await this.db.getStagedUploadRows(id, nextSeq, CHUNK_SIZE)
+        if (!rows.success) throw new Error(rows.error)
+        if (rows.data.length === 0) break
+
+        const lastSeq = rows.data[rows.data.length - 1].seq
+        const result = await this.db.processVehicleDataChunk(
+          id,
+          rows.data.map((r) => r.payload),
+          { checkpoint: { nextSeq: lastSeq + 1, workerId: this.workerId } }
+        )
+        if (result.lostLock) {
+          console.warn(`Upload session ${id} was taken over by another worker`)
+          return true
+        }
+        if (!result.success) throw new Error(result.error)
+        nextSeq = lastSeq + 1
+      }
+
+      const done = await this.db.completeUploadSession(id, this.workerId)
+      if (done.lostLock) return true
+      // Nothing was committed; release below so a later attempt retries the completion
+      if (!done.success) throw new Error(done.error)
+      console.log(`Upload session ${id} completed`)
+      // Refresh best deals in background at end
+      this.db.refreshBestDeals().catch(console.error)
+      return true
+    } catch (e) {
+      console.error(`Upload session ${id} failed at row ${nextSeq}:`, e.message)
+      await this.db.releaseUploadSession(id, this.workerId, { error: e.message, maxAttempts: MAX_ATTEMPTS })
+      return false
+    }
+  }
+
+  /**
+   * Stop polling and wait (up to timeoutMs) for the current chunk to commit
+   */
+  async stop(timeoutMs = 10000) {
+    this.running = false
+    this.stopping = true
+    clearTimeout(this.timer)
+    if (this.active) {
+      await Promise.race([this.active, new Promise((resolve) => setTimeout(resolve, timeoutMs))])
+    }
+  }
+}
+
+const uploadQueue = new UploadQueue()
+
+module.exports = {
+  UploadQueue,
+  uploadQueue,
+}
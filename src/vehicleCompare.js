@@ -0,0 +1,114 @@
+/**
+ * Vehicle Comparison
+ *
+ * Lines up a shortlist of vehicles for a comparison table: one column per
+ * vehicle (in the order asked for) and one row per spec or cost figure, each
+ * row marking which column is best. Every vehicle is priced on its best offer
+ * for the requested term/mileage/upfront (lowest effective monthly; an offer
+ * with the requested upfront wins over one without).
+ */
+
+const { withLeaseCost } = require('./leaseCost')
+
+// Rows of the table: key, label, where the value comes from, and which way is better
+const COMPARE_ROWS = [
+  { key: 'p11d_price', label: 'P11D', from: 'vehicle', better: 'low' },
+  { key: 'fuel_type', label: 'Fuel', from: 'vehicle' },
+  { key: 'co2_emissions', label: 'CO2 (g/km)', from: 'vehicle', better: 'low' },
+  { key: 'mpg', label: 'MPG', from: 'vehicle', better: 'high' },
+  { key: 'electric_range', label: 'Electric range (miles)', from: 'vehicle', better: 'high' },
+  { key: 'insurance_group', label: 'Insurance group', from: 'vehicle', better: 'low' },
+  { key: 'bik_percentage', label: 'BIK %', from: 'vehicle', better: 'low' },
+  { key: 'provider_name', label: 'Provider', from: 'offer' },
+  { key: 'monthly_rental', label: 'Monthly rental', from: 'offer', better: 'low' },
+  { key: 'upfront_payment', label: 'Upfront payment', from: 'offer', better: 'low' },
+  { key: 'total_cost', label: 'Total cost of lease', from: 'offer', better: 'low' },
+  { key: 'effective_monthly', label: 'Effective monthly', from: 'offer', better: 'low' },
+  { key: 'net_monthly_cost', label: 'Net monthly cost (salary sacrifice)', from: 'salarySacrifice', better: 'low' },
+  { key: 'annual_saving', label: 'Annual saving (salary sacrifice)', from: 'salarySacrifice', better: 'high' },
+]
+
+// Insurance groups can carry a letter suffix ("25E")
+const comparable = (key, value) => {
+  if (value === null || value === undefined || value === '') return null
+  const n = key === 'insurance_group' ? parseInt(String(value).match(/\d+/)) : Number(value)
+  return isNaN(n) ? null : n
+}
+
+/**
+ * @param {object} data - { vehicleIds, vehicles: vehicles rows, offers: best offer per vehicle }
+ * @param {object} options - { salarySacrifice(vehicle, offer) -> { netMonthlyCost, ... } | null }
+ * @returns {object} { vehicles: [{ vehicle_id, found, spec, offer, salarySacrifice }], rows, missing }
+ */
+function buildComparison({ vehicleIds, vehicles = [], offers = [] }, { salarySacrifice = null } = {}) {
+  const vehiclesById = new Map(vehicles.map((v) => [Number(v.id), v]))
+  const offersByVehicle = new Map(offers.map((o) => [Number(o.vehicle_id), withLeaseCost(o)]))
+
+  const columns = vehicleIds.map((id) => {
+    const vehicle = vehiclesById.get(Number(id))
+    if (!vehicle) return { vehicle_id: Number(id), found: false, spec: null, offer: null, salarySacrifice: null }
+    const offer = offersByVehicle.get(Number(id)) || null
+    return {
+      vehicle_id: Number(id),
+      found: true,
+      spec: {
+        manufacturer: vehicle.manufacturer,
+        model: vehicle.model,
+        variant: vehicle.variant,
+        cap_code: vehicle.cap_code,
+        ...Object.fromEntries(COMPARE_ROWS.filter((r) => r.from === 'vehicle').map((r) => [r.key, vehicle[r.key] ?? null])),
+      },
+      offer,
+      salarySacrifice: offer && salarySacrifice ? salarySacrifice(vehicle, offer) : null,
+    }
+  })
+
+  const valueOf = (column, row) => {
+    if (row.from === 'vehicle') return column.spec ? column.spec[row.key] : null
+    if (row.from === 'offer') return column.offer ? column.offer[row.key] ?? null : null
+    if (!column.salarySacrifice) return null
+    return row.key === 'net_monthly_cost' ? column.salarySacrifice.netMonthlyCost : column.salarySacrifice.annualSaving
+  }
+
+  const rows = COMPARE_ROWS
+    .filter((row) => row.from !== 'salarySacrifice' || salarySacrifice)
+    .map((row) => {
+      const values = columns.map((c) => valueOf(c, row))
+      let best = []
+      if (row.better) {
+        const numbers = values.map((v) => comparable(row.key, v))
+        const known = numbers.filter((n) => n !== null)
+        // Nothing to pick between with fewer than two known values
+        if (known.length > 1) {
+          const target = row.better === 'low' ? Math.min(...known) : Math.max(...known)
+          best = numbers.map((n, i) => (n === target ? i : null)).filter((i) => i !== null)
+        }
+      }
+      return { key: row.key, label: row.label, better: row.better || null, values, best }
+    })
+
+  return {
+    vehicles: columns,
+    rows,
+    missing: {
+      vehicles: columns.filter((c) => !c.found).map((c) => c.vehicle_id),
+      offers: columns.filter((c) => c.found && !c.offer).map((c) => c.vehicle_id),
+    },
+  }
+}
+
+/**
+ * Initial payment in months from an upfront profile: 3, "3" or "3+35"
+ * @returns {number|null} null when not given; NaN when unreadable
+ */
+function parseUpfrontMonths(upfront) {
+  if (upfront === undefined || upfront === null || upfront === '') return null
+  const match = String(upfront).trim().match(/^(\d+(?:\.\d+)?)(?:\s*\+\s*\d+)?$/)
+  return match ? Number(match[1]) : NaN
+}
+
+module.exports = {
+  COMPARE_ROWS,
+  buildComparison,
+  parseUpfrontMonths,
+}